@@ -4,14 +4,38 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const Busboy = require('busboy');
-const { put, del } = require('@vercel/blob');
+const { handleUpload } = require('@vercel/blob/client');
 const db = require('../lib/db');
-const { validateManifest, validateFiles, ALLOWED_CATEGORIES } = require('../lib/validate');
+const { readZip } = require('../lib/zip');
+const { analyzeSources } = require('../lib/analyze');
+const { runSmokeTest } = require('../lib/smoke');
+const { diffPackages } = require('../lib/diff');
+const { buildMarketplace, getExtensionDetail, getCompatibleUpdate, searchExtensions, parseSearchParams, searchQueryString, SORTS } = require('../lib/marketplace');
+const { signRelease, signJwt, hasSigningKey, getPublicKeys } = require('../lib/signing');
+const { verifyFirebaseToken, bearerToken } = require('../lib/firebase-auth');
+const { syncExtensionPricing } = require('../lib/pricing');
+const payouts = require('../lib/payouts');
+const entitlements = require('../lib/entitlements');
+const review = require('../lib/review');
+const adminAuth = require('../lib/admin-auth');
+const notifier = require('../lib/notifier');
+const feedback = require('../lib/feedback');
+const telemetry = require('../lib/telemetry');
+const charts = require('../lib/charts');
+const storage = require('../lib/storage');
+const uploads = require('../lib/uploads');
+const { manifestSchema, schemaUrl, LATEST_API_VERSION } = require('../lib/manifest-schema');
+const {
+  validateManifest, validateFiles, validateArchive, validatePricing, extIdFor, compareVersions, screenshotType, issueCollector,
+  ALLOWED_CATEGORIES, PERMISSION_DESCRIPTIONS, PERMISSION_RISK,
+} = require('../lib/validate');
 
 // ── Stripe ───────────────────────────────────────────────────
 const Stripe = require('stripe');
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '', { apiVersion: '2023-10-16' });
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
+// Connect endpoints (events from developers' accounts) have their own signing secret
+const STRIPE_CONNECT_WEBHOOK_SECRET = process.env.STRIPE_CONNECT_WEBHOOK_SECRET || '';
 const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'mimo-b5745';
 const PORTAL_URL = process.env.PORTAL_URL || 'https://flip-dev-portal-nine.vercel.app';
 
@@ -19,81 +43,236 @@ const app = express();
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, '..', 'views'));
 app.use('/public', express.static(path.join(__dirname, '..', 'public')));
+app.locals.review = review;
+app.locals.uploadLimits = uploads.categoryLimits(ALLOWED_CATEGORIES);
 
-// ── Stripe webhook needs raw body — must come BEFORE express.json() ──
-app.post('/api/webhook/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-  let event;
+// ── Notifications (recipient lookup + portal links; delivery lives in lib/notifier) ──
+// Like notifier.notify these never throw, so a notification can't fail the action behind it
+async function notifySubmission(submission, event, data = {}) {
   try {
-    event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], STRIPE_WEBHOOK_SECRET);
+    const developer = submission.developer_id ? await db.getDeveloperById(submission.developer_id) : null;
+    return await notifier.notify(event, { developer, email: submission.author_email }, {
+      portal_url: PORTAL_URL,
+      submission_id: submission.id,
+      ext_id: submission.ext_id,
+      name: submission.name,
+      version: submission.version,
+      ...data,
+    });
   } catch (err) {
-    console.error('[Stripe Webhook] Signature verification failed:', err.message);
-    return res.status(400).json({ error: 'Webhook signature verification failed' });
+    console.error(`[Notify] ${event} for submission ${submission.id} failed:`, err);
+    return `${event}: failed`;
   }
+}
 
+async function notifyExtensionOwner(extId, event, data = {}, dedupeKey = null) {
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const firebaseUid = session.metadata?.firebase_uid;
-        const extId = session.metadata?.ext_id;
-        const planType = session.metadata?.plan_type || 'monthly';
-        if (!firebaseUid || !extId) break;
+    const ext = await db.getExtension(extId);
+    const developer = ext && await db.getDeveloperById(ext.developer_id);
+    if (!developer) return `${event}: no owner`;
+    return await notifier.notify(event, { developer }, { portal_url: PORTAL_URL, ext_id: extId, name: ext.name, ...data }, { dedupeKey });
+  } catch (err) {
+    console.error(`[Notify] ${event} for ${extId} failed:`, err);
+    return `${event}: failed`;
+  }
+}
 
-        // Link Stripe customer to our customer record
-        if (session.customer) {
-          await db.updateCustomerStripe(firebaseUid, session.customer);
-        }
+// ── Stripe event handling (shared by the webhook and admin replay) ──
+// Maps a Stripe subscription onto our entitlement status
+function subscriptionStatus(sub) {
+  if (['canceled', 'incomplete_expired'].includes(sub.status)) return 'expired';
+  if (!['active', 'trialing'].includes(sub.status)) return sub.status;
+  return sub.cancel_at_period_end ? 'cancelling' : 'active';
+}
 
-        // Create or update entitlement
-        await db.createEntitlement({
-          firebase_uid: firebaseUid,
-          ext_id: extId,
-          stripe_sub_id: session.subscription || null,
-          stripe_price_id: session.metadata?.price_id || null,
-          plan_type: planType,
-          status: 'active',
-        });
-        console.log(`[Stripe] Entitlement created: ${firebaseUid} → ${extId}`);
-        break;
+// Returns a short result note; throws on failure so the event is retried.
+async function handleStripeEvent(event) {
+  const eventAt = new Date(event.created * 1000);
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+      const firebaseUid = session.metadata?.firebase_uid;
+      const extId = session.metadata?.ext_id;
+      const planType = session.metadata?.plan_type || 'monthly';
+      if (!firebaseUid || !extId) return 'ignored (missing metadata)';
+
+      // Link Stripe customer to our customer record
+      if (session.customer) {
+        await db.updateCustomerStripe(firebaseUid, session.customer);
       }
 
-      case 'customer.subscription.updated': {
-        const sub = event.data.object;
-        const status = sub.cancel_at_period_end ? 'cancelling' : (sub.status === 'active' ? 'active' : sub.status);
-        await db.updateEntitlementBySubscription(sub.id, status);
-        console.log(`[Stripe] Subscription ${sub.id} updated → ${status}`);
-        break;
-      }
+      // Subscriptions run until the end of the paid period; one-time purchases never expire
+      const sub = session.subscription ? await stripe.subscriptions.retrieve(session.subscription) : null;
+
+      // Create or update entitlement
+      await db.createEntitlement({
+        firebase_uid: firebaseUid,
+        ext_id: extId,
+        stripe_sub_id: session.subscription || null,
+        stripe_price_id: session.metadata?.price_id || null,
+        stripe_payment_intent: session.payment_intent || null,
+        plan_type: planType,
+        status: 'active',
+        expires_at: sub ? new Date(sub.current_period_end * 1000) : null,
+        stripe_event_at: eventAt,
+      });
+      console.log(`[Stripe] Entitlement created: ${firebaseUid} → ${extId}`);
+      await db.completeCheckoutSession(session.id, eventAt);
+
+      const notified = await notifyExtensionOwner(extId, 'sale.created', {
+        plan_type: planType,
+        amount_cents: session.amount_total,
+        currency: session.currency,
+      }, `stripe:${event.id}`);
+
+      // Subscription sales are booked from their invoices instead
+      if (session.mode !== 'payment' || !session.payment_intent || !session.amount_total) return `entitlement created; ${notified}`;
+      const sale = await payouts.recordSale({
+        extId,
+        paymentIntent: session.payment_intent,
+        objectId: session.payment_intent,
+        amountCents: session.amount_total,
+        currency: session.currency,
+        firebaseUid,
+        description: 'One-time purchase',
+      });
+      return `entitlement created; ${sale}; ${notified}`;
+    }
 
-      case 'customer.subscription.deleted': {
-        const sub = event.data.object;
-        await db.updateEntitlementBySubscription(sub.id, 'expired');
-        console.log(`[Stripe] Subscription ${sub.id} deleted → expired`);
-        break;
-      }
+    case 'customer.subscription.updated': {
+      const sub = event.data.object;
+      const status = subscriptionStatus(sub);
+      const updated = await db.updateEntitlementBySubscription(sub.id, status, eventAt, new Date(sub.current_period_end * 1000));
+      console.log(`[Stripe] Subscription ${sub.id} updated → ${status}${updated ? '' : ' (stale, ignored)'}`);
+      return updated ? `subscription → ${status}` : 'ignored (stale or unknown subscription)';
+    }
 
-      case 'invoice.payment_succeeded': {
-        const invoice = event.data.object;
-        if (invoice.subscription) {
-          await db.updateEntitlementBySubscription(invoice.subscription, 'active');
-        }
-        break;
-      }
+    case 'customer.subscription.deleted': {
+      const sub = event.data.object;
+      const updated = await db.updateEntitlementBySubscription(sub.id, 'expired', eventAt);
+      console.log(`[Stripe] Subscription ${sub.id} deleted → expired`);
+      if (!updated) return 'ignored (stale or unknown subscription)';
+      if (!sub.metadata?.ext_id) return 'subscription → expired';
+      return `subscription → expired; ${await notifyExtensionOwner(sub.metadata.ext_id, 'subscription.ended', {}, `stripe:${event.id}`)}`;
+    }
 
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        if (invoice.subscription) {
-          await db.updateEntitlementBySubscription(invoice.subscription, 'past_due');
-        }
-        console.log(`[Stripe] Payment failed for subscription ${invoice.subscription}`);
-        break;
-      }
+    case 'invoice.payment_succeeded': {
+      const invoice = event.data.object;
+      if (!invoice.subscription) return 'ignored (no subscription)';
+      const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+      const updated = await db.updateEntitlementBySubscription(invoice.subscription, 'active', eventAt, periodEnd ? new Date(periodEnd * 1000) : null);
+      const result = updated ? 'subscription → active' : 'ignored (stale or unknown subscription)';
+
+      const meta = invoice.subscription_details?.metadata || {};
+      if (!meta.ext_id || !invoice.amount_paid) return result;
+      const sale = await payouts.recordSale({
+        extId: meta.ext_id,
+        paymentIntent: invoice.payment_intent,
+        objectId: invoice.id,
+        amountCents: invoice.amount_paid,
+        currency: invoice.currency,
+        firebaseUid: meta.firebase_uid,
+        description: invoice.billing_reason === 'subscription_create' ? 'Subscription started' : 'Subscription renewal',
+      });
+      return `${result}; ${sale}`;
+    }
+
+    case 'invoice.payment_failed': {
+      const invoice = event.data.object;
+      if (!invoice.subscription) return 'ignored (no subscription)';
+      const updated = await db.updateEntitlementBySubscription(invoice.subscription, 'past_due', eventAt);
+      console.log(`[Stripe] Payment failed for subscription ${invoice.subscription}`);
+      return updated ? 'subscription → past_due' : 'ignored (stale or unknown subscription)';
+    }
+
+    // Full refunds and disputes take access away; partial refunds only hit the ledger
+    case 'charge.refunded': {
+      const charge = event.data.object;
+      const ledger = await payouts.recordRefund(charge);
+      if (!charge.refunded) return ledger;
+      const { result, entitlement } = await entitlements.revokeForCharge(stripe, charge, `stripe:${event.id}`, 'Charge refunded');
+      if (!entitlement) return `${ledger}; ${result}`;
+      const notified = await notifyExtensionOwner(entitlement.ext_id, 'entitlement.revoked', { reason: 'the payment was refunded' }, `stripe:${event.id}`);
+      return `${ledger}; ${result}; ${notified}`;
+    }
+
+    case 'charge.dispute.created': {
+      const dispute = event.data.object;
+      const charge = await stripe.charges.retrieve(dispute.charge);
+      const { result, entitlement } = await entitlements.revokeForCharge(stripe, charge, `stripe:${event.id}`, `Charge disputed (${dispute.reason})`);
+      if (!entitlement) return result;
+      const notified = await notifyExtensionOwner(entitlement.ext_id, 'entitlement.revoked', {
+        reason: `the buyer disputed the charge (${dispute.reason.replace(/_/g, ' ')})`,
+      }, `stripe:${event.id}`);
+      return `${result}; ${notified}`;
+    }
+
+    // ── Connect payouts ──
+    case 'transfer.created':
+      return payouts.recordTransfer(stripe, event.data.object);
+
+    case 'transfer.reversed':
+    case 'transfer.updated': {
+      const transfer = event.data.object;
+      if (!transfer.amount_reversed) return 'ignored (no reversal)';
+      return payouts.recordTransferReversal(transfer);
     }
+
+    case 'account.updated':
+      return payouts.syncAccountStatus(event.data.object);
+
+    default:
+      return 'ignored (unhandled type)';
+  }
+}
+
+// Runs a recorded event and stores the outcome. Returns true on success.
+async function processStripeEvent(event) {
+  try {
+    const result = await handleStripeEvent(event);
+    await db.markStripeEvent(event.id, 'processed', result);
+    return true;
   } catch (err) {
-    console.error('[Stripe Webhook] Handler error:', err);
+    console.error(`[Stripe Webhook] Handler error for ${event.id}:`, err);
+    await db.markStripeEvent(event.id, 'failed', err.message);
+    return false;
+  }
+}
+
+// ── Stripe webhook needs raw body — must come BEFORE express.json() ──
+app.post('/api/webhook/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+  let event;
+  let verifyError = new Error('No webhook secret configured');
+  for (const secret of [STRIPE_WEBHOOK_SECRET, STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean)) {
+    try {
+      event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], secret);
+      break;
+    } catch (err) { verifyError = err; }
+  }
+  if (!event) {
+    console.error('[Stripe Webhook] Signature verification failed:', verifyError.message);
+    return res.status(400).json({ error: 'Webhook signature verification failed' });
   }
 
-  res.json({ received: true });
+  try {
+    await ensureTablesReady();
+
+    // Dedupe on event id: processed events are acknowledged without re-running
+    const record = await db.recordStripeEvent(event);
+    if (record.status === 'processed') return res.json({ received: true, duplicate: true });
+    if (record.status === 'processing' && !record.claimed) {
+      return res.status(409).json({ error: 'Event is already being processed' });
+    }
+
+    const ok = await processStripeEvent(event);
+    if (!ok) return res.status(500).json({ error: 'Event processing failed' });
+    res.json({ received: true });
+  } catch (err) {
+    // Could not even record the event — let Stripe retry
+    console.error('[Stripe Webhook] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
 // ── Now apply body parsers for all other routes ──
@@ -101,222 +280,2009 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
-const ADMIN_USER = process.env.ADMIN_USERNAME || 'admin';
-const ADMIN_PASS = process.env.ADMIN_PASSWORD || 'admin';
+// Only used to create the first owner account while the admins table is empty
+const ADMIN_BOOTSTRAP = { username: process.env.ADMIN_USERNAME || 'admin', password: process.env.ADMIN_PASSWORD || 'admin' };
 
 let tablesReady = false;
-app.use(async (req, res, next) => {
+async function ensureTablesReady() {
   if (!tablesReady) { await db.ensureTables(); tablesReady = true; }
+}
+app.use(async (req, res, next) => {
+  await ensureTablesReady();
+  next();
+});
+
+// ── Cookie helpers ───────────────────────────────────────────
+function getToken(req, name = 'admin_token') {
+  const cookie = req.headers.cookie || '';
+  const match = cookie.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? match[1] : null;
+}
+// Resolves the admin behind the session cookie (null if missing, expired, revoked or disabled)
+async function loadAdmin(req) {
+  let payload;
+  try {
+    payload = jwt.verify(getToken(req), JWT_SECRET);
+  } catch { return null; }
+  if (payload.role !== 'admin' || !payload.sid) return null;
+  const admin = await db.getActiveAdminSession(payload.sid);
+  if (admin && Date.now() - new Date(admin.last_seen_at).getTime() > 5 * 60 * 1000) {
+    await db.touchAdminSession(admin.session_id);
+  }
+  return admin || null;
+}
+function verifyDeveloper(req) {
+  try {
+    const payload = jwt.verify(getToken(req, 'dev_token'), JWT_SECRET);
+    return payload.role === 'developer' ? payload : null;
+  } catch { return null; }
+}
+async function loadDeveloper(req) {
+  const session = verifyDeveloper(req);
+  return session ? db.getDeveloperById(session.sub) : null;
+}
+
+function clientIp(req) {
+  return (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress || null;
+}
+
+/**
+ * Admin route guard. Loads req.admin, checks the role grants `permission`
+ * and, for anything but GET, that the form carried the session's CSRF token.
+ */
+function requireAdmin(permission = 'view') {
+  return async (req, res, next) => {
+    try {
+      const admin = await loadAdmin(req);
+      if (!admin) return req.method === 'GET' ? res.redirect('/admin/login') : res.status(401).send('Unauthorized');
+      const csrf = adminAuth.csrfToken(admin.session_id, JWT_SECRET);
+      if (req.method !== 'GET' && !adminAuth.csrfMatches(req.body._csrf || req.headers['x-csrf-token'], csrf)) {
+        return res.status(403).send('Invalid or missing CSRF token — reload the page and try again');
+      }
+      if (!adminAuth.can(admin, permission)) return res.status(403).send('Your admin role does not allow this');
+      req.admin = admin;
+      res.locals.admin = admin;
+      res.locals.csrfToken = csrf;
+      res.locals.can = perm => adminAuth.can(admin, perm);
+      next();
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Server error');
+    }
+  };
+}
+
+// Developer forms carry a CSRF token too, bound to the session cookie (dev
+// sessions have no id, so the token's issue time stands in for one)
+function developerCsrfToken(session) {
+  return adminAuth.csrfToken(`developer:${session.sub}:${session.iat}`, JWT_SECRET);
+}
+app.use('/dev', (req, res, next) => {
+  const session = verifyDeveloper(req);
+  if (session) res.locals.csrfToken = developerCsrfToken(session);
+  next();
+});
+
+// Guard for state-changing developer routes (signed-in developers only)
+function requireDeveloperCsrf(req, res, next) {
+  const session = verifyDeveloper(req);
+  if (!session) return res.redirect('/dev/login');
+  if (!adminAuth.csrfMatches(req.body._csrf || req.headers['x-csrf-token'], developerCsrfToken(session))) {
+    return res.status(403).send('Invalid or missing CSRF token — reload the page and try again');
+  }
   next();
+}
+
+// Appends to the admin audit log; target is [type, id]
+async function auditAdmin(req, action, target = [], details = null) {
+  await db.addAdminAudit({
+    admin_id: req.admin ? req.admin.id : null,
+    admin_username: req.admin ? req.admin.username : details?.username || 'unknown',
+    action,
+    target_type: target[0],
+    target_id: target[1],
+    details,
+    ip: clientIp(req),
+  });
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+function tokenMatches(token, hash) {
+  if (!token || !hash) return false;
+  const a = Buffer.from(hashToken(token), 'hex');
+  const b = Buffer.from(hash, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ============================================================
+// PUBLIC — Landing page (shows approved marketplace extensions)
+// ============================================================
+app.get('/', async (req, res) => {
+  const params = parseSearchParams(req.query);
+  let results = { ...params, total: 0, pages: 1, categories: {}, extensions: [] };
+  try {
+    results = await searchExtensions(PORTAL_URL, params);
+  } catch (err) {
+    console.error('Failed to build marketplace:', err.message);
+  }
+  res.render('landing', { results, sorts: SORTS, searchQueryString, portalUrl: PORTAL_URL });
+});
+
+// ============================================================
+// PUBLIC — Extension pages, search API and sitemap
+// ============================================================
+app.get('/extensions/:ext_id', async (req, res) => {
+  try {
+    const ext = await getExtensionDetail(req.params.ext_id, PORTAL_URL);
+    if (!ext) return res.status(404).render('extension', { ext: null, portalUrl: PORTAL_URL });
+    const reviews = (await db.getExtensionReviews(ext.id, { limit: 10 })).map(feedback.publicReview);
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.render('extension', { ext, reviews, permissionDescriptions: PERMISSION_DESCRIPTIONS, permissionRisk: PERMISSION_RISK, portalUrl: PORTAL_URL });
+  } catch (err) {
+    console.error('[Marketplace] Error:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Screenshot `index` of an approved version, read out of its package
+app.get('/extensions/:ext_id/screenshots/:version/:index', async (req, res) => {
+  try {
+    const versions = await db.getApprovedVersions(req.params.ext_id);
+    const sub = versions.find(v => v.version === req.params.version);
+    const shots = (sub && sub.manifest_json && sub.manifest_json.screenshots) || [];
+    const shotPath = shots[Number(req.params.index)];
+    if (!shotPath || !screenshotType(shotPath)) return res.status(404).send('Not found');
+
+    const file = (await loadPackage(sub)).files.find(f => f.path === shotPath);
+    if (!file) return res.status(404).send('Not found');
+    // A version's package never changes once approved
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.type(screenshotType(shotPath)).send(file.read());
+  } catch (err) {
+    console.error('[Marketplace] Screenshot error:', err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// Search: ?q=&category=&sort=popular|newest|top_rated|name&page=&per_page=
+app.get('/api/extensions', async (req, res) => {
+  try {
+    const results = await searchExtensions(PORTAL_URL, parseSearchParams(req.query));
+    const link = (page) => `${PORTAL_URL}/api/extensions${searchQueryString(results, { page })}`;
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json({
+      ...results,
+      links: {
+        self: link(results.page),
+        share: `${PORTAL_URL}/${searchQueryString(results)}`,
+        next: results.page < results.pages ? link(results.page + 1) : null,
+        prev: results.page > 1 ? link(Math.min(results.page - 1, results.pages)) : null,
+      },
+    });
+  } catch (err) {
+    console.error('[Marketplace] Search error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const { extensions } = await buildMarketplace(PORTAL_URL);
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const urls = [`  <url><loc>${esc(PORTAL_URL)}/</loc></url>`, `  <url><loc>${esc(PORTAL_URL)}/docs</loc></url>`];
+    for (const ext of extensions) {
+      if (!ext.page_url) continue;
+      const lastmod = ext.updated_at ? `<lastmod>${new Date(ext.updated_at).toISOString().slice(0, 10)}</lastmod>` : '';
+      urls.push(`  <url><loc>${esc(ext.page_url)}</loc>${lastmod}</url>`);
+    }
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`);
+  } catch (err) {
+    console.error('[Marketplace] Sitemap error:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.get('/robots.txt', (req, res) => {
+  res.type('text/plain').send(`User-agent: *\nDisallow: /admin\nDisallow: /dev\nDisallow: /api/\nSitemap: ${PORTAL_URL}/sitemap.xml\n`);
+});
+
+// ============================================================
+// PUBLIC — Marketplace feed (generated from approved submissions)
+// ============================================================
+app.get('/marketplace.json', async (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json(await buildMarketplace(PORTAL_URL));
+  } catch (err) {
+    console.error('[Marketplace] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/marketplace/:ext_id.json', async (req, res) => {
+  try {
+    const detail = await getExtensionDetail(req.params.ext_id, PORTAL_URL);
+    if (!detail) return res.status(404).json({ error: 'Not found' });
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json(detail);
+  } catch (err) {
+    console.error('[Marketplace] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public keys for verifying release signatures (active + retired, for rotation)
+app.get('/api/signing-keys', (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json({ keys: getPublicKeys() });
+  } catch (err) {
+    console.error('[Signing] Key error:', err.message);
+    res.status(500).json({ error: 'Signing keys misconfigured' });
+  }
+});
+
+// Stable download URL for an approved version (redirects to storage)
+app.get('/download/:ext_id/:version', async (req, res) => {
+  try {
+    const versions = await db.getApprovedVersions(req.params.ext_id);
+    const sub = versions.find(v => v.version === req.params.version);
+    if (!sub || !sub.blob_url) return res.status(404).json({ error: 'Not found' });
+    // Raw download counts (the "popular" sort uses installs); a failed count must not block the download
+    await Promise.all([db.incrementExtensionDownloads(sub.ext_id), telemetry.recordDownload(sub.ext_id, sub.version)])
+      .catch(err => console.error('[Download] Count failed:', err.message));
+    // Approved packages are public; a signed link covers one whose move failed
+    res.redirect(302, storage.publicUrl(sub.blob_url) || storage.signedUrl(sub.blob_url, { filename: packageFileName(sub) }));
+  } catch (err) {
+    console.error('[Download] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Signed, expiring link to a stored object (lib/storage), e.g. a reviewer's download of a private build
+app.get('/storage/signed', async (req, res) => {
+  try {
+    if (!storage.verifySignedUrl(req.query)) return res.status(403).send('This link is invalid or has expired');
+    const body = await storage.getObject(req.query.location);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.attachment(req.query.filename).send(body);
+  } catch (err) {
+    console.error('[Storage] Signed download failed:', err.message);
+    res.status(404).send('Not found');
+  }
+});
+
+// Public objects of the local-filesystem backend (Blob serves its own)
+app.get('/storage/public/*', async (req, res) => {
+  try {
+    const body = await storage.getObject(`local://public/${req.params[0]}`);
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.attachment(path.basename(req.params[0])).send(body);
+  } catch (err) {
+    res.status(404).send('Not found');
+  }
+});
+
+// ============================================================
+// DOCS — Extension guidelines
+// ============================================================
+app.get('/docs', (req, res) => {
+  res.render('docs', { schemaUrl: schemaUrl(PORTAL_URL, LATEST_API_VERSION), portalUrl: PORTAL_URL, retentionDays: storage.RETENTION_DAYS, storageBackend: storage.BACKEND });
+});
+
+// ============================================================
+// DEVELOPER TOOLS — Manifest schema and package validation (CLI / CI)
+// ============================================================
+// Versioned JSON Schema for manifest.json; the unversioned URL follows the latest SDK
+app.get('/schemas/manifest.json', (req, res) => {
+  res.redirect(302, `/schemas/manifest/${LATEST_API_VERSION}.json`);
+});
+
+app.get('/schemas/manifest/:api_version.json', (req, res) => {
+  const schema = manifestSchema(req.params.api_version, PORTAL_URL);
+  if (!schema) return res.status(404).json({ error: `No manifest schema for api_version ${req.params.api_version}` });
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+});
+
+// Runs the same package checks as /submit without creating a submission. Accepts the
+// zip as the raw body (application/zip) or as a multipart "file" field.
+app.post('/api/validate', express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: '10mb' }), async (req, res) => {
+  try {
+    let buffer = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!buffer && req.is('multipart/form-data')) {
+      buffer = await new Promise((resolve, reject) => {
+        const chunks = [];
+        let truncated = false;
+        const busboy = Busboy({ headers: req.headers, limits: { fileSize: 10 * 1024 * 1024, files: 1 } });
+        busboy.on('file', (name, file) => {
+          file.on('data', d => chunks.push(d));
+          file.on('limit', () => { truncated = true; });
+        });
+        busboy.on('finish', () => resolve(truncated ? 'too_large' : chunks.length ? Buffer.concat(chunks) : null));
+        busboy.on('error', reject);
+        req.pipe(busboy);
+      });
+    }
+    if (buffer === 'too_large') return res.status(413).json({ error: 'Zip is larger than 10MB' });
+    if (!buffer || !buffer.length) {
+      return res.status(400).json({ error: 'Send the extension zip as the request body (Content-Type: application/zip) or as a multipart "file" field' });
+    }
+    res.json(await validatePackage(buffer));
+  } catch (err) {
+    console.error('[Validate] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Archive, manifest and file checks plus the version rule against the last approved release
+async function validatePackage(buffer) {
+  const { manifest, fileList, archiveResult } = await parseZipContents(buffer);
+  const { error, result } = issueCollector();
+  const results = [archiveResult];
+
+  if (archiveResult.valid) {
+    if (!manifest && fileList.includes('manifest.json')) error('invalid_json', 'manifest.json', 'manifest.json is not valid JSON');
+    if (manifest) {
+      if (typeof manifest !== 'object' || Array.isArray(manifest)) {
+        error('invalid_type', 'manifest.json', 'manifest.json must contain a JSON object');
+      } else {
+        const manifestResult = validateManifest(manifest);
+        results.push(manifestResult);
+        const extId = extIdFor(manifest);
+        if (manifestResult.valid) {
+          const approved = await db.getApprovedVersions(extId);
+          const latest = approved.map(v => v.version).sort(compareVersions).pop();
+          if (latest && compareVersions(manifest.version, latest) <= 0) {
+            error('version_not_higher', 'manifest.json#/version', `Version ${manifest.version} must be higher than the last approved version ${latest}`);
+          }
+        }
+      }
+    }
+    results.push(validateFiles(fileList, manifest && typeof manifest === 'object' ? manifest : {}));
+  }
+  results.push(result());
+
+  const errors = results.flatMap(r => r.issues.errors);
+  const warnings = results.flatMap(r => r.issues.warnings);
+  const apiVersion = (manifest && typeof manifest.api_version === 'string' && manifest.api_version) || '1.0';
+  return {
+    valid: errors.length === 0,
+    schema: schemaUrl(PORTAL_URL, manifestSchema(apiVersion, PORTAL_URL) ? apiVersion : LATEST_API_VERSION),
+    manifest: manifest && typeof manifest === 'object' && !Array.isArray(manifest)
+      ? { id: extIdFor(manifest), name: manifest.name || null, version: manifest.version || null, api_version: apiVersion }
+      : null,
+    errors,
+    warnings,
+  };
+}
+
+// ============================================================
+// DEVELOPER — Submit extension
+// ============================================================
+app.get('/submit', async (req, res) => {
+  // Submissions are owned by a developer account (one owner per ext_id)
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  res.locals.developer = developer;
+  if (req.query.upload) {
+    const upload = await ownUpload(developer, req.query.upload);
+    if (upload) return renderUpload(res, developer, upload);
+  }
+  if (req.query.resubmit) res.locals.resubmit = await resubmitTarget(developer, req.query.resubmit);
+  res.render('submit', { error: null, success: null, categories: ALLOWED_CATEGORIES });
+});
+
+// Multipart fallback for browsers without JavaScript; the form normally uploads straight to storage
+app.post('/submit', async (req, res) => {
+  try {
+    const developer = await loadDeveloper(req);
+    if (!developer) return res.redirect('/dev/login');
+    res.locals.developer = developer;
+
+    const result = await processSubmission(developer, await readUpload(req));
+    // Resubmission answering "changes requested": keep its context on every re-render of the form
+    if (result.prior) res.locals.resubmit = result.prior;
+    if (!result.ok) {
+      return res.render('submit', { error: result.message, success: null, categories: ALLOWED_CATEGORIES });
+    }
+
+    const { submission, statusToken, lastApproved, analysis, warnings } = result;
+    const successMsg = submittedMessage({
+      submission: { id: submission.id, name: submission.name, version: submission.version },
+      update_of: lastApproved ? lastApproved.version : null,
+      warnings,
+    }, `${PORTAL_URL}/api/status/${submission.id}?token=${statusToken}`);
+
+    res.locals.resubmit = null;
+    res.render('submit', { error: null, success: successMsg, report: analysis.permission_report, categories: ALLOWED_CATEGORIES });
+  } catch (err) {
+    console.error('Submit error:', err);
+    res.render('submit', { error: 'Upload failed: ' + err.message, success: null, categories: ALLOWED_CATEGORIES });
+  }
+});
+
+// The submission a resubmission answers, if it is the developer's and still waiting for changes
+async function resubmitTarget(developer, id) {
+  const prior = await db.getSubmissionById(id);
+  return prior && prior.developer_id === developer.id && prior.status === 'changes_requested' ? prior : null;
+}
+
+// Confirmation after a build is accepted; the private status link is only included the first time
+function submittedMessage({ submission, update_of, warnings }, statusLink = null) {
+  return `Extension "${submission.name}" v${submission.version} submitted for review! Submission #${submission.id}` +
+    (update_of ? ` (update to v${update_of})` : '') +
+    (statusLink
+      ? `\n\nTrack it from your developer dashboard, or share this private status link (shown only once):\n${statusLink}`
+      : '\n\nTrack it from your developer dashboard.') +
+    (warnings.length ? `\n\nWarnings:\n• ${warnings.map(w => w.message).join('\n• ')}` : '');
+}
+
+// ── Direct uploads ───────────────────────────────────────────
+// The browser asks for an upload, sends the zip to Blob (client token) or, in
+// dev, to a signed local URL, reports it complete, then polls while the build
+// is processed from storage. The cron sweep finishes uploads nobody polls.
+const SUBMISSION_FIELDS = [
+  'resubmit_id', 'resubmit_note', 'author_name', 'author_email', 'author_website', 'author_github', 'author_twitter',
+  'author_discord', 'category', 'pricing_model', 'price', 'trial_days',
+];
+const UPLOAD_OPEN_STATUSES = ['awaiting_upload', 'uploaded', 'processing'];
+
+async function ownUpload(developer, id) {
+  if (!/^\d+$/.test(String(id))) return null;
+  const upload = await db.getUpload(id);
+  return upload && upload.developer_id === developer.id ? upload : null;
+}
+
+async function renderUpload(res, developer, upload) {
+  const render = locals => res.render('submit', { error: null, success: null, categories: ALLOWED_CATEGORIES, ...locals });
+  if (UPLOAD_OPEN_STATUSES.includes(upload.status)) return render({ processing: upload });
+  if (upload.status === 'expired') return render({ error: 'This upload was never completed. Please upload the file again.' });
+  if (upload.status === 'failed') {
+    if (upload.fields.resubmit_id) res.locals.resubmit = await resubmitTarget(developer, upload.fields.resubmit_id);
+    return render({ error: upload.result.message });
+  }
+  const result = upload.result;
+  if (result.status_link) await db.clearUploadStatusLink(upload.id);
+  render({ success: submittedMessage(result, result.status_link), report: result.report });
+}
+
+// Starts an upload: checks the declared size against the category's limit and returns where to send the file
+app.post('/submit/uploads', async (req, res) => {
+  try {
+    const developer = await loadDeveloper(req);
+    if (!developer) return res.status(401).json({ error: 'Sign in to submit extensions' });
+
+    const fileName = typeof req.body.file_name === 'string' ? req.body.file_name.slice(0, 255) : '';
+    const size = Number(req.body.size);
+    const fields = {};
+    for (const name of SUBMISSION_FIELDS) {
+      if (typeof req.body.fields?.[name] === 'string') fields[name] = req.body.fields[name];
+    }
+    if (!fileName.endsWith('.zip')) return res.status(400).json({ error: 'Only .zip files are accepted.' });
+    if (!Number.isSafeInteger(size) || size <= 0) return res.status(400).json({ error: 'No file uploaded.' });
+    const maxBytes = uploads.maxUploadBytes({ category: fields.category });
+    if (size > maxBytes) {
+      return res.status(413).json({
+        error: `The file is ${uploads.formatBytes(size)}; ${fields.category || 'extension'} uploads can be at most ${uploads.formatBytes(maxBytes)}.`,
+      });
+    }
+
+    const upload = await db.createUpload({
+      developer_id: developer.id,
+      file_name: fileName,
+      size_bytes: size,
+      max_bytes: maxBytes,
+      fields,
+      storage: uploads.USE_BLOB ? 'blob' : 'local',
+    });
+    if (upload.storage === 'blob') {
+      return res.status(201).json({
+        id: upload.id, storage: 'blob', max_bytes: maxBytes,
+        pathname: uploads.uploadPathname(upload), handle_upload_url: '/submit/uploads/blob',
+      });
+    }
+    const token = jwt.sign({ sub: upload.id, purpose: 'upload' }, JWT_SECRET, { expiresIn: `${uploads.UPLOAD_TTL_MINUTES}m` });
+    res.status(201).json({ id: upload.id, storage: 'local', max_bytes: maxBytes, upload_url: `/submit/uploads/${upload.id}/file?token=${token}` });
+  } catch (err) {
+    console.error('[Uploads] Start failed:', err);
+    res.status(500).json({ error: 'Could not start the upload' });
+  }
+});
+
+// Vercel Blob client uploads: issues the client token (browser, signed in) and receives
+// Blob's signed upload-completed callback. Either that or the browser's /complete marks the file received.
+app.post('/submit/uploads/blob', async (req, res) => {
+  try {
+    const response = await handleUpload({
+      body: req.body,
+      request: req,
+      onBeforeGenerateToken: async (pathname, clientPayload) => {
+        const developer = await loadDeveloper(req);
+        const upload = developer && await ownUpload(developer, clientPayload);
+        if (!upload || upload.status !== 'awaiting_upload' || pathname !== uploads.uploadPathname(upload)) {
+          throw new Error('Upload not found');
+        }
+        return {
+          allowedContentTypes: ['application/zip'],
+          maximumSizeInBytes: Number(upload.max_bytes),
+          validUntil: new Date(upload.created_at).getTime() + uploads.UPLOAD_TTL_MINUTES * 60 * 1000,
+          addRandomSuffix: true,
+          tokenPayload: String(upload.id),
+        };
+      },
+      onUploadCompleted: async ({ blob, tokenPayload }) => {
+        const upload = /^\d+$/.test(String(tokenPayload)) ? await db.getUpload(tokenPayload) : null;
+        if (upload && uploads.isUploadBlobUrl(upload, blob.url)) await db.markUploadReceived(upload.id, blob.url);
+      },
+    });
+    res.json(response);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Local-disk stand-in for Blob (no BLOB_READ_WRITE_TOKEN): the raw zip as the body of a signed PUT
+app.put('/submit/uploads/:id/file', async (req, res) => {
+  try {
+    let payload = null;
+    try { payload = jwt.verify(String(req.query.token || ''), JWT_SECRET); } catch {}
+    if (!payload || payload.purpose !== 'upload' || String(payload.sub) !== req.params.id) {
+      return res.status(403).json({ error: 'Invalid or expired upload link' });
+    }
+    const upload = await db.getUpload(req.params.id);
+    if (!upload || upload.storage !== 'local' || upload.status !== 'awaiting_upload') {
+      return res.status(409).json({ error: 'This upload is no longer accepting a file' });
+    }
+
+    const saved = await uploads.saveLocalUpload(upload, req);
+    if (!saved.ok && saved.reason === 'too_large') {
+      return res.status(413).json({ error: `The file is larger than the ${uploads.formatBytes(Number(upload.max_bytes))} limit.` });
+    }
+    if (!saved.ok) {
+      return res.status(400).json({ error: `Upload incomplete: received ${saved.bytes} of ${upload.size_bytes} bytes. Please try again.` });
+    }
+    await db.markUploadReceived(upload.id);
+    res.json({ id: upload.id, status: 'uploaded' });
+  } catch (err) {
+    console.error('[Uploads] Local upload failed:', err);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+// The browser reports the upload finished; for Blob it names the stored file
+app.post('/submit/uploads/:id/complete', async (req, res) => {
+  try {
+    const developer = await loadDeveloper(req);
+    if (!developer) return res.status(401).json({ error: 'Sign in to submit extensions' });
+    let upload = await ownUpload(developer, req.params.id);
+    if (!upload) return res.status(404).json({ error: 'Upload not found' });
+
+    if (upload.storage === 'blob' && upload.status === 'awaiting_upload') {
+      if (!uploads.isUploadBlobUrl(upload, req.body.url)) return res.status(400).json({ error: 'That file does not belong to this upload' });
+      upload = await db.markUploadReceived(upload.id, req.body.url) || await db.getUpload(upload.id);
+    }
+    if (upload.status === 'awaiting_upload') return res.status(409).json({ error: 'The file has not been received yet' });
+    res.status(202).json({ id: upload.id, status: upload.status, status_url: `/submit?upload=${upload.id}` });
+  } catch (err) {
+    console.error('[Uploads] Complete failed:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Polled by the processing page. A received upload nobody is working on is processed
+// within this request, so processing doesn't depend on work outliving a response.
+app.get('/submit/uploads/:id', async (req, res) => {
+  try {
+    const developer = await loadDeveloper(req);
+    if (!developer) return res.status(401).json({ error: 'Sign in to submit extensions' });
+    let upload = await ownUpload(developer, req.params.id);
+    if (!upload) return res.status(404).json({ error: 'Upload not found' });
+    if (['uploaded', 'processing'].includes(upload.status)) {
+      await processUpload(upload.id);
+      upload = await db.getUpload(upload.id);
+    }
+    res.json({ id: upload.id, status: upload.status, submission_id: upload.submission_id || null });
+  } catch (err) {
+    console.error('[Uploads] Status failed:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Turns a received upload into a submission and records the outcome on the
+ * upload. Only runs if it can claim the upload, so the page's poll and the
+ * cron sweep never process the same file twice. The stored file is deleted
+ * afterwards; processSubmission keeps its own copy of accepted builds.
+ */
+async function processUpload(id) {
+  const upload = await db.claimUpload(id);
+  if (!upload) return;
+  try {
+    const buffer = await uploads.readUploadedFile(upload);
+    if (buffer.length !== Number(upload.size_bytes)) {
+      const message = `Upload incomplete: received ${buffer.length} of ${upload.size_bytes} bytes`;
+      await db.finishUpload(upload.id, 'failed', {
+        message: `${message}. Please upload the file again.`,
+        errors: [{ code: 'incomplete_upload', path: upload.file_name, message }],
+      });
+    } else {
+      const developer = await db.getDeveloperById(upload.developer_id);
+      const result = await processSubmission(developer, { fields: upload.fields, fileName: upload.file_name, buffer });
+      if (!result.ok) {
+        await db.finishUpload(upload.id, 'failed', { message: result.message, errors: result.errors });
+      } else {
+        const { submission, statusToken, lastApproved, analysis, warnings } = result;
+        await db.finishUpload(upload.id, 'done', {
+          submission: { id: submission.id, name: submission.name, version: submission.version },
+          update_of: lastApproved ? lastApproved.version : null,
+          warnings,
+          status_link: `${PORTAL_URL}/api/status/${submission.id}?token=${statusToken}`,
+          report: analysis.permission_report,
+        }, submission.id);
+      }
+    }
+  } catch (err) {
+    console.error(`[Uploads] Processing upload ${upload.id} failed:`, err);
+    await db.finishUpload(upload.id, 'failed', { message: 'Upload failed: ' + err.message, errors: [] });
+  }
+  await uploads.removeUploadedFile(upload);
+}
+
+// Reads a multipart upload: every form field plus the (last) file's name and bytes.
+// `truncated` is set when the file hit the size cap and was cut short.
+function readUpload(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const fields = {};
+    let fileName = '';
+    let truncated = false;
+    const busboy = Busboy({
+      headers: req.headers,
+      limits: { fileSize: uploads.MAX_BUFFERED_UPLOAD_BYTES }
+    });
+
+    busboy.on('field', (name, val) => { fields[name] = val; });
+    busboy.on('file', (name, file, info) => {
+      fileName = info.filename;
+      file.on('data', d => { chunks.push(d); });
+      file.on('limit', () => { truncated = true; });
+    });
+    busboy.on('finish', () => resolve({ fields, fileName, buffer: chunks.length ? Buffer.concat(chunks) : null, truncated }));
+    busboy.on('error', reject);
+    req.pipe(busboy);
+  });
+}
+
+/**
+ * Validates, stores and announces an uploaded build for `developer`. Shared by
+ * /submit (direct uploads and the multipart fallback) and POST /api/v1/submissions. A rejection comes back as
+ * { ok: false, status, message, errors } — `message` for the form, `errors` as
+ * { code, path, message } issues with an HTTP status for the API. Success is
+ * { ok: true, submission, statusToken, lastApproved, analysis, warnings }.
+ * `prior` is the submission being answered, when this is a resubmission.
+ */
+async function processSubmission(developer, { fields, fileName, buffer, truncated = false }) {
+  let prior = null;
+  const reject = (status, message, errors) => ({ ok: false, prior, status, message, errors });
+  const issue = (code, path, message) => [{ code, path, message }];
+
+  if (fields.resubmit_id) {
+    prior = await db.getSubmissionById(fields.resubmit_id);
+    if (!prior || prior.developer_id !== developer.id || prior.status !== 'changes_requested') {
+      prior = null;
+      return reject(409, 'That submission is not waiting for changes.', issue('not_awaiting_changes', null, 'That submission is not waiting for changes'));
+    }
+  }
+
+  if (!buffer) return reject(400, 'No file uploaded.', issue('missing_file', null, 'No file uploaded'));
+  if (truncated) {
+    const message = `The file is larger than the ${uploads.formatBytes(uploads.MAX_BUFFERED_UPLOAD_BYTES)} limit for form and API uploads`;
+    return reject(413, `${message}.`, issue('file_too_large', fileName, message));
+  }
+  if (!fileName.endsWith('.zip')) return reject(400, 'Only .zip files are accepted.', issue('invalid_file_type', fileName, 'Only .zip files are accepted'));
+
+  // Parse zip: manifest.json, file list and per-file inventory
+  const { manifest, fileList, files, archiveResult } = await parseZipContents(buffer);
+
+  // Archive safety pass (zip bombs, traversal, symlinks, nested/encrypted entries)
+  if (!archiveResult.valid) {
+    return reject(422, `Archive rejected:\n• ${archiveResult.errors.join('\n• ')}`, archiveResult.issues.errors);
+  }
+
+  if (!manifest) {
+    return reject(422, 'No manifest.json found in zip root. Each extension must include a manifest.json.',
+      issue('missing_manifest', 'manifest.json', 'No manifest.json found in zip root'));
+  }
+
+  // Validate manifest
+  const manifestResult = validateManifest(manifest);
+  if (!manifestResult.valid) return reject(422, `Manifest errors: ${manifestResult.errors.join('; ')}`, manifestResult.issues.errors);
+
+  // Size limit for the category and extension type
+  const maxBytes = uploads.maxUploadBytes({ category: fields.category, type: manifest.type });
+  if (buffer.length > maxBytes) {
+    const message = `The file is ${uploads.formatBytes(buffer.length)}; ${manifest.type || 'sidebar'} extensions in ${fields.category || 'this category'} can be at most ${uploads.formatBytes(maxBytes)}`;
+    return reject(413, `${message}.`, issue('file_too_large', fileName, message));
+  }
+
+  // Validate file list
+  const filesResult = validateFiles(fileList, manifest);
+  if (!filesResult.valid) return reject(422, `File errors: ${filesResult.errors.join('; ')}`, filesResult.issues.errors);
+
+  // Validate pricing
+  const pricingResult = validatePricing(fields);
+  if (!pricingResult.valid) {
+    return reject(422, `Pricing errors: ${pricingResult.errors.join('; ')}`, pricingResult.errors.map(message => ({ code: 'invalid_pricing', path: null, message })));
+  }
+
+  // Static analysis of sources (stored for the reviewer, never blocks submission)
+  const analysis = analyzeSources(files, manifest);
+
+  // Headless smoke test against a mock Flip SDK (advisory, like the analysis)
+  const smokeTest = await runSmokeTest(files, manifest);
+
+  // Resolve ext_id (manifest "id" or slugified name) and check ownership
+  const extId = extIdFor(manifest);
+  const registered = await db.claimExtension(extId, developer.id, manifest.name);
+  if (registered.developer_id !== developer.id) {
+    // Unowned ids were published before developer accounts and stay reserved
+    return reject(409, `Extension id "${extId}" belongs to another developer. Set a unique "id" in manifest.json.`,
+      issue('ext_id_taken', 'manifest.json#/id', `Extension id "${extId}" belongs to another developer`));
+  }
+
+  // A resubmission must be for the same extension as the submission it answers
+  if (prior && prior.ext_id !== extId) {
+    return reject(409, `This build is for "${extId}", but the submission you are answering is for "${prior.ext_id}".`,
+      issue('resubmit_mismatch', 'manifest.json#/id', `This build is for "${extId}", but the submission you are answering is for "${prior.ext_id}"`));
+  }
+
+  // Updates must carry a strictly higher version than the last approved one
+  const previous = await db.getSubmissionsByExtension(extId);
+  const lastApproved = previous.filter(p => p.status === 'approved')
+    .sort((a, b) => compareVersions(b.version, a.version))[0];
+  if (lastApproved && compareVersions(manifest.version, lastApproved.version) <= 0) {
+    const message = `Version ${manifest.version} must be higher than the last approved version ${lastApproved.version}`;
+    return reject(409, `${message}.`, issue('version_not_higher', 'manifest.json#/version', message));
+  }
+  if (previous.some(p => review.OPEN_STATUSES.includes(p.status) && p.version === manifest.version && (!prior || p.id !== prior.id))) {
+    const message = `Version ${manifest.version} is already waiting for review`;
+    return reject(409, `${message}.`, issue('version_in_review', 'manifest.json#/version', message));
+  }
+
+  // Stored privately until approved (see setPackageAccess)
+  const packageLocation = await storage.putObject(`submissions/${extId}-${manifest.version}-${Date.now()}.zip`, buffer, {
+    access: 'private', contentType: 'application/zip',
+  });
+
+  // Secret token for sharing a status link without signing in (e.g. from CI)
+  const statusToken = crypto.randomBytes(24).toString('base64url');
+
+  // Save to DB
+  const submission = await db.createSubmission({
+    ext_id: extId,
+    name: manifest.name,
+    version: manifest.version,
+    description: manifest.description || fields.description || '',
+    author: manifest.author || fields.author_name || 'Unknown',
+    author_email: fields.author_email || developer.email,
+    author_website: fields.author_website || null,
+    author_github: fields.author_github || null,
+    author_twitter: fields.author_twitter || null,
+    author_discord: fields.author_discord || null,
+    category: fields.category || manifest.category || 'utilities',
+    icon: manifest.icon || 'puzzle',
+    type: manifest.type || 'sidebar',
+    permissions: manifest.permissions || [],
+    api_version: manifest.api_version || '1.0',
+    blob_url: packageLocation,
+    manifest_json: manifest,
+    analysis,
+    smoke_test: smokeTest,
+    developer_id: developer.id,
+    status_token_hash: hashToken(statusToken),
+    replaces_id: lastApproved ? lastApproved.id : null,
+    pricing: pricingResult.pricing,
+    // A resubmission goes straight back to the reviewer who asked for changes
+    thread_id: prior ? review.threadIdFor(prior) : null,
+    assigned_to: prior ? prior.assigned_to : null,
+    status: prior && prior.assigned_to ? 'in_review' : 'pending',
+  });
+  if (prior) {
+    await db.setSubmissionStatus(prior.id, 'superseded');
+    await db.addReviewComment({
+      thread_id: review.threadIdFor(prior),
+      submission_id: submission.id,
+      author_type: 'developer',
+      author_name: developer.name || developer.email,
+      body: (fields.resubmit_note || '').trim().slice(0, 5000) || `Resubmitted as v${manifest.version}`,
+      status_change: submission.status,
+    });
+  }
+
+  await notifySubmission(submission, 'submission.received', { resubmission: !!prior });
+
+  const warnings = [...archiveResult.issues.warnings, ...manifestResult.issues.warnings, ...filesResult.issues.warnings];
+  if (analysis.summary.high) {
+    warnings.push({ code: 'static_analysis', path: null, message: `Static analysis flagged ${analysis.summary.high} high-severity issue(s) for the reviewer (eval, injected scripts, minified code or undeclared permissions)` });
+  }
+  if (smokeTest.status === 'failed') {
+    warnings.push({ code: 'smoke_test_failed', path: manifest.main, message: `The automated smoke test failed to run ${manifest.main} cleanly (${smokeTest.errors.length} error(s)); the reviewer will see the details` });
+  }
+  if (pricingResult.pricing.model !== 'free' && !payouts.canReceivePayments(developer)) {
+    warnings.push({ code: 'payouts_incomplete', path: null, message: 'Paid extensions can only be bought once you finish payout setup under Earnings in your developer dashboard' });
+  }
+  return { ok: true, prior, submission, statusToken, lastApproved, analysis, warnings };
+}
+
+// ============================================================
+// DEVELOPER — Accounts
+// ============================================================
+function setDeveloperCookie(res, developer) {
+  const token = jwt.sign({ sub: developer.id, role: 'developer' }, JWT_SECRET, { expiresIn: '7d' });
+  res.setHeader('Set-Cookie', `dev_token=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=604800`);
+}
+
+app.get('/dev/login', (req, res) => {
+  if (verifyDeveloper(req)) return res.redirect('/dev');
+  res.render('dev-login', { mode: 'login', error: null });
+});
+
+app.post('/dev/login', async (req, res) => {
+  const email = (req.body.email || '').trim().toLowerCase();
+  const developer = email ? await db.getDeveloperByEmail(email) : null;
+  if (developer && await bcrypt.compare(req.body.password || '', developer.password_hash)) {
+    setDeveloperCookie(res, developer);
+    return res.redirect('/dev');
+  }
+  res.render('dev-login', { mode: 'login', error: 'Invalid email or password' });
+});
+
+app.get('/dev/register', (req, res) => {
+  if (verifyDeveloper(req)) return res.redirect('/dev');
+  res.render('dev-login', { mode: 'register', error: null });
+});
+
+app.post('/dev/register', async (req, res) => {
+  try {
+    const email = (req.body.email || '').trim().toLowerCase();
+    const password = req.body.password || '';
+    if (!email.includes('@')) return res.render('dev-login', { mode: 'register', error: 'Valid email is required' });
+    if (password.length < 8) return res.render('dev-login', { mode: 'register', error: 'Password must be at least 8 characters' });
+
+    const developer = await db.createDeveloper({
+      email,
+      name: (req.body.name || '').trim() || null,
+      password_hash: await bcrypt.hash(password, 10),
+    });
+    if (!developer) return res.render('dev-login', { mode: 'register', error: 'An account with this email already exists' });
+
+    setDeveloperCookie(res, developer);
+    res.redirect('/dev');
+  } catch (err) {
+    console.error('Register error:', err);
+    res.render('dev-login', { mode: 'register', error: 'Registration failed' });
+  }
+});
+
+app.get('/dev/logout', (req, res) => {
+  res.setHeader('Set-Cookie', 'dev_token=; Path=/; HttpOnly; Max-Age=0');
+  res.redirect('/dev/login');
+});
+
+// Developer — Dashboard (own extensions, every version)
+app.get('/dev', async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const submissions = await db.getSubmissionsByDeveloper(developer.id);
+    const extensions = [];
+    for (const sub of submissions) {
+      let ext = extensions.find(e => e.ext_id === sub.ext_id);
+      if (!ext) { ext = { ext_id: sub.ext_id, name: sub.name, versions: [] }; extensions.push(ext); }
+      ext.versions.push(sub);
+    }
+    res.render('dev-dashboard', { developer, extensions });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Developer — One submission with its review thread
+app.get('/dev/submissions/:id', async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const submission = await db.getSubmissionById(req.params.id);
+    if (!submission || submission.developer_id !== developer.id) return res.status(404).send('Not found');
+    const threadId = review.threadIdFor(submission);
+    const [thread, comments] = await Promise.all([db.getThreadSubmissions(threadId), db.getThreadComments(threadId)]);
+    res.render('dev-submission', { developer, submission, thread, comments });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/dev/submissions/:id/comments', requireDeveloperCsrf, async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const submission = await db.getSubmissionById(req.params.id);
+    if (!submission || submission.developer_id !== developer.id) return res.status(404).send('Not found');
+    const body = (req.body.body || '').trim();
+    if (!body) return res.status(400).send('Comment is empty');
+    await db.addReviewComment({
+      thread_id: review.threadIdFor(submission),
+      submission_id: submission.id,
+      author_type: 'developer',
+      author_name: developer.name || developer.email,
+      body: body.slice(0, 5000),
+    });
+    res.redirect(`/dev/submissions/${submission.id}#thread`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Developer — Withdraw or restore a published extension (takedowns are admin-only)
+app.post('/dev/extensions/:ext_id/:action(unpublish|republish)', requireDeveloperCsrf, async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const ext = await db.getExtension(req.params.ext_id);
+    if (!ext || ext.developer_id !== developer.id) return res.status(404).send('Not found');
+    const [from, to] = req.params.action === 'unpublish' ? ['approved', 'unpublished'] : ['unpublished', 'approved'];
+    const all = await db.getSubmissionsByExtension(ext.ext_id);
+    if (to === 'approved' && all.some(sub => sub.status === 'taken_down')) {
+      return res.status(409).send('This extension was taken down by the review team and cannot be republished');
+    }
+    const versions = all.filter(sub => sub.status === from);
+    await setPackageAccess(versions, to === 'approved' ? 'public' : 'private');
+    const changed = await db.setExtensionVersionsStatus(ext.ext_id, from, to);
+    for (const sub of changed) {
+      await db.addReviewComment({
+        thread_id: review.threadIdFor(sub),
+        submission_id: sub.id,
+        author_type: 'developer',
+        author_name: developer.name || developer.email,
+        body: `${req.params.action === 'unpublish' ? 'Unpublished' : 'Republished'} by the developer`,
+        status_change: to,
+      });
+    }
+    res.redirect('/dev');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// DEVELOPER — Payouts (Stripe Connect)
+// ============================================================
+async function onboardingLink(accountId) {
+  const link = await stripe.accountLinks.create({
+    account: accountId,
+    refresh_url: `${PORTAL_URL}/dev/payouts/onboard`,
+    return_url: `${PORTAL_URL}/dev/earnings`,
+    type: 'account_onboarding',
+  });
+  return link.url;
+}
+
+// Creates the developer's Express account on first use, then starts onboarding
+app.post('/dev/payouts/connect', requireDeveloperCsrf, async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    let accountId = developer.stripe_account_id;
+    if (!accountId) {
+      const account = await stripe.accounts.create({
+        type: 'express',
+        email: developer.email,
+        capabilities: { card_payments: { requested: true }, transfers: { requested: true } },
+        metadata: { developer_id: String(developer.id) },
+      });
+      accountId = account.id;
+      await db.setDeveloperStripeAccount(developer.id, accountId);
+    }
+    res.redirect(303, await onboardingLink(accountId));
+  } catch (err) {
+    console.error('[Connect] Onboarding error:', err);
+    res.status(500).send('Could not start payout setup');
+  }
+});
+
+// Stripe sends expired onboarding links here
+app.get('/dev/payouts/onboard', async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  if (!developer.stripe_account_id) return res.redirect('/dev/earnings');
+  try {
+    res.redirect(await onboardingLink(developer.stripe_account_id));
+  } catch (err) {
+    console.error('[Connect] Onboarding error:', err);
+    res.status(500).send('Could not resume payout setup');
+  }
+});
+
+app.post('/dev/payouts/dashboard', requireDeveloperCsrf, async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  if (!developer.stripe_account_id) return res.redirect('/dev/earnings');
+  try {
+    const link = await stripe.accounts.createLoginLink(developer.stripe_account_id);
+    res.redirect(303, link.url);
+  } catch (err) {
+    console.error('[Connect] Login link error:', err);
+    res.status(500).send('Could not open the Stripe dashboard');
+  }
+});
+
+app.get('/dev/earnings', async (req, res) => {
+  let developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    // Returning from onboarding: refresh now rather than waiting for account.updated
+    if (developer.stripe_account_id && !developer.payouts_enabled) {
+      try {
+        await payouts.syncAccountStatus(await stripe.accounts.retrieve(developer.stripe_account_id));
+        developer = await db.getDeveloperById(developer.id);
+      } catch (err) {
+        console.error('[Connect] Account refresh failed:', err.message);
+      }
+    }
+    const [summary, entries] = await Promise.all([
+      db.getEarningsByExtension(developer.id),
+      db.getLedgerForDeveloper(developer.id, 100),
+    ]);
+    res.render('dev-earnings', { developer, summary, entries, feePercent: payouts.PLATFORM_FEE_PERCENT });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.get('/dev/earnings.csv', async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const entries = await db.getLedgerForDeveloper(developer.id);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="flip-earnings-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(payouts.ledgerCsv(entries));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// DEVELOPER — Ratings and reviews (read + reply)
+// ============================================================
+// Resolves the extension if the signed-in developer owns it
+async function ownedExtension(developer, extId) {
+  const ext = await db.getExtension(extId);
+  return ext && ext.developer_id === developer.id ? ext : null;
+}
+
+app.get('/dev/extensions/:ext_id/reviews', async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const ext = await ownedExtension(developer, req.params.ext_id);
+    if (!ext) return res.status(404).send('Not found');
+    const [summary, reviews] = await Promise.all([
+      db.getExtensionRatingSummary(ext.ext_id),
+      db.getExtensionReviews(ext.ext_id, { includeHidden: true, limit: 200 }),
+    ]);
+    res.render('dev-reviews', { developer, ext, summary, reviews, maxReply: feedback.MAX_REPLY_LENGTH, error: req.query.error || null });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Posting an empty reply removes it
+app.post('/dev/reviews/:id/reply', requireDeveloperCsrf, async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const item = await db.getExtensionReview(req.params.id);
+    if (!item || !(await ownedExtension(developer, item.ext_id))) return res.status(404).send('Not found');
+    const back = `/dev/extensions/${encodeURIComponent(item.ext_id)}/reviews`;
+    const result = feedback.validateReply(req.body);
+    if (!result.valid) return res.redirect(`${back}?error=${encodeURIComponent(result.errors[0])}`);
+    await db.setReviewReply(item.id, result.value.body);
+    res.redirect(`${back}#review-${item.id}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// DEVELOPER — Analytics (installs, versions, checkout conversion)
+// ============================================================
+app.get('/dev/extensions/:ext_id/analytics', async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const ext = await ownedExtension(developer, req.params.ext_id);
+    if (!ext) return res.status(404).send('Not found');
+    const stats = await telemetry.getExtensionAnalytics(ext.ext_id, telemetry.parseRange(req.query.days));
+    res.render('extension-analytics', {
+      ext, stats, charts, ranges: telemetry.RANGES, activeDays: telemetry.ACTIVE_DAYS,
+      viewer: 'developer', developer,
+      basePath: `/dev/extensions/${encodeURIComponent(ext.ext_id)}/analytics`,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// DEVELOPER — Notification settings
+// ============================================================
+app.get('/dev/settings', async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  res.render('dev-settings', { developer, categories: notifier.CATEGORIES, saved: req.query.saved === '1' });
+});
+
+app.post('/dev/settings', requireDeveloperCsrf, async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    // Unchecked boxes aren't submitted, so store every category explicitly
+    const prefs = {};
+    for (const key of Object.keys(notifier.CATEGORIES)) prefs[key] = req.body[key] === 'on';
+    await db.setDeveloperNotificationPrefs(developer.id, prefs);
+    res.redirect('/dev/settings?saved=1');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// DEVELOPER — API tokens (for /api/v1 from CI)
+// ============================================================
+const API_TOKEN_PREFIX = 'flip_';
+const MAX_API_TOKENS = 20;
+
+async function renderApiTokens(res, developer, locals = {}) {
+  const tokens = await db.getApiTokens(developer.id);
+  res.render('dev-tokens', { developer, tokens, created: null, error: null, portalUrl: PORTAL_URL, ...locals });
+}
+
+app.get('/dev/tokens', async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    await renderApiTokens(res, developer);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// The token is only ever shown in this response; we keep its hash
+app.post('/dev/tokens', requireDeveloperCsrf, async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    const name = (req.body.name || '').trim().slice(0, 100);
+    if (!name) return renderApiTokens(res, developer, { error: 'Give the token a name, e.g. "GitHub Actions"' });
+    if ((await db.getApiTokens(developer.id)).length >= MAX_API_TOKENS) {
+      return renderApiTokens(res, developer, { error: `You can have at most ${MAX_API_TOKENS} active tokens — revoke one first` });
+    }
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    await db.createApiToken({ developer_id: developer.id, name, token_hash: hashToken(token), token_hint: token.slice(-4) });
+    await renderApiTokens(res, developer, { created: { name, token } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/dev/tokens/:id/revoke', requireDeveloperCsrf, async (req, res) => {
+  const developer = await loadDeveloper(req);
+  if (!developer) return res.redirect('/dev/login');
+  try {
+    await db.revokeApiToken(req.params.id, developer.id);
+    res.redirect('/dev/tokens');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// ADMIN — Auth
+// ============================================================
+app.get('/admin/login', async (req, res) => {
+  if (await loadAdmin(req)) return res.redirect('/admin');
+  res.render('admin-login', { error: null, step: 'password', pending: null, csrfToken: setLoginCsrf(res) });
+});
+
+// Login forms have no session yet, so they use a double-submit cookie instead
+function setLoginCsrf(res) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  res.setHeader('Set-Cookie', `admin_login_csrf=${token}; Path=/admin/login; HttpOnly; SameSite=Strict; Max-Age=1800`);
+  return token;
+}
+
+async function startAdminSession(req, res, admin) {
+  const id = adminAuth.newSessionId();
+  await db.createAdminSession({
+    id,
+    admin_id: admin.id,
+    ip: clientIp(req),
+    user_agent: (req.headers['user-agent'] || '').slice(0, 300),
+    expires_at: new Date(Date.now() + adminAuth.SESSION_TTL_SECONDS * 1000),
+  });
+  await db.touchAdminLogin(admin.id);
+  req.admin = admin;
+  await auditAdmin(req, 'login', ['session', id.slice(0, 8)]);
+  const token = jwt.sign({ sub: admin.id, sid: id, role: 'admin' }, JWT_SECRET, { expiresIn: adminAuth.SESSION_TTL_SECONDS });
+  res.setHeader('Set-Cookie', `admin_token=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${adminAuth.SESSION_TTL_SECONDS}`);
+  res.redirect('/admin');
+}
+
+// Counts a failed password or TOTP code. Failures are throttled rather than
+// audited one by one (anyone can send them, and the audit log is append-only);
+// only the failure that locks an existing account is recorded.
+async function adminLoginFailed(req, keys, username) {
+  const locked = await adminAuth.recordLoginFailure(keys);
+  if (!locked.length) return;
+  const admin = locked.includes(keys[0]) ? await db.getAdminByUsername(username) : null;
+  if (admin) {
+    await auditAdmin(req, 'login_locked', ['admin', admin.id], { username: admin.username, minutes: adminAuth.LOGIN_LOCK_MINUTES });
+  } else {
+    console.warn(`[Admin] Sign-in locked for ${locked.join(', ')} after repeated failures`);
+  }
+}
+
+const LOCKED_OUT_MESSAGE = `Too many failed attempts — try again in ${adminAuth.LOGIN_LOCK_MINUTES} minutes`;
+
+app.post('/admin/login', async (req, res) => {
+  try {
+    if (!adminAuth.csrfMatches(req.body._csrf, getToken(req, 'admin_login_csrf'))) {
+      return res.render('admin-login', { error: 'Your login form expired — try again', step: 'password', pending: null, csrfToken: setLoginCsrf(res) });
+    }
+
+    // Second step: the password was already checked and is vouched for by a short-lived token
+    if (req.body.pending) {
+      let payload = null;
+      try { payload = jwt.verify(req.body.pending, JWT_SECRET); } catch {}
+      const admin = payload && payload.stage === 'totp' ? await db.getAdminById(payload.sub) : null;
+      if (!admin || admin.disabled_at) {
+        return res.render('admin-login', { error: 'Sign-in timed out — start again', step: 'password', pending: null, csrfToken: setLoginCsrf(res) });
+      }
+      const keys = adminAuth.loginThrottleKeys(admin.username, clientIp(req));
+      if (await adminAuth.isLockedOut(keys)) {
+        return res.status(429).render('admin-login', { error: LOCKED_OUT_MESSAGE, step: 'password', pending: null, csrfToken: setLoginCsrf(res) });
+      }
+      const step = adminAuth.verifyTotp(admin.totp_secret, req.body.code, admin.totp_last_step);
+      if (step === null || !await db.claimAdminTotpStep(admin.id, step)) {
+        await adminLoginFailed(req, keys, admin.username);
+        return res.render('admin-login', { error: 'Invalid authentication code', step: 'totp', pending: req.body.pending, csrfToken: setLoginCsrf(res) });
+      }
+      await adminAuth.clearLoginFailures(keys);
+      return startAdminSession(req, res, admin);
+    }
+
+    const username = (req.body.username || '').trim().slice(0, 100);
+    const keys = adminAuth.loginThrottleKeys(username, clientIp(req));
+    if (await adminAuth.isLockedOut(keys)) {
+      return res.status(429).render('admin-login', { error: LOCKED_OUT_MESSAGE, step: 'password', pending: null, csrfToken: setLoginCsrf(res) });
+    }
+    const admin = await adminAuth.authenticate(username, req.body.password || '', ADMIN_BOOTSTRAP);
+    if (!admin) {
+      await adminLoginFailed(req, keys, username);
+      return res.render('admin-login', { error: 'Invalid credentials', step: 'password', pending: null, csrfToken: setLoginCsrf(res) });
+    }
+    if (admin.totp_enabled) {
+      const pending = jwt.sign({ sub: admin.id, stage: 'totp' }, JWT_SECRET, { expiresIn: '5m' });
+      return res.render('admin-login', { error: null, step: 'totp', pending, csrfToken: setLoginCsrf(res) });
+    }
+    await adminAuth.clearLoginFailures(keys);
+    await startAdminSession(req, res, admin);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/logout', requireAdmin(), async (req, res) => {
+  try {
+    await db.revokeAdminSession(req.admin.session_id, req.admin.id);
+    await auditAdmin(req, 'logout', ['session', req.admin.session_id.slice(0, 8)]);
+    res.setHeader('Set-Cookie', 'admin_token=; Path=/; HttpOnly; Max-Age=0');
+    res.redirect('/admin/login');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// ADMIN — Dashboard
+// ============================================================
+app.get('/admin', requireAdmin(), async (req, res) => {
+  try {
+    // Default queue is everything still open; ?status=all lists every submission
+    const status = review.STATUSES.includes(req.query.status) || req.query.status === 'all' ? req.query.status : null;
+    const reviewer = typeof req.query.reviewer === 'string' ? req.query.reviewer : null;
+    const statuses = status === 'all' ? null : status ? [status] : review.OPEN_STATUSES;
+    const [counts, reviewerQueues, queue, openReports] = await Promise.all([
+      db.getStatusCounts(),
+      db.getReviewerQueues(review.OPEN_STATUSES),
+      db.getReviewQueue({ statuses, reviewer }),
+      db.countOpenReports(),
+    ]);
+    res.render('admin-dashboard', { counts, reviewerQueues, queue, status, reviewer, openReports });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Name recorded on assignments and comments
+function reviewerName(req) {
+  return req.admin.username;
+}
+
+// Admin — Review a submission
+app.get('/admin/review/:id', requireAdmin(), async (req, res) => {
+  try {
+    const submission = await db.getSubmissionById(req.params.id);
+    if (!submission) return res.status(404).send('Not found');
+
+    // Updates: diff against the approved version this one replaces
+    let previous = null;
+    let diff = null;
+    if (submission.replaces_id) {
+      previous = await db.getSubmissionById(submission.replaces_id);
+      try {
+        const [oldPkg, newPkg] = await Promise.all([loadPackage(previous), loadPackage(submission)]);
+        diff = diffPackages(oldPkg, newPkg);
+      } catch (err) {
+        console.error('Diff error:', err.message);
+        diff = { error: err.message };
+      }
+    }
+
+    const threadId = review.threadIdFor(submission);
+    const [thread, comments, admins] = await Promise.all([
+      db.getThreadSubmissions(threadId),
+      db.getThreadComments(threadId),
+      db.getAdmins(),
+    ]);
+    res.render('admin-review', {
+      submission, previous, diff, thread, comments,
+      reviewers: admins.filter(a => !a.disabled_at && adminAuth.can(a, 'review')).map(a => a.username),
+      transitions: review.TRANSITIONS[submission.status] || [],
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin — Approve (signs the release and syncs pricing, so it has its own route)
+app.post('/admin/approve/:id', requireAdmin('review'), async (req, res) => {
+  try {
+    const { review_notes } = req.body;
+    const pending = await db.getSubmissionById(req.params.id);
+    if (!pending) return res.status(404).send('Not found');
+    if (!review.OPEN_STATUSES.includes(pending.status) || !review.canTransition(pending.status, 'approved')) {
+      return res.status(409).send(`Cannot approve a submission that is ${review.STATUS_LABELS[pending.status]}`);
+    }
+
+    // Hash + sign exactly the bytes the reviewer approved, before publishing
+    const downloadUrl = `${PORTAL_URL}/download/${encodeURIComponent(pending.ext_id)}/${pending.version}`;
+    await db.setSubmissionRelease(pending.id, signRelease(pending, await fetchPackage(pending), downloadUrl));
+    await setPackageAccess([pending], 'public');
+
+    // The newest approved version drives the Stripe catalog; sync it before publishing
+    const ext = await db.getExtension(pending.ext_id);
+    const becomesLatest = ext && (!ext.latest_version || compareVersions(pending.version, ext.latest_version) > 0);
+    if (becomesLatest) await syncExtensionPricing(stripe, ext, pending);
+
+    const submission = await db.updateSubmissionStatus(req.params.id, 'approved', review_notes || 'Approved');
+    if (becomesLatest) await db.setExtensionLatest(submission.ext_id, submission);
+    await db.addReviewComment({
+      thread_id: review.threadIdFor(submission),
+      submission_id: submission.id,
+      author_type: 'reviewer',
+      author_name: reviewerName(req),
+      body: review_notes || 'Approved',
+      status_change: 'approved',
+    });
+    await auditAdmin(req, 'submission.approve', ['submission', submission.id], { ext_id: submission.ext_id, version: submission.version });
+    await notifySubmission(submission, 'submission.status', { status: 'approved', note: review_notes || null });
+    res.redirect('/admin');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Moves a submission (or its whole extension) to `to`, records it in the thread and
+// audit log and tells the developer. Callers check canTransition and the note first.
+async function applyStatusChange(req, submission, to, note) {
+  const versions = await db.getSubmissionsByExtension(submission.ext_id);
+  if (to === 'taken_down') {
+    await setPackageAccess(versions.filter(sub => review.TAKEDOWN_FROM.includes(sub.status)), 'private');
+    await db.takeDownExtensionVersions(submission.ext_id, review.TAKEDOWN_FROM);
+  } else if (to === 'approved' && submission.status === 'taken_down') {
+    // Reinstating leaves versions the developer had unpublished unpublished
+    await setPackageAccess(versions.filter(sub => sub.status === 'taken_down' && (sub.status_before_takedown || 'approved') === 'approved'), 'public');
+    await db.reinstateExtensionVersions(submission.ext_id);
+  } else if (review.EXTENSION_WIDE.includes(to) || to === 'approved') {
+    await setPackageAccess(versions.filter(sub => sub.status === submission.status), to === 'approved' ? 'public' : 'private');
+    await db.setExtensionVersionsStatus(submission.ext_id, submission.status, to);
+  } else if (['changes_requested', 'rejected'].includes(to)) {
+    await db.updateSubmissionStatus(submission.id, to, note);
+  } else {
+    await db.setSubmissionStatus(submission.id, to);
+  }
+  // Starting a review claims an unassigned submission
+  if (to === 'in_review' && !submission.assigned_to) await db.assignSubmission(submission.id, reviewerName(req));
+
+  await db.addReviewComment({
+    thread_id: review.threadIdFor(submission),
+    submission_id: submission.id,
+    author_type: 'reviewer',
+    author_name: reviewerName(req),
+    body: note || `Moved to ${review.STATUS_LABELS[to]}`,
+    status_change: to,
+  });
+  await auditAdmin(req, 'submission.status', ['submission', submission.id], { ext_id: submission.ext_id, from: submission.status, to, note: note || null });
+  // Developers hear about decisions, not internal queue moves
+  if (!['pending', 'in_review'].includes(to)) {
+    await notifySubmission(submission, 'submission.status', { status: to === 'approved' ? 'reinstated' : to, note: note || null });
+  }
+}
+
+// Admin — Every other status change (start review, request changes, reject, unpublish, take down, reinstate)
+app.post('/admin/review/:id/status', requireAdmin('review'), async (req, res) => {
+  try {
+    const submission = await db.getSubmissionById(req.params.id);
+    if (!submission) return res.status(404).send('Not found');
+    const to = req.body.status;
+    const note = (req.body.note || '').trim();
+    if (!review.canTransition(submission.status, to) || review.DEVELOPER_ONLY.includes(to)) {
+      return res.status(409).send(`Cannot move from ${review.STATUS_LABELS[submission.status]} to ${review.STATUS_LABELS[to] || to}`);
+    }
+    // Approving from an open state goes through /admin/approve; this path only reinstates
+    if (to === 'approved' && review.OPEN_STATUSES.includes(submission.status)) {
+      return res.status(409).send('Use the approve action to publish a submission');
+    }
+    if (['changes_requested', 'rejected', 'taken_down'].includes(to) && !note) {
+      return res.status(400).send('A note for the developer is required');
+    }
+
+    await applyStatusChange(req, submission, to, note);
+    res.redirect(`/admin/review/${submission.id}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/review/:id/assign', requireAdmin('review'), async (req, res) => {
+  try {
+    const reviewer = (req.body.reviewer || '').trim();
+    if (reviewer) {
+      const assignee = await db.getAdminByUsername(reviewer);
+      if (!assignee || assignee.disabled_at || !adminAuth.can(assignee, 'review')) {
+        return res.status(400).send('Assign to an active admin with the reviewer or owner role');
+      }
+    }
+    const before = await db.getSubmissionById(req.params.id);
+    if (!before) return res.status(404).send('Not found');
+    const submission = await db.assignSubmission(before.id, reviewer || null);
+    await auditAdmin(req, 'submission.assign', ['submission', submission.id], { from: before.assigned_to, to: reviewer || null });
+    res.redirect(`/admin/review/${submission.id}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin — Download the package through a short-lived signed link (pending builds are private)
+app.get('/admin/review/:id/package', requireAdmin(), async (req, res) => {
+  try {
+    const submission = await db.getSubmissionById(req.params.id);
+    if (!submission || !submission.blob_url) return res.status(404).send('Package not available');
+    res.redirect(302, storage.signedUrl(submission.blob_url, { filename: packageFileName(submission) }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin — Re-run the smoke test (e.g. after the harness changed)
+app.post('/admin/review/:id/smoke-test', requireAdmin('review'), async (req, res) => {
+  try {
+    const submission = await db.getSubmissionById(req.params.id);
+    if (!submission) return res.status(404).send('Not found');
+    const pkg = await loadPackage(submission);
+    const result = await runSmokeTest(pkg.files, pkg.manifest || submission.manifest_json);
+    await db.setSubmissionSmokeTest(submission.id, result);
+    await auditAdmin(req, 'submission.smoke_test', ['submission', submission.id], { status: result.status });
+    res.redirect(`/admin/review/${submission.id}#smoke-test`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/review/:id/comment', requireAdmin('review'), async (req, res) => {
+  try {
+    const body = (req.body.body || '').trim();
+    const submission = await db.getSubmissionById(req.params.id);
+    if (!submission) return res.status(404).send('Not found');
+    if (!body) return res.status(400).send('Comment is empty');
+    await db.addReviewComment({
+      thread_id: review.threadIdFor(submission),
+      submission_id: submission.id,
+      author_type: 'reviewer',
+      author_name: reviewerName(req),
+      body: body.slice(0, 5000),
+    });
+    await auditAdmin(req, 'submission.comment', ['submission', submission.id]);
+    res.redirect(`/admin/review/${submission.id}#thread`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin — Stripe events (inspect + replay failed webhooks)
+app.get('/admin/stripe-events', requireAdmin(), async (req, res) => {
+  try {
+    const status = ['processing', 'processed', 'failed'].includes(req.query.status) ? req.query.status : null;
+    const events = await db.getStripeEvents(status);
+    res.render('admin-stripe-events', { events, status });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/stripe-events/:id/replay', requireAdmin('finance'), async (req, res) => {
+  try {
+    const record = await db.claimStripeEventReplay(req.params.id);
+    if (!record) return res.status(409).send('Event not found or already processing');
+    await auditAdmin(req, 'stripe_event.replay', ['stripe_event', record.id], { type: record.type });
+    await processStripeEvent(record.payload);
+    res.redirect('/admin/stripe-events?status=failed');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// ADMIN — Moderation (abuse reports and reviews)
+// ============================================================
+const REPORT_STATUSES = ['open', 'actioned', 'dismissed'];
+
+app.get('/admin/reports', requireAdmin(), async (req, res) => {
+  try {
+    const status = REPORT_STATUSES.includes(req.query.status) ? req.query.status : 'open';
+    res.render('admin-reports', { status, statuses: REPORT_STATUSES, queue: await db.getReportQueue(status), feedback });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.get('/admin/reports/:ext_id', requireAdmin(), async (req, res) => {
+  try {
+    const ext = await db.getExtension(req.params.ext_id);
+    if (!ext) return res.status(404).send('Not found');
+    const [reports, reviews, summary, submissions] = await Promise.all([
+      db.getExtensionReports(ext.ext_id),
+      db.getExtensionReviews(ext.ext_id, { includeHidden: true, limit: 100 }),
+      db.getExtensionRatingSummary(ext.ext_id),
+      db.getSubmissionsByExtension(ext.ext_id),
+    ]);
+    const live = submissions.filter(sub => sub.status === 'approved')
+      .sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+    // Unpublished versions can be taken down too, so the developer cannot republish them
+    const takedown = live || submissions.filter(sub => review.TAKEDOWN_FROM.includes(sub.status))
+      .sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+    const latest = live || submissions.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] || null;
+    res.render('admin-report', { ext, reports, reviews, summary, live, takedown, latest, feedback });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/reports/:ext_id/dismiss', requireAdmin('review'), async (req, res) => {
+  try {
+    const note = (req.body.note || '').trim();
+    const closed = await db.resolveExtensionReports(req.params.ext_id, 'dismissed', reviewerName(req), note || null);
+    await auditAdmin(req, 'report.dismiss', ['extension', req.params.ext_id], { reports: closed, note: note || null });
+    res.redirect(`/admin/reports/${encodeURIComponent(req.params.ext_id)}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Takes down every approved or unpublished version (same as the review page action) and closes the open reports
+app.post('/admin/reports/:ext_id/takedown', requireAdmin('review'), async (req, res) => {
+  try {
+    const note = (req.body.note || '').trim();
+    if (!note) return res.status(400).send('A note for the developer is required');
+    const live = (await db.getSubmissionsByExtension(req.params.ext_id))
+      .filter(sub => review.TAKEDOWN_FROM.includes(sub.status))
+      .sort((a, b) => compareVersions(b.version, a.version))[0];
+    if (!live) return res.status(409).send('This extension has no published or unpublished version to take down');
+
+    await applyStatusChange(req, live, 'taken_down', note);
+    const closed = await db.resolveExtensionReports(live.ext_id, 'actioned', reviewerName(req), note);
+    await auditAdmin(req, 'report.takedown', ['extension', live.ext_id], { reports: closed, submission_id: live.id });
+    res.redirect(`/admin/reports/${encodeURIComponent(live.ext_id)}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/reviews/:id/:action(hide|unhide)', requireAdmin('review'), async (req, res) => {
+  try {
+    const item = await db.setReviewHidden(req.params.id, req.params.action === 'hide' ? reviewerName(req) : null);
+    if (!item) return res.status(404).send('Not found');
+    await auditAdmin(req, `review.${req.params.action}`, ['review', item.id], { ext_id: item.ext_id, rating: item.rating });
+    res.redirect(`/admin/reports/${encodeURIComponent(item.ext_id)}#review-${item.id}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// ADMIN — Analytics
+// ============================================================
+app.get('/admin/analytics', requireAdmin(), async (req, res) => {
+  try {
+    res.render('admin-analytics', { extensions: await db.getAnalyticsOverview(), activeDays: telemetry.ACTIVE_DAYS });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.get('/admin/analytics/:ext_id', requireAdmin(), async (req, res) => {
+  try {
+    const ext = await db.getExtension(req.params.ext_id);
+    if (!ext) return res.status(404).send('Not found');
+    const stats = await telemetry.getExtensionAnalytics(ext.ext_id, telemetry.parseRange(req.query.days));
+    res.render('extension-analytics', {
+      ext, stats, charts, ranges: telemetry.RANGES, activeDays: telemetry.ACTIVE_DAYS,
+      viewer: 'admin',
+      basePath: `/admin/analytics/${encodeURIComponent(ext.ext_id)}`,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ============================================================
+// ADMIN — Entitlements (manual grants, extensions, revocations)
+// ============================================================
+app.get('/admin/entitlements', requireAdmin(), async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const [rows, audit] = await Promise.all([db.searchEntitlements(q), db.getEntitlementAudit()]);
+    res.render('admin-entitlements', {
+      q,
+      audit,
+      graceDays: entitlements.GRACE_DAYS,
+      entitlements: rows.map(e => ({ ...e, entitled: entitlements.isEntitled(e), access_until: entitlements.accessUntil(e) })),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/entitlements/grant', requireAdmin('finance'), async (req, res) => {
+  try {
+    const user = (req.body.user || '').trim();
+    const extId = (req.body.ext_id || '').trim();
+    const days = req.body.days ? Number(req.body.days) : null;
+    const reason = (req.body.reason || '').trim();
+    if (!user || !extId || !reason) return res.status(400).send('User, extension and reason are required');
+    if (days !== null && (!Number.isInteger(days) || days < 1)) return res.status(400).send('Days must be a positive whole number');
+    if (!await db.getExtension(extId)) return res.status(404).send('Unknown extension');
+
+    // Email grants attach to the email customer, so they follow the user once they sign in
+    const customer = user.includes('@')
+      ? await db.getOrCreateCustomerByEmail(user.toLowerCase())
+      : await db.getOrCreateCustomer(user, null);
+    const ent = await entitlements.grant({
+      firebaseUid: customer.firebase_uid,
+      extId,
+      expiresAt: days ? new Date(Date.now() + days * 86400000) : null,
+    }, `admin:${req.admin.username}`, reason);
+    await auditAdmin(req, 'entitlement.grant', ['entitlement', ent.id], { user, ext_id: extId, days, reason });
+    res.redirect(`/admin/entitlements?q=${encodeURIComponent(extId)}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/entitlements/:id/extend', requireAdmin('finance'), async (req, res) => {
+  try {
+    const days = Number(req.body.days);
+    const reason = (req.body.reason || '').trim();
+    if (!Number.isInteger(days) || days < 1) return res.status(400).send('Days must be a positive whole number');
+    if (!reason) return res.status(400).send('Reason is required');
+    const ent = await entitlements.extend(req.params.id, days, `admin:${req.admin.username}`, reason);
+    if (!ent) return res.status(404).send('Entitlement not found');
+    await auditAdmin(req, 'entitlement.extend', ['entitlement', ent.id], { ext_id: ent.ext_id, days, reason });
+    res.redirect(`/admin/entitlements?q=${encodeURIComponent(ent.ext_id)}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
 });
 
-// ── Cookie helpers ───────────────────────────────────────────
-function getToken(req) {
-  const cookie = req.headers.cookie || '';
-  const match = cookie.match(/admin_token=([^;]+)/);
-  return match ? match[1] : null;
-}
-function verifyAdmin(req) {
-  try { return jwt.verify(getToken(req), JWT_SECRET); } catch { return null; }
-}
+app.post('/admin/entitlements/:id/revoke', requireAdmin('finance'), async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) return res.status(400).send('Reason is required');
+    const ent = await entitlements.revoke(req.params.id, `admin:${req.admin.username}`, reason);
+    if (!ent) return res.status(404).send('Entitlement not found');
+    await auditAdmin(req, 'entitlement.revoke', ['entitlement', ent.id], { ext_id: ent.ext_id, reason });
+    res.redirect(`/admin/entitlements?q=${encodeURIComponent(ent.ext_id)}`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
+});
 
 // ============================================================
-// PUBLIC — Landing page (shows approved marketplace extensions)
+// ADMIN — Own account (password, 2FA, sessions)
 // ============================================================
-const MARKETPLACE_URL = 'https://peru-grasshopper-236853.hostingersite.com/marketplace-packages/marketplace.json';
+async function renderAccount(req, res, extra = {}) {
+  const sessions = await db.getAdminSessions(req.admin.id);
+  res.render('admin-account', {
+    sessions,
+    currentSession: req.admin.session_id,
+    totpSetup: null,
+    error: null,
+    success: null,
+    minPasswordLength: adminAuth.MIN_PASSWORD_LENGTH,
+    ...extra,
+  });
+}
 
-app.get('/', async (req, res) => {
-  let extensions = [];
+app.get('/admin/account', requireAdmin(), async (req, res) => {
   try {
-    const resp = await fetch(MARKETPLACE_URL, { signal: AbortSignal.timeout(5000) });
-    if (resp.ok) {
-      const data = await resp.json();
-      extensions = (data.extensions || []).filter(e => e.approved);
-    }
+    await renderAccount(req, res, { success: req.query.saved ? 'Saved' : null });
   } catch (err) {
-    console.error('Failed to fetch marketplace:', err.message);
+    console.error(err);
+    res.status(500).send('Server error');
   }
-  res.render('landing', { extensions });
 });
 
-// ============================================================
-// DOCS — Extension guidelines
-// ============================================================
-app.get('/docs', (req, res) => {
-  res.render('docs');
+app.post('/admin/account/password', requireAdmin(), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    if (!await bcrypt.compare(current_password || '', req.admin.password_hash)) {
+      return renderAccount(req, res, { error: 'Current password is incorrect' });
+    }
+    const problem = adminAuth.passwordProblem(new_password);
+    if (problem) return renderAccount(req, res, { error: problem });
+    await db.updateAdmin(req.admin.id, { password_hash: await bcrypt.hash(new_password, 10) });
+    const revoked = await db.revokeAdminSessions(req.admin.id, req.admin.session_id);
+    await auditAdmin(req, 'account.password_change', ['admin', req.admin.id], { other_sessions_revoked: revoked });
+    res.redirect('/admin/account?saved=1');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
 });
 
-// ============================================================
-// DEVELOPER — Submit extension
-// ============================================================
-app.get('/submit', (req, res) => {
-  res.render('submit', { error: null, success: null, categories: ALLOWED_CATEGORIES });
+// Generates a secret but leaves 2FA off until a code from it is confirmed
+app.post('/admin/account/totp/setup', requireAdmin(), async (req, res) => {
+  try {
+    if (req.admin.totp_enabled) return renderAccount(req, res, { error: 'Two-factor authentication is already on' });
+    const secret = adminAuth.generateTotpSecret();
+    await db.updateAdmin(req.admin.id, { totp_secret: secret, totp_enabled: false, totp_last_step: null });
+    await renderAccount(req, res, { totpSetup: { secret, url: adminAuth.otpauthUrl(req.admin.username, secret) } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
 });
 
-app.post('/submit', async (req, res) => {
+app.post('/admin/account/totp/enable', requireAdmin(), async (req, res) => {
   try {
-    const chunks = [];
-    let fields = {};
-    let fileName = '';
-    let fileSize = 0;
-
-    await new Promise((resolve, reject) => {
-      const busboy = Busboy({
-        headers: req.headers,
-        limits: { fileSize: 10 * 1024 * 1024 } // 10MB max
-      });
-
-      busboy.on('field', (name, val) => { fields[name] = val; });
-      busboy.on('file', (name, file, info) => {
-        fileName = info.filename;
-        file.on('data', d => { chunks.push(d); fileSize += d.length; });
-        file.on('end', () => {});
+    const admin = req.admin;
+    if (admin.totp_enabled || !admin.totp_secret) return res.redirect('/admin/account');
+    const step = adminAuth.verifyTotp(admin.totp_secret, req.body.code);
+    if (step === null) {
+      return renderAccount(req, res, {
+        error: 'That code did not match — check your device clock and try again',
+        totpSetup: { secret: admin.totp_secret, url: adminAuth.otpauthUrl(admin.username, admin.totp_secret) },
       });
-      busboy.on('finish', resolve);
-      busboy.on('error', reject);
-      req.pipe(busboy);
-    });
-
-    if (!chunks.length) {
-      return res.render('submit', { error: 'No file uploaded.', success: null, categories: ALLOWED_CATEGORIES });
-    }
-    if (!fileName.endsWith('.zip')) {
-      return res.render('submit', { error: 'Only .zip files are accepted.', success: null, categories: ALLOWED_CATEGORIES });
-    }
-
-    const buffer = Buffer.concat(chunks);
-
-    // Parse zip to find manifest.json and file list
-    const { manifest, fileList } = await parseZipContents(buffer);
-
-    if (!manifest) {
-      return res.render('submit', { error: 'No manifest.json found in zip root. Each extension must include a manifest.json.', success: null, categories: ALLOWED_CATEGORIES });
-    }
-
-    // Validate manifest
-    const manifestResult = validateManifest(manifest);
-    if (!manifestResult.valid) {
-      return res.render('submit', { error: `Manifest errors: ${manifestResult.errors.join('; ')}`, success: null, categories: ALLOWED_CATEGORIES });
     }
-
-    // Validate file list
-    const filesResult = validateFiles(fileList);
-    if (!filesResult.valid) {
-      return res.render('submit', { error: `File errors: ${filesResult.errors.join('; ')}`, success: null, categories: ALLOWED_CATEGORIES });
-    }
-
-    // Generate ext_id from name
-    const extId = (manifest.name || 'ext').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
-
-    // Upload to Vercel Blob (temporary storage for review)
-    const blobName = `submissions/${extId}-${manifest.version}-${Date.now()}.zip`;
-    const blob = await put(blobName, buffer, { access: 'public', contentType: 'application/zip' });
-
-    // Save to DB
-    const submission = await db.createSubmission({
-      ext_id: extId,
-      name: manifest.name,
-      version: manifest.version,
-      description: manifest.description || fields.description || '',
-      author: manifest.author || fields.author_name || 'Unknown',
-      author_email: fields.author_email || null,
-      author_website: fields.author_website || null,
-      author_github: fields.author_github || null,
-      author_twitter: fields.author_twitter || null,
-      author_discord: fields.author_discord || null,
-      category: fields.category || manifest.category || 'utilities',
-      icon: manifest.icon || 'puzzle',
-      type: manifest.type || 'sidebar',
-      permissions: manifest.permissions || [],
-      api_version: manifest.api_version || '1.0',
-      blob_url: blob.url,
-      manifest_json: manifest,
-    });
-
-    const warnings = [...manifestResult.warnings, ...filesResult.warnings];
-    const successMsg = `Extension "${manifest.name}" v${manifest.version} submitted for review! Submission #${submission.id}` +
-      (warnings.length ? `\n\nWarnings:\n• ${warnings.join('\n• ')}` : '');
-
-    res.render('submit', { error: null, success: successMsg, categories: ALLOWED_CATEGORIES });
+    await db.updateAdmin(admin.id, { totp_enabled: true, totp_last_step: step });
+    await auditAdmin(req, 'account.totp_enable', ['admin', admin.id]);
+    res.redirect('/admin/account?saved=1');
   } catch (err) {
-    console.error('Submit error:', err);
-    res.render('submit', { error: 'Upload failed: ' + err.message, success: null, categories: ALLOWED_CATEGORIES });
+    console.error(err);
+    res.status(500).send('Server error');
   }
 });
 
-// ============================================================
-// ADMIN — Auth
-// ============================================================
-app.get('/admin/login', (req, res) => {
-  if (verifyAdmin(req)) return res.redirect('/admin');
-  res.render('admin-login', { error: null });
-});
-
-app.post('/admin/login', async (req, res) => {
-  const { username, password } = req.body;
-  const passMatch = ADMIN_PASS.startsWith('$2') ? await bcrypt.compare(password, ADMIN_PASS) : password === ADMIN_PASS;
-  if (username === ADMIN_USER && passMatch) {
-    const token = jwt.sign({ admin: true }, JWT_SECRET, { expiresIn: '24h' });
-    res.setHeader('Set-Cookie', `admin_token=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=86400`);
-    return res.redirect('/admin');
+app.post('/admin/account/totp/disable', requireAdmin(), async (req, res) => {
+  try {
+    const admin = req.admin;
+    if (!admin.totp_enabled) return res.redirect('/admin/account');
+    // Counts toward the same lockout as signing in
+    const keys = adminAuth.loginThrottleKeys(admin.username, clientIp(req));
+    if (await adminAuth.isLockedOut(keys)) return renderAccount(req, res, { error: LOCKED_OUT_MESSAGE });
+    const step = adminAuth.verifyTotp(admin.totp_secret, req.body.code, admin.totp_last_step);
+    if (!await bcrypt.compare(req.body.password || '', admin.password_hash) || step === null || !await db.claimAdminTotpStep(admin.id, step)) {
+      await adminLoginFailed(req, keys, admin.username);
+      return renderAccount(req, res, { error: 'Password or authentication code is incorrect' });
+    }
+    await adminAuth.clearLoginFailures(keys);
+    // The claimed step stays recorded, so the code cannot be replayed
+    await db.updateAdmin(admin.id, { totp_secret: null, totp_enabled: false });
+    await auditAdmin(req, 'account.totp_disable', ['admin', admin.id]);
+    res.redirect('/admin/account?saved=1');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
   }
-  res.render('admin-login', { error: 'Invalid credentials' });
 });
 
-app.get('/admin/logout', (req, res) => {
-  res.setHeader('Set-Cookie', 'admin_token=; Path=/; HttpOnly; Max-Age=0');
-  res.redirect('/admin/login');
+app.post('/admin/account/sessions/:sid/revoke', requireAdmin(), async (req, res) => {
+  try {
+    const session = await db.revokeAdminSession(req.params.sid, req.admin.id);
+    if (!session) return res.status(404).send('Session not found');
+    await auditAdmin(req, 'session.revoke', ['session', session.id.slice(0, 8)]);
+    if (session.id === req.admin.session_id) {
+      res.setHeader('Set-Cookie', 'admin_token=; Path=/; HttpOnly; Max-Age=0');
+      return res.redirect('/admin/login');
+    }
+    res.redirect('/admin/account');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Server error');
+  }
 });
 
 // ============================================================
-// ADMIN — Dashboard
+// ADMIN — Admin accounts (owners only)
 // ============================================================
-app.get('/admin', async (req, res) => {
-  if (!verifyAdmin(req)) return res.redirect('/admin/login');
+app.get('/admin/admins', requireAdmin('manage'), async (req, res) => {
   try {
-    const stats = await db.getStats();
-    const pending = await db.getSubmissions('pending');
-    const recent = await db.getSubmissions();
-    res.render('admin-dashboard', { stats, pending, recent: recent.slice(0, 50) });
+    res.render('admin-admins', {
+      admins: await db.getAdmins(),
+      roles: adminAuth.ROLES,
+      error: req.query.error || null,
+      minPasswordLength: adminAuth.MIN_PASSWORD_LENGTH,
+    });
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
 
-// Admin — Review a submission
-app.get('/admin/review/:id', async (req, res) => {
-  if (!verifyAdmin(req)) return res.redirect('/admin/login');
+app.post('/admin/admins', requireAdmin('manage'), async (req, res) => {
   try {
-    const submission = await db.getSubmissionById(req.params.id);
-    if (!submission) return res.status(404).send('Not found');
-    res.render('admin-review', { submission });
+    const username = (req.body.username || '').trim();
+    const { role, password } = req.body;
+    const fail = msg => res.redirect(`/admin/admins?error=${encodeURIComponent(msg)}`);
+    if (!/^[a-zA-Z0-9._@-]{2,64}$/.test(username)) return fail('Usernames are 2–64 letters, digits or . _ @ -');
+    if (!adminAuth.ROLES.includes(role)) return fail('Unknown role');
+    const problem = adminAuth.passwordProblem(password);
+    if (problem) return fail(problem);
+    const admin = await db.createAdmin({ username, password_hash: await bcrypt.hash(password, 10), role });
+    if (!admin) return fail('That username is taken');
+    await auditAdmin(req, 'admin.create', ['admin', admin.id], { username, role });
+    res.redirect('/admin/admins');
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
 
-// Admin — Approve
-app.post('/admin/approve/:id', async (req, res) => {
-  if (!verifyAdmin(req)) return res.status(401).send('Unauthorized');
+// Role change, disable/enable, password reset, 2FA reset or signing out everywhere
+app.post('/admin/admins/:id/:action(role|disable|enable|password|reset-totp|revoke-sessions)', requireAdmin('manage'), async (req, res) => {
   try {
-    const { review_notes } = req.body;
-    await db.updateSubmissionStatus(req.params.id, 'approved', review_notes || 'Approved');
-    res.redirect('/admin');
+    const target = await db.getAdminById(req.params.id);
+    if (!target) return res.status(404).send('Admin not found');
+    const fail = msg => res.redirect(`/admin/admins?error=${encodeURIComponent(msg)}`);
+    const action = req.params.action;
+
+    // Never leave the portal without an active owner
+    const losesOwner = target.role === 'owner' && !target.disabled_at &&
+      ((action === 'role' && req.body.role !== 'owner') || action === 'disable');
+    if (losesOwner && await db.countActiveOwners() <= 1) return fail('There must be at least one active owner');
+
+    let details = null;
+    if (action === 'role') {
+      if (!adminAuth.ROLES.includes(req.body.role)) return fail('Unknown role');
+      details = { from: target.role, to: req.body.role };
+      await db.updateAdmin(target.id, { role: req.body.role });
+    } else if (action === 'disable') {
+      if (target.id === req.admin.id) return fail('You cannot disable your own account');
+      await db.updateAdmin(target.id, { disabled_at: new Date().toISOString() });
+      await db.revokeAdminSessions(target.id);
+    } else if (action === 'enable') {
+      await db.updateAdmin(target.id, { disabled_at: null });
+    } else if (action === 'password') {
+      const problem = adminAuth.passwordProblem(req.body.password);
+      if (problem) return fail(problem);
+      await db.updateAdmin(target.id, { password_hash: await bcrypt.hash(req.body.password, 10) });
+      await db.revokeAdminSessions(target.id, target.id === req.admin.id ? req.admin.session_id : null);
+    } else if (action === 'reset-totp') {
+      await db.updateAdmin(target.id, { totp_secret: null, totp_enabled: false, totp_last_step: null });
+    } else {
+      details = { revoked: await db.revokeAdminSessions(target.id, target.id === req.admin.id ? req.admin.session_id : null) };
+    }
+    await auditAdmin(req, `admin.${action.replace('-', '_')}`, ['admin', target.id], { username: target.username, ...details });
+    res.redirect('/admin/admins');
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
   }
 });
 
-// Admin — Reject
-app.post('/admin/reject/:id', async (req, res) => {
-  if (!verifyAdmin(req)) return res.redirect('/admin/login');
+// ============================================================
+// ADMIN — Audit log
+// ============================================================
+app.get('/admin/audit', requireAdmin(), async (req, res) => {
   try {
-    const { review_notes } = req.body;
-    await db.updateSubmissionStatus(req.params.id, 'rejected', review_notes || 'Rejected');
-    res.redirect('/admin');
+    const str = v => (typeof v === 'string' && v.trim() ? v.trim() : null);
+    const date = v => (str(v) && !isNaN(Date.parse(v)) ? v : null);
+    const filters = {
+      admin: str(req.query.admin),
+      action: str(req.query.action),
+      targetType: str(req.query.target_type),
+      targetId: str(req.query.target_id),
+      from: date(req.query.from),
+      // `to` is inclusive of the whole day picked in the form
+      to: date(req.query.to) ? new Date(Date.parse(req.query.to) + 86400000).toISOString() : null,
+      before: /^\d+$/.test(req.query.before || '') ? Number(req.query.before) : null,
+    };
+    const pageSize = 100;
+    const [entries, actions, admins] = await Promise.all([
+      db.getAdminAudit(filters, pageSize),
+      db.getAdminAuditActions(),
+      db.getAdmins(),
+    ]);
+    res.render('admin-audit', {
+      entries, actions,
+      usernames: admins.map(a => a.username),
+      query: req.query,
+      hasMore: entries.length === pageSize,
+    });
   } catch (err) {
     console.error(err);
     res.status(500).send('Server error');
@@ -324,18 +2290,75 @@ app.post('/admin/reject/:id', async (req, res) => {
 });
 
 // ============================================================
-// API — Create Stripe Checkout session (email-based)
+// API — End-user auth (Firebase ID token from the Flip browser)
 // ============================================================
-app.post('/api/checkout', async (req, res) => {
+const ENTITLEMENT_TOKEN_TTL = Number(process.env.ENTITLEMENT_TOKEN_TTL || 86400); // seconds
+
+// Resolves req.user from `Authorization: Bearer <Firebase ID token>` or responds 401
+async function requireUser(req, res, next) {
+  const idToken = bearerToken(req);
+  if (!idToken) return res.status(401).json({ error: 'Sign in required (Authorization: Bearer <Firebase ID token>)' });
+  try {
+    req.user = await verifyFirebaseToken(idToken, FIREBASE_PROJECT_ID);
+    next();
+  } catch (err) {
+    console.error('[Auth] ID token rejected:', err.message);
+    res.status(401).json({ error: 'Invalid or expired ID token' });
+  }
+}
+
+// Short-lived EdDSA JWT the browser can verify offline against /api/signing-keys
+// (null when no signing key is configured, e.g. local dev)
+function entitlementToken(user, ent) {
+  if (!hasSigningKey()) return null;
+  const now = Math.floor(Date.now() / 1000);
+  let exp = now + ENTITLEMENT_TOKEN_TTL;
+  const until = entitlements.accessUntil(ent);
+  if (until) exp = Math.min(exp, Math.floor(until.getTime() / 1000));
+  return signJwt({
+    iss: PORTAL_URL,
+    sub: user.uid,
+    ext_id: ent.ext_id,
+    plan_type: ent.plan_type,
+    status: ent.status,
+    iat: now,
+    exp,
+  });
+}
+
+// ============================================================
+// API — Create Stripe Checkout session (authenticated user)
+// ============================================================
+app.post('/api/checkout', requireUser, async (req, res) => {
   try {
-    const { ext_id, price_id, plan_type, email } = req.body;
-    if (!ext_id || !price_id) return res.status(400).json({ error: 'ext_id and price_id are required' });
-    if (!email || !email.includes('@')) return res.status(400).json({ error: 'Valid email is required' });
+    const { ext_id, price_id } = req.body;
+    if (!ext_id) return res.status(400).json({ error: 'ext_id is required' });
+    if (!req.user.email) return res.status(400).json({ error: 'Account has no email address' });
+
+    // Prices outlive takedowns and unpublishing (so a reinstated extension keeps
+    // them), but only an extension with an approved version is for sale
+    const [published] = await db.getApprovedVersions(ext_id);
+    if (!published) return res.status(409).json({ error: 'This extension is not available for purchase' });
+
+    // Price comes from the extension's approved pricing, never from the client
+    const prices = await db.getActiveExtensionPrices(ext_id);
+    if (!prices.length) return res.status(400).json({ error: 'Extension is free or unknown' });
+    const price = price_id ? prices.find(p => p.stripe_price_id === price_id) : prices[0];
+    if (!price) return res.status(400).json({ error: 'price_id does not belong to this extension' });
+    const plan_type = price.plan_type;
+
+    // Sales go straight to the developer's Connect account
+    const ext = await db.getExtension(ext_id);
+    const seller = ext && await db.getDeveloperById(ext.developer_id);
+    if (!payouts.canReceivePayments(seller)) {
+      return res.status(409).json({ error: 'This extension is not available for purchase yet' });
+    }
+    const connect = payouts.connectSessionParams(seller, price);
 
-    const normalizedEmail = email.trim().toLowerCase();
+    const normalizedEmail = req.user.email;
 
-    // Get or create customer by email
-    const customer = await db.getOrCreateCustomerByEmail(normalizedEmail);
+    // Get or create customer for the signed-in user
+    const customer = await db.getOrCreateCustomer(req.user.uid, normalizedEmail);
     let stripeCustomerId = customer.stripe_customer;
 
     // Create Stripe customer if needed
@@ -349,21 +2372,30 @@ app.post('/api/checkout', async (req, res) => {
     const sessionParams = {
       customer: stripeCustomerId,
       payment_method_types: ['card'],
-      line_items: [{ price: price_id, quantity: 1 }],
+      line_items: [{ price: price.stripe_price_id, quantity: 1 }],
       mode: plan_type === 'one_time' ? 'payment' : 'subscription',
       success_url: `${PORTAL_URL}/purchase/success?ext=${ext_id}`,
       cancel_url: `${PORTAL_URL}/purchase/cancel?ext=${ext_id}`,
-      metadata: { firebase_uid: customer.firebase_uid, ext_id, plan_type: plan_type || 'monthly', price_id, email: normalizedEmail },
+      metadata: { firebase_uid: customer.firebase_uid, ext_id, plan_type, price_id: price.stripe_price_id, email: normalizedEmail },
     };
 
-    // For subscriptions, also pass metadata to the subscription
-    if (plan_type !== 'one_time') {
+    // Route the money to the developer and carry our metadata onto the payment/subscription
+    if (plan_type === 'one_time') {
+      sessionParams.payment_intent_data = {
+        ...connect.payment_intent_data,
+        metadata: { firebase_uid: customer.firebase_uid, ext_id },
+      };
+    } else {
       sessionParams.subscription_data = {
+        ...connect.subscription_data,
         metadata: { firebase_uid: customer.firebase_uid, ext_id, email: normalizedEmail },
+        ...(price.trial_days ? { trial_period_days: price.trial_days } : {}),
       };
     }
 
     const session = await stripe.checkout.sessions.create(sessionParams);
+    // Conversion analytics; the checkout itself already exists, so don't fail it
+    await db.recordCheckoutSession(session.id, ext_id, plan_type).catch(err => console.error('[Checkout] Tracking failed:', err.message));
     res.json({ url: session.url, sessionId: session.id });
   } catch (err) {
     console.error('[Checkout] Error:', err);
@@ -372,20 +2404,18 @@ app.post('/api/checkout', async (req, res) => {
 });
 
 // ============================================================
-// API — Get user entitlements by email (browser calls this)
+// API — Get the signed-in user's entitlements (browser calls this)
 // ============================================================
-app.get('/api/entitlements', async (req, res) => {
+app.get('/api/entitlements', requireUser, async (req, res) => {
   try {
-    const email = (req.query.email || '').trim().toLowerCase();
-    if (!email || !email.includes('@')) return res.status(400).json({ error: 'Valid email is required' });
-
-    const entitlements = await db.getEntitlementsByEmail(email);
+    const rows = await db.getEntitlementsForUser(req.user.uid, req.user.email_verified ? req.user.email : null);
     res.json({
-      extensions: entitlements.map(e => ({
+      extensions: rows.filter(e => entitlements.isEntitled(e)).map(e => ({
         ext_id: e.ext_id,
         plan_type: e.plan_type,
         status: e.status,
-        expires_at: e.expires_at,
+        expires_at: entitlements.accessUntil(e),
+        token: entitlementToken(req.user, e),
       })),
     });
   } catch (err) {
@@ -395,17 +2425,15 @@ app.get('/api/entitlements', async (req, res) => {
 });
 
 // ============================================================
-// API — Cancel subscription by email
+// API — Cancel the signed-in user's subscription
 // ============================================================
-app.post('/api/cancel-subscription', async (req, res) => {
+app.post('/api/cancel-subscription', requireUser, async (req, res) => {
   try {
-    const { ext_id, email } = req.body;
+    const { ext_id } = req.body;
     if (!ext_id) return res.status(400).json({ error: 'ext_id is required' });
-    if (!email || !email.includes('@')) return res.status(400).json({ error: 'Valid email is required' });
 
-    const normalizedEmail = email.trim().toLowerCase();
-    const entitlements = await db.getEntitlementsByEmail(normalizedEmail);
-    const ent = entitlements.find(e => e.ext_id === ext_id);
+    const rows = await db.getEntitlementsForUser(req.user.uid, req.user.email_verified ? req.user.email : null);
+    const ent = rows.find(e => e.ext_id === ext_id && entitlements.isEntitled(e));
     if (!ent || !ent.stripe_sub_id) return res.status(404).json({ error: 'No active subscription found' });
 
     // Cancel at period end (user keeps access until billing period ends)
@@ -417,6 +2445,180 @@ app.post('/api/cancel-subscription', async (req, res) => {
   }
 });
 
+// ============================================================
+// API — Ratings, reviews and abuse reports
+// ============================================================
+// Public: rating summary plus a page of visible reviews
+app.get('/api/extensions/:ext_id/reviews', async (req, res) => {
+  try {
+    const extId = req.params.ext_id;
+    if (!(await db.getApprovedVersions(extId)).length) return res.status(404).json({ error: 'Not found' });
+    const perPage = Math.min(Math.max(parseInt(req.query.per_page, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const [summary, rows] = await Promise.all([
+      db.getExtensionRatingSummary(extId),
+      db.getExtensionReviews(extId, { limit: perPage, offset: (page - 1) * perPage }),
+    ]);
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json({ ext_id: extId, summary, page, per_page: perPage, reviews: rows.map(feedback.publicReview) });
+  } catch (err) {
+    console.error('[Reviews] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Who may review: anyone signed in for free extensions, past buyers for paid ones
+// Reviewers must have bought the extension or, if it is free, have it installed:
+// the browser sends the same install_id it reports to telemetry
+async function reviewEligibility(user, extId, installId) {
+  const versions = await db.getApprovedVersions(extId);
+  if (!versions.length) return { listed: false, allowed: false, version: null };
+  const latest = versions.sort((a, b) => compareVersions(b.version, a.version))[0];
+  const paid = (await db.getActiveExtensionPrices(extId)).length > 0;
+  const allowed = (!paid && await telemetry.isInstalled(extId, installId)) ||
+    await db.hasPurchasedExtension(user.uid, user.email_verified ? user.email : null, extId);
+  return { listed: true, allowed, version: latest.version };
+}
+
+app.get('/api/extensions/:ext_id/review', requireUser, async (req, res) => {
+  try {
+    const eligibility = await reviewEligibility(req.user, req.params.ext_id, req.query.install_id);
+    if (!eligibility.listed) return res.status(404).json({ error: 'Not found' });
+    const mine = await db.getUserExtensionReview(req.params.ext_id, req.user.uid);
+    res.json({ can_review: eligibility.allowed, review: mine ? { ...feedback.publicReview(mine), hidden: !!mine.hidden_at } : null });
+  } catch (err) {
+    console.error('[Reviews] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Creates or replaces the signed-in user's review: { rating: 1-5, body?, install_id? }
+app.put('/api/extensions/:ext_id/review', requireUser, async (req, res) => {
+  try {
+    const extId = req.params.ext_id;
+    const eligibility = await reviewEligibility(req.user, extId, req.body.install_id);
+    if (!eligibility.listed) return res.status(404).json({ error: 'Not found' });
+    if (!eligibility.allowed) return res.status(403).json({ error: 'Only people who installed or bought this extension can review it' });
+    const result = feedback.validateReview(req.body);
+    if (!result.valid) return res.status(400).json({ error: result.errors.join('; ') });
+
+    const existing = await db.getUserExtensionReview(extId, req.user.uid);
+    const saved = await db.upsertExtensionReview({
+      ext_id: extId,
+      firebase_uid: req.user.uid,
+      author_name: feedback.displayName(req.user),
+      rating: result.value.rating,
+      body: result.value.body,
+      version: eligibility.version,
+    });
+    if (!existing) {
+      await notifyExtensionOwner(extId, 'review.created', {
+        rating: saved.rating, body: saved.body, author: saved.author_name, version: saved.version,
+      }, `review:${saved.id}`);
+    }
+    res.status(existing ? 200 : 201).json({ review: feedback.publicReview(saved) });
+  } catch (err) {
+    console.error('[Reviews] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/extensions/:ext_id/review', requireUser, async (req, res) => {
+  try {
+    const deleted = await db.deleteExtensionReview(req.params.ext_id, req.user.uid);
+    if (!deleted) {
+      const hidden = await db.getUserExtensionReview(req.params.ext_id, req.user.uid);
+      if (hidden) return res.status(409).json({ error: 'A moderator hid this review, so it cannot be deleted' });
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error('[Reviews] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Abuse report: { reason: malware|broken|policy, details? }. One open report per user per extension.
+app.post('/api/extensions/:ext_id/reports', requireUser, async (req, res) => {
+  try {
+    const extId = req.params.ext_id;
+    const versions = await db.getApprovedVersions(extId);
+    if (!versions.length) return res.status(404).json({ error: 'Not found' });
+    const result = feedback.validateReport(req.body);
+    if (!result.valid) return res.status(400).json({ error: result.errors.join('; ') });
+
+    const open = await db.getOpenReportByUser(extId, req.user.uid);
+    if (open) return res.json({ report_id: open.id, status: 'open', duplicate: true });
+    const version = typeof req.body.version === 'string' && versions.some(v => v.version === req.body.version)
+      ? req.body.version
+      : versions.sort((a, b) => compareVersions(b.version, a.version))[0].version;
+    const report = await db.createExtensionReport({
+      ext_id: extId,
+      firebase_uid: req.user.uid,
+      reporter_email: req.user.email_verified ? req.user.email : null,
+      reason: result.value.reason,
+      details: result.value.details,
+      version,
+    });
+    console.log(`[Reports] ${result.value.reason} report #${report.id} on ${extId}`);
+    res.status(201).json({ report_id: report.id, status: report.status });
+  } catch (err) {
+    console.error('[Reports] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============================================================
+// API — Install telemetry and update checks (Flip browser, no auth)
+// ============================================================
+// Bodies carry { install_id, ext_id, version, api_version }; install_id is a random
+// id the browser generates per install and is only stored hashed
+async function handleTelemetry(req, res, record, options) {
+  try {
+    const result = telemetry.validateEvent(req.body, options);
+    if (!result.valid) return res.status(400).json({ error: result.errors.join('; ') });
+    if (!(await db.getExtension(result.value.ext_id))) return res.status(404).json({ error: 'Not found' });
+    await record(result.value);
+    res.status(204).end();
+  } catch (err) {
+    console.error('[Telemetry] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
+
+app.post('/api/telemetry/install', (req, res) => handleTelemetry(req, res, telemetry.recordInstall));
+app.post('/api/telemetry/uninstall', (req, res) => handleTelemetry(req, res, telemetry.recordUninstall, { requireVersion: false }));
+
+// Latest approved version the browser's SDK can run. With install_id and the
+// installed version this also counts as an update-check event.
+app.get('/api/extensions/:ext_id/update', async (req, res) => {
+  try {
+    const apiVersion = typeof req.query.api_version === 'string' ? req.query.api_version : '';
+    if (!/^\d+\.\d+$/.test(apiVersion)) return res.status(400).json({ error: 'api_version must be x.y' });
+    const latest = await getCompatibleUpdate(req.params.ext_id, apiVersion, PORTAL_URL);
+    if (latest === undefined) return res.status(404).json({ error: 'Not found' });
+
+    const current = typeof req.query.version === 'string' ? req.query.version : null;
+    if (req.query.install_id) {
+      const result = telemetry.validateEvent({ ...req.query, ext_id: req.params.ext_id });
+      if (!result.valid) return res.status(400).json({ error: result.errors.join('; ') });
+      await telemetry.recordUpdateCheck(result.value).catch(err => console.error('[Telemetry] Update check failed:', err.message));
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      ext_id: req.params.ext_id,
+      api_version: apiVersion,
+      current_version: current,
+      update_available: !!(latest && current && compareVersions(latest.version, current) > 0),
+      latest,
+    });
+  } catch (err) {
+    console.error('[Update] Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // ============================================================
 // Purchase result pages
 // ============================================================
@@ -450,76 +2652,303 @@ app.get('/purchase/cancel', (req, res) => {
 app.get('/api/status/:id', async (req, res) => {
   try {
     const sub = await db.getSubmissionById(req.params.id);
-    if (!sub) return res.status(404).json({ error: 'Not found' });
-    res.json({ id: sub.id, name: sub.name, version: sub.version, status: sub.status, review_notes: sub.review_notes });
+    // Only the owning developer or the holder of the submission's status token may look
+    const session = verifyDeveloper(req);
+    const isOwner = session && sub && sub.developer_id === session.sub;
+    if (!sub || !(isOwner || tokenMatches(req.query.token, sub.status_token_hash))) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({
+      id: sub.id, name: sub.name, version: sub.version, status: sub.status, review_notes: sub.review_notes,
+      sha256: sub.package_sha256 || null,
+      signature: sub.release_signature || null,
+      signing_key_id: sub.signing_key_id || null,
+      release: sub.release_doc || null,
+    });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // ============================================================
-// Zip parsing helper (minimal, no external dep)
+// API v1 — Submissions for release automation (developer API tokens)
 // ============================================================
-async function parseZipContents(buffer) {
-  // Simple zip file parser — reads central directory to get file list + manifest
-  const fileList = [];
-  let manifest = null;
+// Authorization: Bearer <token from /dev/tokens>; loads req.developer
+async function requireApiToken(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: 'API token required (Authorization: Bearer <token>)' });
+  try {
+    const developer = await db.getActiveApiToken(hashToken(token));
+    if (!developer) return res.status(401).json({ error: 'Invalid or revoked API token' });
+    if (!developer.last_used_at || Date.now() - new Date(developer.last_used_at).getTime() > 5 * 60 * 1000) {
+      await db.touchApiToken(developer.token_id);
+    }
+    req.developer = developer;
+    next();
+  } catch (err) {
+    console.error('[API] Token check failed:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+}
 
+function submissionJson(sub) {
+  return {
+    id: sub.id,
+    ext_id: sub.ext_id,
+    name: sub.name,
+    version: sub.version,
+    status: sub.status,
+    status_label: review.STATUS_LABELS[sub.status] || sub.status,
+    review_notes: sub.review_notes || null,
+    created_at: sub.created_at,
+    reviewed_at: sub.reviewed_at || null,
+    replaces_id: sub.replaces_id || null,
+    thread_id: review.threadIdFor(sub),
+    pricing: sub.pricing || { model: 'free' },
+    url: `${PORTAL_URL}/dev/submissions/${sub.id}`,
+    analysis: sub.analysis ? sub.analysis.summary : null,
+    smoke_test: sub.smoke_test ? sub.smoke_test.status : null,
+    release: sub.release_doc ? {
+      sha256: sub.package_sha256,
+      signature: sub.release_signature,
+      signing_key_id: sub.signing_key_id,
+      doc: sub.release_doc,
+    } : null,
+  };
+}
+
+// Submit a build: multipart with the zip as a file field plus the /submit form's fields
+// (category, pricing_model, price, trial_days, author_*, resubmit_id, resubmit_note)
+app.post('/api/v1/submissions', requireApiToken, async (req, res) => {
   try {
-    // Find End of Central Directory record
-    let eocdOffset = -1;
-    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
-      if (buffer.readUInt32LE(i) === 0x06054b50) { eocdOffset = i; break; }
+    if (!req.is('multipart/form-data')) {
+      return res.status(400).json({ error: 'Send multipart/form-data with the extension zip as a file field' });
     }
-    if (eocdOffset < 0) throw new Error('Invalid zip file');
+    const result = await processSubmission(req.developer, await readUpload(req));
+    if (!result.ok) return res.status(result.status).json({ error: 'Submission rejected', errors: result.errors });
+    res.status(201).json({
+      ...submissionJson(result.submission),
+      status_link: `${PORTAL_URL}/api/status/${result.submission.id}?token=${result.statusToken}`,
+      warnings: result.warnings,
+    });
+  } catch (err) {
+    console.error('[API] Submit error:', err);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+// Own submissions, newest first; optional ?ext_id= and ?status= filters
+app.get('/api/v1/submissions', requireApiToken, async (req, res) => {
+  try {
+    const submissions = (await db.getSubmissionsByDeveloper(req.developer.id))
+      .filter(sub => !req.query.ext_id || sub.ext_id === req.query.ext_id)
+      .filter(sub => !req.query.status || sub.status === req.query.status)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    res.json({ submissions: submissions.map(submissionJson) });
+  } catch (err) {
+    console.error('[API] List error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const cdEntries = buffer.readUInt16LE(eocdOffset + 10);
-    let cdOffset = buffer.readUInt32LE(eocdOffset + 16);
+async function ownSubmission(developer, id) {
+  const submission = await db.getSubmissionById(id);
+  return submission && submission.developer_id === developer.id ? submission : null;
+}
+
+app.get('/api/v1/submissions/:id', requireApiToken, async (req, res) => {
+  try {
+    const submission = await ownSubmission(req.developer, req.params.id);
+    if (!submission) return res.status(404).json({ error: 'Not found' });
+    res.json(submissionJson(submission));
+  } catch (err) {
+    console.error('[API] Fetch error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Pulls a submission that is still waiting on review; optional JSON { "note": "…" } for the reviewer
+app.post('/api/v1/submissions/:id/withdraw', requireApiToken, async (req, res) => {
+  try {
+    const submission = await ownSubmission(req.developer, req.params.id);
+    if (!submission) return res.status(404).json({ error: 'Not found' });
+    const withdrawn = review.canTransition(submission.status, 'withdrawn')
+      ? await db.withdrawSubmission(submission.id, review.OPEN_STATUSES)
+      : null;
+    if (!withdrawn) {
+      return res.status(409).json({ error: `Cannot withdraw a submission that is ${review.STATUS_LABELS[submission.status] || submission.status}` });
+    }
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 5000) : '';
+    await db.addReviewComment({
+      thread_id: review.threadIdFor(withdrawn),
+      submission_id: withdrawn.id,
+      author_type: 'developer',
+      author_name: req.developer.name || req.developer.email,
+      body: note || `Withdrew v${withdrawn.version}`,
+      status_change: 'withdrawn',
+    });
+    res.json(submissionJson(withdrawn));
+  } catch (err) {
+    console.error('[API] Withdraw error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    for (let i = 0; i < cdEntries; i++) {
-      if (buffer.readUInt32LE(cdOffset) !== 0x02014b50) break;
-      const fnLen = buffer.readUInt16LE(cdOffset + 28);
-      const extraLen = buffer.readUInt16LE(cdOffset + 30);
-      const commentLen = buffer.readUInt16LE(cdOffset + 32);
-      const localOffset = buffer.readUInt32LE(cdOffset + 42);
-      const fileName = buffer.toString('utf-8', cdOffset + 46, cdOffset + 46 + fnLen);
+// ============================================================
+// CRON — Notification retries, telemetry rollups, uploads and package retention (Vercel Cron, see vercel.json)
+// ============================================================
+// Vercel sends CRON_SECRET as a bearer token
+function requireCron(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!secret || !tokenMatches(bearer, hashToken(secret))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
 
-      if (!fileName.endsWith('/')) fileList.push(fileName);
+app.get('/api/cron/notifications', requireCron, async (req, res) => {
+  try {
+    res.json(await notifier.processQueue());
+  } catch (err) {
+    console.error('[Notify] Queue run failed:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-      // Extract manifest.json from local file header
-      if ((fileName === 'manifest.json' || fileName.match(/^[^/]+\/manifest\.json$/)) && !manifest) {
-        const lfhOffset = localOffset;
-        if (buffer.readUInt32LE(lfhOffset) === 0x04034b50) {
-          const lfnLen = buffer.readUInt16LE(lfhOffset + 26);
-          const lextraLen = buffer.readUInt16LE(lfhOffset + 28);
-          const compMethod = buffer.readUInt16LE(lfhOffset + 8);
-          const compSize = buffer.readUInt32LE(lfhOffset + 18);
-          const dataStart = lfhOffset + 30 + lfnLen + lextraLen;
+app.get('/api/cron/telemetry', requireCron, async (req, res) => {
+  try {
+    res.json(await telemetry.aggregate());
+  } catch (err) {
+    console.error('[Telemetry] Aggregation failed:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-          if (compMethod === 0) { // stored (not compressed)
-            const raw = buffer.toString('utf-8', dataStart, dataStart + compSize);
-            try { manifest = JSON.parse(raw); } catch {}
-          }
-          // For deflate, we'd need zlib — skip for now, most small manifests are stored
-        }
+// Deletes the packages of rejected, withdrawn and superseded builds past the retention window
+app.get('/api/cron/storage', requireCron, async (req, res) => {
+  try {
+    // One-time migration, a batch per run: builds stored before packages were private are still public
+    const exposed = await db.getPublicUnapprovedPackages();
+    let madePrivate = 0;
+    for (const sub of exposed) {
+      try {
+        await setPackageAccess([sub], 'private');
+        madePrivate++;
+      } catch (err) {
+        console.error(`[Storage] Could not make the package of submission ${sub.id} private:`, err.message);
       }
+    }
 
-      cdOffset += 46 + fnLen + extraLen + commentLen;
+    const expired = await db.getExpiredPackages(review.DISCARDED_STATUSES, storage.RETENTION_DAYS);
+    let deleted = 0;
+    for (const sub of expired) {
+      try {
+        await storage.removeObject(sub.blob_url);
+        await db.markPackageDeleted(sub.id);
+        deleted++;
+      } catch (err) {
+        console.error(`[Storage] Could not delete the package of submission ${sub.id}:`, err.message);
+      }
     }
+    res.json({ made_private: madePrivate, expired: expired.length, deleted });
+  } catch (err) {
+    console.error('[Storage] Retention run failed:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Processes uploads whose page was closed before processing, and expires ones never received
+app.get('/api/cron/uploads', requireCron, async (req, res) => {
+  try {
+    const pending = await db.getPendingUploads();
+    for (const { id } of pending) await processUpload(id);
+    const expired = await db.expireStaleUploads(uploads.UPLOAD_TTL_MINUTES);
+    for (const upload of expired) await uploads.removeUploadedFile(upload);
+    res.json({ processed: pending.length, expired: expired.length });
+  } catch (err) {
+    console.error('[Uploads] Sweep failed:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Downloads a submission's stored zip
+async function fetchPackage(submission) {
+  if (!submission || !submission.blob_url) throw new Error('Package not available');
+  return storage.getObject(submission.blob_url);
+}
+
+// ── Package lifecycle ────────────────────────────────────────
+// Approved versions are served publicly; pending, rejected, unpublished and taken-down
+// builds stay private, and discarded ones are deleted after storage.RETENTION_DAYS.
+function packageFileName(submission) {
+  return `${submission.ext_id}-${submission.version}.zip`;
+}
+
+// Moves each submission's package to `access` (before the status change that calls for it)
+async function setPackageAccess(submissions, access) {
+  for (const sub of submissions) {
+    if (!sub.blob_url || storage.accessOf(sub.blob_url) === access) continue;
+    const key = access === 'public' ? `releases/${sub.ext_id}/${sub.version}.zip` : `submissions/${sub.ext_id}-${sub.version}-${sub.id}.zip`;
+    await db.setSubmissionPackage(sub.id, await storage.moveObject(sub.blob_url, key, access));
+  }
+}
+
+// Downloads a submission's stored zip and parses it
+async function loadPackage(submission) {
+  const pkg = await parseZipContents(await fetchPackage(submission));
+  if (!pkg.archiveResult.valid) throw new Error(pkg.archiveResult.errors[0]);
+  return pkg;
+}
+
+// ============================================================
+// Zip parsing helper
+// ============================================================
+async function parseZipContents(buffer) {
+  // Returns the parsed manifest, a flat file list, a per-file inventory and
+  // the archive safety result. Nothing is extracted if the safety pass fails.
+  let manifest = null;
+  let entries = [];
+
+  try {
+    entries = readZip(buffer).entries;
   } catch (e) {
     console.error('Zip parse error:', e.message);
+    const { error, result } = issueCollector();
+    error('invalid_zip', null, `Could not read zip: ${e.message}`);
+    return { manifest, fileList: [], files: [], archiveResult: result() };
   }
 
+  const archiveResult = validateArchive(entries);
+  if (!archiveResult.valid) return { manifest, fileList: [], files: [], archiveResult };
+
   // Normalize file paths (strip leading folder name if all files share one)
-  if (fileList.length && !fileList.some(f => f === 'manifest.json')) {
-    const prefix = fileList[0].split('/')[0] + '/';
-    if (fileList.every(f => f.startsWith(prefix))) {
-      const stripped = fileList.map(f => f.slice(prefix.length));
-      return { manifest, fileList: stripped };
+  const names = entries.filter(e => !e.isDirectory).map(e => e.path);
+  let prefix = '';
+  if (names.length && !names.includes('manifest.json')) {
+    const candidate = names[0].split('/')[0] + '/';
+    if (names.every(f => f.startsWith(candidate))) prefix = candidate;
+  }
+
+  const files = entries
+    .filter(e => !e.isDirectory)
+    .map(e => ({
+      path: e.path.slice(prefix.length),
+      compressed_size: e.compressedSize,
+      uncompressed_size: e.uncompressedSize,
+      crc32: e.crc32,
+      method: e.method,
+      read: e.read,
+    }));
+
+  const manifestFile = files.find(f => f.path === 'manifest.json');
+  if (manifestFile) {
+    try { manifest = JSON.parse(manifestFile.read().toString('utf-8')); } catch (e) {
+      console.error('Manifest read error:', e.message);
     }
   }
 
-  return { manifest, fileList };
+  return { manifest, fileList: files.map(f => f.path), files, archiveResult };
 }
 
 module.exports = app;
@@ -0,0 +1,176 @@
+/**
+ * Admin accounts: roles, TOTP second factor and CSRF tokens.
+ * Sessions live in admin_sessions so they can be listed and revoked; the
+ * cookie only carries a signed session id.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('./db');
+
+const ROLES = ['viewer', 'reviewer', 'finance', 'owner'];
+
+// view: dashboards and read-only pages; review: submission decisions;
+// finance: entitlements and Stripe replays; manage: admin accounts
+const ROLE_PERMISSIONS = {
+  viewer: ['view'],
+  reviewer: ['view', 'review'],
+  finance: ['view', 'finance'],
+  owner: ['view', 'review', 'finance', 'manage'],
+};
+
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Wrong passwords and TOTP codes lock the account (and, at a higher count, the
+// client IP) for a while; failures are counted within a rolling window
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_MAX_FAILURES_PER_IP = 20;
+const LOGIN_WINDOW_MINUTES = 15;
+const LOGIN_LOCK_MINUTES = 15;
+
+function can(admin, permission) {
+  return !!admin && (ROLE_PERMISSIONS[admin.role] || []).includes(permission);
+}
+
+/**
+ * Checks a username/password pair. While the admins table is empty, the
+ * ADMIN_USERNAME / ADMIN_PASSWORD env pair signs in once and becomes the
+ * first owner account.
+ */
+async function authenticate(username, password, bootstrap) {
+  const admin = await db.getAdminByUsername(username);
+  if (admin) {
+    if (admin.disabled_at) return null;
+    return await bcrypt.compare(password, admin.password_hash) ? admin : null;
+  }
+  if (await db.countAdmins() > 0 || username !== bootstrap.username) return null;
+  const envMatch = bootstrap.password.startsWith('$2')
+    ? await bcrypt.compare(password, bootstrap.password)
+    : password === bootstrap.password;
+  if (!envMatch) return null;
+  return db.createAdmin({ username, password_hash: await bcrypt.hash(password, 10), role: 'owner' });
+}
+
+function passwordProblem(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  return null;
+}
+
+function newSessionId() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// ── CSRF ─────────────────────────────────────────────────────
+// Tokens are an HMAC of the session id, so they die with the session
+function csrfToken(sessionId, secret) {
+  return crypto.createHmac('sha256', secret).update(`csrf:${sessionId}`).digest('base64url');
+}
+
+function csrfMatches(sent, expected) {
+  if (typeof sent !== 'string' || !expected) return false;
+  const a = Buffer.from(sent);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ── TOTP (RFC 6238: SHA-1, 6 digits, 30 s steps) ─────────────
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, '').toUpperCase()) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(code).padStart(6, '0');
+}
+
+/**
+ * Returns the time step a code matches (allowing one step of clock drift
+ * either way), or null. Steps at or before `lastStep` are rejected so a
+ * code can't be replayed.
+ */
+function verifyTotp(secret, code, lastStep = null, now = Date.now()) {
+  const cleaned = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(cleaned)) return null;
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastStep !== null && step <= Number(lastStep)) continue;
+    const expected = totpAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) return step;
+  }
+  return null;
+}
+
+// ── Sign-in throttling ──
+// Throttle keys for an attempt: the account first, then the client IP
+function loginThrottleKeys(username, ip) {
+  return [`user:${String(username).toLowerCase()}`, ...(ip ? [`ip:${ip}`] : [])];
+}
+
+async function isLockedOut(keys) {
+  return (await db.getLockedLoginKeys(keys)).length > 0;
+}
+
+// Counts a failed attempt against every key; returns the keys it locked
+async function recordLoginFailure(keys) {
+  const locked = [];
+  for (const key of keys) {
+    const max = key.startsWith('ip:') ? LOGIN_MAX_FAILURES_PER_IP : LOGIN_MAX_FAILURES;
+    if (await db.recordLoginFailure(key, max, LOGIN_WINDOW_MINUTES, LOGIN_LOCK_MINUTES)) locked.push(key);
+  }
+  return locked;
+}
+
+// A successful sign-in resets the account's count (the IP's keeps running)
+async function clearLoginFailures(keys) {
+  await db.clearLoginFailures(keys.filter(key => key.startsWith('user:')));
+}
+
+function otpauthUrl(username, secret, issuer = 'Flip Dev Portal') {
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+}
+
+module.exports = {
+  ROLES, ROLE_PERMISSIONS, SESSION_TTL_SECONDS, MIN_PASSWORD_LENGTH, LOGIN_LOCK_MINUTES,
+  can, authenticate, passwordProblem, newSessionId, csrfToken, csrfMatches,
+  generateTotpSecret, verifyTotp, otpauthUrl,
+  loginThrottleKeys, isLockedOut, recordLoginFailure, clearLoginFailures,
+};
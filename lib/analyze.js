@@ -0,0 +1,179 @@
+/**
+ * Static source analysis of extension code.
+ * Flags dynamic code execution, script injection, embedded blobs,
+ * obfuscated/minified lines, hard-coded endpoints and Flip SDK calls
+ * made without the matching manifest permission.
+ */
+
+const { permissionForApi, ALLOWED_PERMISSIONS, PERMISSION_APIS, PERMISSION_RISK } = require('./validate');
+
+const SOURCE_EXTS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.html', '.htm'];
+
+const MAX_SOURCE_SIZE = 2 * 1024 * 1024; // skip (and flag) anything bigger
+const MINIFIED_LINE_LENGTH = 500;
+const ENTROPY_MIN_LENGTH = 120;
+const ENTROPY_THRESHOLD = 5.2; // bits/char — plain code sits around 4.2–4.8
+const MAX_FINDINGS_PER_RULE = 20;
+
+// Line-level pattern rules: [rule, severity, regex, message]
+const PATTERN_RULES = [
+  ['eval', 'high', /\beval\s*\(/, 'Dynamic code execution via eval()'],
+  ['new-function', 'high', /\bnew\s+Function\s*\(/, 'Dynamic code execution via new Function()'],
+  ['string-timer', 'medium', /\bset(?:Timeout|Interval)\s*\(\s*['"`]/, 'String passed to setTimeout/setInterval'],
+  ['script-injection', 'high', /createElement\s*\(\s*['"`]script['"`]\s*\)/i, 'Dynamic <script> element creation'],
+  ['script-injection', 'high', /\.(?:innerHTML|outerHTML)\s*\+?=.*<script/i, 'Script tag injected through innerHTML'],
+  ['script-injection', 'medium', /\bdocument\.write(?:ln)?\s*\(/, 'document.write() call'],
+  ['dynamic-import', 'medium', /\bimport\s*\(\s*['"`]https?:/, 'Dynamic import() of remote code'],
+  ['remote-script', 'high', /<script[^>]+src\s*=\s*['"]?(?:https?:)?\/\//i, 'Remote <script src> in HTML'],
+  ['base64-blob', 'medium', /[A-Za-z0-9+/]{200,}={0,2}/, 'Long base64 blob embedded in source'],
+  ['hex-blob', 'medium', /(?:\\x[0-9a-fA-F]{2}){32,}|\b[0-9a-fA-F]{200,}\b/, 'Long hex-encoded blob embedded in source'],
+];
+
+const URL_RE = /\b(?:https?|wss?):\/\/[^\s'"`<>()\\]+/g;
+const FLIP_CALL_RE = /\bFlip(?:\.[A-Za-z_$][\w$]*)+(?=\s*\()/g;
+
+function isSourceFile(path) {
+  const lower = path.toLowerCase();
+  return SOURCE_EXTS.some(ext => lower.endsWith(ext));
+}
+
+function shannonEntropy(str) {
+  const counts = new Map();
+  for (const ch of str) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const n of counts.values()) {
+    const p = n / str.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function snippet(line, index = 0) {
+  const start = Math.max(0, index - 40);
+  const text = line.slice(start, start + 120).trim();
+  return (start > 0 ? '…' : '') + text + (line.length > start + 120 ? '…' : '');
+}
+
+/**
+ * Least-privilege report: maps each permission to the SDK calls that use it,
+ * lists declared-but-unused permissions and used-but-undeclared APIs, and
+ * scores the request (100 = minimal, fully used permissions).
+ */
+function permissionReport(declared, apiCalls) {
+  const calls = [...apiCalls.keys()];
+  const permissions = ALLOWED_PERMISSIONS.map(perm => {
+    const used = calls.filter(c => permissionForApi(c) === perm);
+    return { permission: perm, apis: PERMISSION_APIS[perm], declared: declared.includes(perm), used, risk: PERMISSION_RISK[perm] };
+  });
+
+  const unused = permissions.filter(p => p.declared && !p.used.length).map(p => p.permission);
+  const undeclared = permissions.filter(p => !p.declared && p.used.length)
+    .flatMap(p => p.used.map(call => ({ call, permission: p.permission })));
+
+  let score = 100;
+  for (const p of permissions) if (p.declared) score -= p.risk;
+  score -= unused.length * 10;
+  score -= undeclared.length * 15;
+  score = Math.max(0, score);
+
+  let grade = 'D';
+  if (score >= 85) grade = 'A';
+  else if (score >= 70) grade = 'B';
+  else if (score >= 50) grade = 'C';
+
+  return { permissions: permissions.filter(p => p.declared || p.used.length), unused, undeclared, score, grade };
+}
+
+/**
+ * Scans extension source files.
+ * `files` is the inventory from parseZipContents (path + read()).
+ * Returns { findings, endpoints, api_calls, permission_report, scanned, summary }.
+ */
+function analyzeSources(files, manifest = {}) {
+  const findings = [];
+  const endpoints = new Set();
+  const apiCalls = new Map(); // call → first location
+  const ruleCounts = {};
+  const declared = Array.isArray(manifest.permissions) ? manifest.permissions : [];
+  const scanned = [];
+
+  function add(finding) {
+    ruleCounts[finding.rule] = (ruleCounts[finding.rule] || 0) + 1;
+    if (ruleCounts[finding.rule] <= MAX_FINDINGS_PER_RULE) findings.push(finding);
+  }
+
+  // Entry file first so its findings lead the report
+  const sources = files.filter(f => isSourceFile(f.path))
+    .sort((a, b) => (b.path === manifest.main) - (a.path === manifest.main));
+
+  for (const file of sources) {
+    if (file.uncompressed_size > MAX_SOURCE_SIZE) {
+      add({ rule: 'oversized', severity: 'medium', file: file.path, line: null, message: 'Source file too large to analyze' });
+      continue;
+    }
+    let text;
+    try { text = file.read().toString('utf-8'); } catch (e) {
+      add({ rule: 'unreadable', severity: 'medium', file: file.path, line: null, message: `Could not read file: ${e.message}` });
+      continue;
+    }
+    scanned.push(file.path);
+
+    const lines = text.split(/\r?\n/);
+    let longLines = 0;
+
+    lines.forEach((line, i) => {
+      const lineNo = i + 1;
+
+      for (const [rule, severity, re, message] of PATTERN_RULES) {
+        const m = re.exec(line);
+        if (m) add({ rule, severity, file: file.path, line: lineNo, message, snippet: snippet(line, m.index) });
+      }
+
+      if (line.length > MINIFIED_LINE_LENGTH) longLines++;
+      else if (line.length >= ENTROPY_MIN_LENGTH && shannonEntropy(line) > ENTROPY_THRESHOLD) {
+        add({ rule: 'high-entropy', severity: 'medium', file: file.path, line: lineNo, message: 'High-entropy line (possible obfuscation)', snippet: snippet(line) });
+      }
+
+      for (const m of line.matchAll(URL_RE)) {
+        const url = m[0].replace(/[.,;]+$/, '');
+        if (!endpoints.has(url)) {
+          endpoints.add(url);
+          add({ rule: 'endpoint', severity: 'info', file: file.path, line: lineNo, message: `Hard-coded endpoint: ${url}` });
+        }
+      }
+
+      for (const m of line.matchAll(FLIP_CALL_RE)) {
+        if (!apiCalls.has(m[0])) apiCalls.set(m[0], { file: file.path, line: lineNo });
+      }
+    });
+
+    if (longLines) {
+      add({
+        rule: 'minified', severity: longLines > 3 ? 'high' : 'medium', file: file.path, line: null,
+        message: `${longLines} line(s) over ${MINIFIED_LINE_LENGTH} chars (minified or bundled code)`,
+      });
+    }
+  }
+
+  // Flip SDK calls without the matching permission
+  for (const [call, loc] of apiCalls) {
+    const perm = permissionForApi(call);
+    if (perm && !declared.includes(perm)) {
+      add({ rule: 'undeclared-permission', severity: 'high', file: loc.file, line: loc.line, message: `${call}() requires the "${perm}" permission, which the manifest does not declare` });
+    }
+  }
+
+  const summary = { high: 0, medium: 0, info: 0 };
+  for (const f of findings) summary[f.severity]++;
+
+  return {
+    findings,
+    endpoints: [...endpoints],
+    api_calls: [...apiCalls.entries()].map(([call, loc]) => ({ call, ...loc })),
+    permission_report: permissionReport(declared, apiCalls),
+    scanned,
+    summary,
+  };
+}
+
+module.exports = { analyzeSources, permissionReport, isSourceFile, shannonEntropy };
@@ -0,0 +1,76 @@
+/**
+ * Tiny server-rendered SVG charts for the analytics pages (no client JS).
+ * Each function returns an <svg> string for `<%- %>`; labels are escaped here.
+ *
+ *   lineChart(labels, [{ name, values, color }])
+ *   barChart(labels, [{ name, values, color }])   — series side by side per label
+ */
+
+const WIDTH = 720;
+const HEIGHT = 180;
+const PAD = { top: 12, right: 8, bottom: 22, left: 36 };
+
+function esc(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Rounds the y-axis top up to 1, 2 or 5 × 10^n so gridlines land on whole numbers
+function niceMax(value) {
+  if (value <= 4) return 4;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+  return step * magnitude;
+}
+
+function frame(labels, max, body) {
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const grid = [0, 0.5, 1].map(f => {
+    const y = PAD.top + plotH * (1 - f);
+    return `<line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y}" y2="${y}" stroke="rgba(255,255,255,0.06)"/>` +
+      `<text x="${PAD.left - 6}" y="${y + 3}" text-anchor="end" fill="rgba(255,255,255,0.3)" font-size="10">${Math.round(max * f)}</text>`;
+  }).join('');
+  const ends = labels.length > 1 ? [0, labels.length - 1] : labels.length ? [0] : [];
+  const xLabels = ends.map(i => {
+    const x = PAD.left + (labels.length === 1 ? plotW / 2 : (plotW * i) / (labels.length - 1));
+    const anchor = i === 0 ? 'start' : 'end';
+    return `<text x="${x}" y="${HEIGHT - 6}" text-anchor="${anchor}" fill="rgba(255,255,255,0.3)" font-size="10">${esc(labels[i])}</text>`;
+  }).join('');
+  return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="w-full h-auto" role="img">${grid}${body}${xLabels}</svg>`;
+}
+
+function lineChart(labels, series) {
+  const max = niceMax(Math.max(0, ...series.flatMap(s => s.values)));
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const point = (v, i) => {
+    const x = PAD.left + (labels.length === 1 ? plotW / 2 : (plotW * i) / (labels.length - 1));
+    return `${x.toFixed(1)},${(PAD.top + plotH * (1 - v / max)).toFixed(1)}`;
+  };
+  const body = series.map(s => {
+    const points = s.values.map(point).join(' ');
+    const area = `${PAD.left},${PAD.top + plotH} ${points} ${WIDTH - PAD.right},${PAD.top + plotH}`;
+    return `<polygon points="${area}" fill="${s.color}" fill-opacity="0.08"/>` +
+      `<polyline points="${points}" fill="none" stroke="${s.color}" stroke-width="2" stroke-linejoin="round">` +
+      `<title>${esc(s.name)}</title></polyline>`;
+  }).join('');
+  return frame(labels, max, body);
+}
+
+function barChart(labels, series) {
+  const max = niceMax(Math.max(0, ...series.flatMap(s => s.values)));
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const slot = plotW / Math.max(labels.length, 1);
+  const barW = Math.max((slot * 0.7) / series.length, 1);
+  const body = labels.map((label, i) => series.map((s, j) => {
+    const value = s.values[i] || 0;
+    const h = (plotH * value) / max;
+    const x = PAD.left + slot * i + (slot - barW * series.length) / 2 + barW * j;
+    return `<rect x="${x.toFixed(1)}" y="${(PAD.top + plotH - h).toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" rx="1" fill="${s.color}">` +
+      `<title>${esc(label)} — ${esc(s.name)}: ${value}</title></rect>`;
+  }).join('')).join('');
+  return frame(labels, max, body);
+}
+
+module.exports = { lineChart, barChart };
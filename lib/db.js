@@ -52,13 +52,343 @@ async function ensureTables() {
       reviewed_at   TIMESTAMPTZ
     )
   `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS developers (
+      id            SERIAL PRIMARY KEY,
+      email         TEXT UNIQUE NOT NULL,
+      name          TEXT,
+      password_hash TEXT NOT NULL,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  // developer_id is null for ids reserved from before developer accounts (see below)
+  await sql`
+    CREATE TABLE IF NOT EXISTS extensions (
+      ext_id               TEXT PRIMARY KEY,
+      developer_id         INTEGER REFERENCES developers(id),
+      name                 TEXT NOT NULL,
+      latest_version       TEXT,
+      latest_submission_id INTEGER,
+      created_at           TIMESTAMPTZ DEFAULT NOW(),
+      updated_at           TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS extension_prices (
+      id              SERIAL PRIMARY KEY,
+      ext_id          TEXT NOT NULL REFERENCES extensions(ext_id),
+      stripe_price_id TEXT UNIQUE NOT NULL,
+      plan_type       TEXT NOT NULL,
+      amount_cents    INTEGER NOT NULL,
+      currency        TEXT NOT NULL DEFAULT 'usd',
+      trial_days      INTEGER NOT NULL DEFAULT 0,
+      active          BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at      TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id               SERIAL PRIMARY KEY,
+      developer_id     INTEGER NOT NULL REFERENCES developers(id),
+      ext_id           TEXT,
+      type             TEXT NOT NULL,
+      stripe_object_id TEXT NOT NULL,
+      payment_intent   TEXT,
+      gross_cents      INTEGER NOT NULL DEFAULT 0,
+      fee_cents        INTEGER NOT NULL DEFAULT 0,
+      net_cents        INTEGER NOT NULL,
+      currency         TEXT NOT NULL DEFAULT 'usd',
+      firebase_uid     TEXT,
+      description      TEXT,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE(type, stripe_object_id)
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS entitlement_audit (
+      id             SERIAL PRIMARY KEY,
+      entitlement_id INTEGER REFERENCES entitlements(id),
+      firebase_uid   TEXT NOT NULL,
+      ext_id         TEXT NOT NULL,
+      action         TEXT NOT NULL,
+      actor          TEXT NOT NULL,
+      reason         TEXT,
+      before         JSONB,
+      after          JSONB,
+      created_at     TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS review_comments (
+      id            SERIAL PRIMARY KEY,
+      thread_id     INTEGER NOT NULL,
+      submission_id INTEGER NOT NULL REFERENCES submissions(id),
+      author_type   TEXT NOT NULL,
+      author_name   TEXT NOT NULL,
+      body          TEXT NOT NULL,
+      status_change TEXT,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS stripe_events (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      payload       JSONB NOT NULL,
+      status        TEXT NOT NULL DEFAULT 'processing',
+      result        TEXT,
+      attempts      INTEGER NOT NULL DEFAULT 1,
+      event_created TIMESTAMPTZ,
+      received_at   TIMESTAMPTZ DEFAULT NOW(),
+      updated_at    TIMESTAMPTZ DEFAULT NOW(),
+      processed_at  TIMESTAMPTZ
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS admins (
+      id             SERIAL PRIMARY KEY,
+      username       TEXT UNIQUE NOT NULL,
+      password_hash  TEXT NOT NULL,
+      role           TEXT NOT NULL DEFAULT 'viewer',
+      totp_secret    TEXT,
+      totp_enabled   BOOLEAN NOT NULL DEFAULT FALSE,
+      totp_last_step BIGINT,
+      disabled_at    TIMESTAMPTZ,
+      last_login_at  TIMESTAMPTZ,
+      created_at     TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id           TEXT PRIMARY KEY,
+      admin_id     INTEGER NOT NULL REFERENCES admins(id),
+      ip           TEXT,
+      user_agent   TEXT,
+      created_at   TIMESTAMPTZ DEFAULT NOW(),
+      last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+      expires_at   TIMESTAMPTZ NOT NULL,
+      revoked_at   TIMESTAMPTZ
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS admin_audit (
+      id             SERIAL PRIMARY KEY,
+      admin_id       INTEGER REFERENCES admins(id),
+      admin_username TEXT NOT NULL,
+      action         TEXT NOT NULL,
+      target_type    TEXT,
+      target_id      TEXT,
+      details        JSONB,
+      ip             TEXT,
+      created_at     TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  // Failed admin sign-ins per account and per client IP (see lib/admin-auth)
+  await sql`
+    CREATE TABLE IF NOT EXISTS admin_login_failures (
+      key          TEXT PRIMARY KEY,
+      failures     INTEGER NOT NULL DEFAULT 0,
+      window_start TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      locked_until TIMESTAMPTZ
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id              SERIAL PRIMARY KEY,
+      event           TEXT NOT NULL,
+      developer_id    INTEGER REFERENCES developers(id),
+      recipient       TEXT NOT NULL,
+      transport       TEXT NOT NULL,
+      subject         TEXT NOT NULL,
+      body            TEXT NOT NULL,
+      payload         JSONB,
+      dedupe_key      TEXT,
+      status          TEXT NOT NULL DEFAULT 'sending',
+      attempts        INTEGER NOT NULL DEFAULT 1,
+      last_error      TEXT,
+      next_attempt_at TIMESTAMPTZ,
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      sent_at         TIMESTAMPTZ,
+      UNIQUE(dedupe_key, transport)
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS extension_reviews (
+      id           SERIAL PRIMARY KEY,
+      ext_id       TEXT NOT NULL REFERENCES extensions(ext_id),
+      firebase_uid TEXT NOT NULL,
+      author_name  TEXT,
+      rating       SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      body         TEXT,
+      version      TEXT,
+      reply_body   TEXT,
+      reply_at     TIMESTAMPTZ,
+      hidden_at    TIMESTAMPTZ,
+      hidden_by    TEXT,
+      created_at   TIMESTAMPTZ DEFAULT NOW(),
+      updated_at   TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE(ext_id, firebase_uid)
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS extension_reports (
+      id             SERIAL PRIMARY KEY,
+      ext_id         TEXT NOT NULL REFERENCES extensions(ext_id),
+      firebase_uid   TEXT NOT NULL,
+      reporter_email TEXT,
+      reason         TEXT NOT NULL,
+      details        TEXT,
+      version        TEXT,
+      status         TEXT NOT NULL DEFAULT 'open',
+      resolved_by    TEXT,
+      resolved_at    TIMESTAMPTZ,
+      resolution     TEXT,
+      created_at     TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  // Install telemetry: no user data, installs are keyed by a hash of the browser's random install id
+  await sql`
+    CREATE TABLE IF NOT EXISTS telemetry_events (
+      id          BIGSERIAL PRIMARY KEY,
+      ext_id      TEXT NOT NULL,
+      event       TEXT NOT NULL,
+      version     TEXT,
+      api_version TEXT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS extension_installs (
+      ext_id         TEXT NOT NULL,
+      install_hash   TEXT NOT NULL,
+      version        TEXT,
+      api_version    TEXT,
+      installed_at   TIMESTAMPTZ DEFAULT NOW(),
+      last_seen_at   TIMESTAMPTZ DEFAULT NOW(),
+      uninstalled_at TIMESTAMPTZ,
+      PRIMARY KEY (ext_id, install_hash)
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS checkout_sessions (
+      session_id   TEXT PRIMARY KEY,
+      ext_id       TEXT NOT NULL,
+      plan_type    TEXT,
+      created_at   TIMESTAMPTZ DEFAULT NOW(),
+      completed_at TIMESTAMPTZ
+    )
+  `;
+  await sql`
+    CREATE TABLE IF NOT EXISTS extension_daily_stats (
+      ext_id          TEXT NOT NULL,
+      day             DATE NOT NULL,
+      installs        INTEGER NOT NULL DEFAULT 0,
+      uninstalls      INTEGER NOT NULL DEFAULT 0,
+      update_checks   INTEGER NOT NULL DEFAULT 0,
+      downloads       INTEGER NOT NULL DEFAULT 0,
+      checkouts       INTEGER NOT NULL DEFAULT 0,
+      purchases       INTEGER NOT NULL DEFAULT 0,
+      active_installs INTEGER NOT NULL DEFAULT 0,
+      versions        JSONB NOT NULL DEFAULT '{}',
+      PRIMARY KEY (ext_id, day)
+    )
+  `;
+  // Only a hash of each API token is stored; the token itself is shown once
+  await sql`
+    CREATE TABLE IF NOT EXISTS developer_api_tokens (
+      id           SERIAL PRIMARY KEY,
+      developer_id INTEGER NOT NULL REFERENCES developers(id),
+      name         TEXT NOT NULL,
+      token_hash   TEXT UNIQUE NOT NULL,
+      token_hint   TEXT NOT NULL,
+      created_at   TIMESTAMPTZ DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      revoked_at   TIMESTAMPTZ
+    )
+  `;
+  // Direct-to-storage uploads from the submit form, processed into a submission once received.
+  // status: awaiting_upload → uploaded → processing → done | failed (or expired if never received)
+  await sql`
+    CREATE TABLE IF NOT EXISTS submission_uploads (
+      id            SERIAL PRIMARY KEY,
+      developer_id  INTEGER NOT NULL REFERENCES developers(id),
+      file_name     TEXT NOT NULL,
+      size_bytes    BIGINT NOT NULL,
+      max_bytes     BIGINT NOT NULL,
+      fields        JSONB NOT NULL DEFAULT '{}',
+      storage       TEXT NOT NULL,
+      blob_url      TEXT,
+      status        TEXT NOT NULL DEFAULT 'awaiting_upload',
+      result        JSONB,
+      submission_id INTEGER REFERENCES submissions(id),
+      attempts      INTEGER NOT NULL DEFAULT 0,
+      lease_until   TIMESTAMPTZ,
+      created_at    TIMESTAMPTZ DEFAULT NOW(),
+      uploaded_at   TIMESTAMPTZ,
+      processed_at  TIMESTAMPTZ
+    )
+  `;
+  // The audit log is append-only, even for direct SQL
+  await sql`
+    CREATE OR REPLACE FUNCTION admin_audit_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'admin_audit is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `;
+  await sql`
+    CREATE OR REPLACE TRIGGER admin_audit_append_only
+    BEFORE UPDATE OR DELETE ON admin_audit
+    FOR EACH ROW EXECUTE FUNCTION admin_audit_append_only()
+  `;
+  // Columns added after the initial schema
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS analysis JSONB`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS developer_id INTEGER REFERENCES developers(id)`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS status_token_hash TEXT`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS replaces_id INTEGER REFERENCES submissions(id)`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS package_sha256 TEXT`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS release_doc JSONB`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS release_signature TEXT`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS signing_key_id TEXT`;
+  await sql`ALTER TABLE entitlements ADD COLUMN IF NOT EXISTS stripe_event_at TIMESTAMPTZ`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS pricing JSONB`;
+  await sql`ALTER TABLE extensions ADD COLUMN IF NOT EXISTS stripe_product_id TEXT`;
+  await sql`ALTER TABLE developers ADD COLUMN IF NOT EXISTS stripe_account_id TEXT UNIQUE`;
+  await sql`ALTER TABLE developers ADD COLUMN IF NOT EXISTS charges_enabled BOOLEAN NOT NULL DEFAULT FALSE`;
+  await sql`ALTER TABLE developers ADD COLUMN IF NOT EXISTS payouts_enabled BOOLEAN NOT NULL DEFAULT FALSE`;
+  await sql`ALTER TABLE developers ADD COLUMN IF NOT EXISTS details_submitted BOOLEAN NOT NULL DEFAULT FALSE`;
+  await sql`ALTER TABLE entitlements ADD COLUMN IF NOT EXISTS past_due_at TIMESTAMPTZ`;
+  await sql`ALTER TABLE entitlements ADD COLUMN IF NOT EXISTS stripe_payment_intent TEXT`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS thread_id INTEGER`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS assigned_to TEXT`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ`;
+  await sql`ALTER TABLE developers ADD COLUMN IF NOT EXISTS notification_prefs JSONB NOT NULL DEFAULT '{}'`;
+  await sql`ALTER TABLE extensions ADD COLUMN IF NOT EXISTS download_count INTEGER NOT NULL DEFAULT 0`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS smoke_test JSONB`;
+  // Package lifecycle (lib/storage): blob_url holds the storage location and is cleared once the package is deleted
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ`;
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS package_deleted_at TIMESTAMPTZ`;
+  // What a taken-down version goes back to when it is reinstated
+  await sql`ALTER TABLE submissions ADD COLUMN IF NOT EXISTS status_before_takedown TEXT`;
+
+  // Register ids published before the registry existed, so nobody else can claim them.
+  // Submissions from before developer accounts have no owner; their ids stay reserved
+  // (developer_id used to be NOT NULL, so databases created before this need the ALTER).
+  await sql`ALTER TABLE extensions ALTER COLUMN developer_id DROP NOT NULL`;
+  await sql`
+    INSERT INTO extensions (ext_id, developer_id, name)
+    SELECT DISTINCT ON (ext_id) ext_id, developer_id, name FROM submissions
+    WHERE status IN ('approved', 'unpublished', 'taken_down')
+    ORDER BY ext_id, developer_id IS NULL, created_at DESC
+    ON CONFLICT (ext_id) DO NOTHING
+  `;
 }
 
 // ── Submissions ──────────────────────────────────────────────
 async function createSubmission(data) {
   const { rows } = await sql`
-    INSERT INTO submissions (ext_id, name, version, description, author, author_email, author_website, author_github, author_twitter, author_discord, category, icon, type, permissions, api_version, blob_url, manifest_json)
-    VALUES (${data.ext_id}, ${data.name}, ${data.version}, ${data.description}, ${data.author}, ${data.author_email || null}, ${data.author_website || null}, ${data.author_github || null}, ${data.author_twitter || null}, ${data.author_discord || null}, ${data.category}, ${data.icon || 'puzzle'}, ${data.type || 'sidebar'}, ${data.permissions || []}, ${data.api_version || '1.0'}, ${data.blob_url}, ${JSON.stringify(data.manifest_json || {})})
+    INSERT INTO submissions (ext_id, name, version, description, author, author_email, author_website, author_github, author_twitter, author_discord, category, icon, type, permissions, api_version, blob_url, manifest_json, analysis, smoke_test, developer_id, status_token_hash, replaces_id, pricing, status, thread_id, assigned_to, assigned_at)
+    VALUES (${data.ext_id}, ${data.name}, ${data.version}, ${data.description}, ${data.author}, ${data.author_email || null}, ${data.author_website || null}, ${data.author_github || null}, ${data.author_twitter || null}, ${data.author_discord || null}, ${data.category}, ${data.icon || 'puzzle'}, ${data.type || 'sidebar'}, ${data.permissions || []}, ${data.api_version || '1.0'}, ${data.blob_url}, ${JSON.stringify(data.manifest_json || {})}, ${data.analysis ? JSON.stringify(data.analysis) : null}, ${data.smoke_test ? JSON.stringify(data.smoke_test) : null}, ${data.developer_id || null}, ${data.status_token_hash || null}, ${data.replaces_id || null}, ${JSON.stringify(data.pricing || { model: 'free' })}, ${data.status || 'pending'}, ${data.thread_id || null}, ${data.assigned_to || null}, ${data.assigned_to ? new Date().toISOString() : null})
     RETURNING *
   `;
   return rows[0];
@@ -73,19 +403,184 @@ async function getSubmissions(status = null) {
   return rows;
 }
 
+// Review queue: optional status list and reviewer filters ('' reviewer = unassigned)
+async function getReviewQueue({ statuses = null, reviewer = null } = {}, limit = 100) {
+  const { rows } = await sql`
+    SELECT * FROM submissions
+    WHERE (${statuses}::text[] IS NULL OR status = ANY(${statuses}::text[]))
+      AND (${reviewer}::text IS NULL OR COALESCE(assigned_to, '') = ${reviewer})
+    ORDER BY created_at DESC LIMIT ${limit}
+  `;
+  return rows;
+}
+
+async function getStatusCounts() {
+  const { rows } = await sql`SELECT status, COUNT(*)::int AS count FROM submissions GROUP BY status`;
+  return Object.fromEntries(rows.map(r => [r.status, r.count]));
+}
+
+// Open submissions per reviewer ('' = unassigned)
+async function getReviewerQueues(openStatuses) {
+  const { rows } = await sql`
+    SELECT COALESCE(assigned_to, '') AS reviewer, COUNT(*)::int AS count FROM submissions
+    WHERE status = ANY(${openStatuses}::text[])
+    GROUP BY 1 ORDER BY 1
+  `;
+  return rows;
+}
+
 async function getSubmissionById(id) {
   const { rows } = await sql`SELECT * FROM submissions WHERE id = ${id}`;
   return rows[0];
 }
 
+async function getSubmissionsByDeveloper(developerId) {
+  const { rows } = await sql`
+    SELECT * FROM submissions WHERE developer_id = ${developerId} ORDER BY ext_id, created_at DESC
+  `;
+  return rows;
+}
+
+async function getSubmissionsByExtension(extId) {
+  const { rows } = await sql`SELECT * FROM submissions WHERE ext_id = ${extId} ORDER BY created_at DESC`;
+  return rows;
+}
+
+// Latest approved submission per ext_id (what the marketplace publishes)
+// Highest approved version of each extension. Versions are x.y.z, compared
+// numerically like compareVersions (a reinstated older version is not "latest").
+async function getLatestApprovedSubmissions() {
+  const { rows } = await sql`
+    SELECT DISTINCT ON (ext_id) * FROM submissions
+    WHERE status = 'approved'
+    ORDER BY ext_id,
+      CASE WHEN version ~ '^[0-9]+[.][0-9]+[.][0-9]+$' THEN string_to_array(version, '.')::numeric[] END DESC NULLS LAST,
+      created_at DESC
+  `;
+  return rows;
+}
+
+// Newest version first, ordered like getLatestApprovedSubmissions
+async function getApprovedVersions(extId) {
+  const { rows } = await sql`
+    SELECT * FROM submissions WHERE ext_id = ${extId} AND status = 'approved'
+    ORDER BY CASE WHEN version ~ '^[0-9]+[.][0-9]+[.][0-9]+$' THEN string_to_array(version, '.')::numeric[] END DESC NULLS LAST,
+      created_at DESC
+  `;
+  return rows;
+}
+
 async function updateSubmissionStatus(id, status, reviewNotes = null) {
   const { rows } = await sql`
-    UPDATE submissions SET status = ${status}, review_notes = ${reviewNotes}, reviewed_at = NOW()
+    UPDATE submissions SET status = ${status}, review_notes = ${reviewNotes}, reviewed_at = NOW(), status_changed_at = NOW()
+    WHERE id = ${id} RETURNING *
+  `;
+  return rows[0];
+}
+
+// Status change for a single submission that isn't a review decision (keeps reviewed_at)
+async function setSubmissionStatus(id, status) {
+  const { rows } = await sql`UPDATE submissions SET status = ${status}, status_changed_at = NOW() WHERE id = ${id} RETURNING *`;
+  return rows[0];
+}
+
+// The developer pulls an open submission; a no-op (undefined) if a reviewer got there first
+async function withdrawSubmission(id, openStatuses) {
+  const { rows } = await sql`
+    UPDATE submissions SET status = 'withdrawn', status_changed_at = NOW()
+    WHERE id = ${id} AND status = ANY(${openStatuses}::text[]) RETURNING *
+  `;
+  return rows[0];
+}
+
+// Moves every version of an extension in one state to another (unpublish, takedown, reinstate)
+async function setExtensionVersionsStatus(extId, fromStatus, toStatus) {
+  const { rows } = await sql`
+    UPDATE submissions SET status = ${toStatus}, status_changed_at = NOW()
+    WHERE ext_id = ${extId} AND status = ${fromStatus} RETURNING *
+  `;
+  return rows;
+}
+
+// Takes down every version in one of `fromStatuses`, remembering which it was in
+async function takeDownExtensionVersions(extId, fromStatuses) {
+  const { rows } = await sql`
+    UPDATE submissions SET status_before_takedown = status, status = 'taken_down', status_changed_at = NOW()
+    WHERE ext_id = ${extId} AND status = ANY(${fromStatuses}::text[]) RETURNING *
+  `;
+  return rows;
+}
+
+// Puts taken-down versions back as they were (versions from before that was recorded were approved)
+async function reinstateExtensionVersions(extId) {
+  const { rows } = await sql`
+    UPDATE submissions SET status = COALESCE(status_before_takedown, 'approved'), status_before_takedown = NULL, status_changed_at = NOW()
+    WHERE ext_id = ${extId} AND status = 'taken_down' RETURNING *
+  `;
+  return rows;
+}
+
+async function assignSubmission(id, reviewer) {
+  const { rows } = await sql`
+    UPDATE submissions SET assigned_to = ${reviewer || null}, assigned_at = ${reviewer ? new Date().toISOString() : null}
+    WHERE id = ${id} RETURNING *
+  `;
+  return rows[0];
+}
+
+async function getThreadSubmissions(threadId) {
+  const { rows } = await sql`
+    SELECT * FROM submissions WHERE id = ${threadId} OR thread_id = ${threadId} ORDER BY created_at
+  `;
+  return rows;
+}
+
+async function setSubmissionRelease(id, signed) {
+  const { rows } = await sql`
+    UPDATE submissions SET package_sha256 = ${signed.sha256}, release_doc = ${JSON.stringify(signed.release)},
+      release_signature = ${signed.signature}, signing_key_id = ${signed.key_id}
     WHERE id = ${id} RETURNING *
   `;
   return rows[0];
 }
 
+async function setSubmissionSmokeTest(id, result) {
+  const { rows } = await sql`UPDATE submissions SET smoke_test = ${JSON.stringify(result)} WHERE id = ${id} RETURNING *`;
+  return rows[0];
+}
+
+async function setSubmissionPackage(id, location) {
+  const { rows } = await sql`UPDATE submissions SET blob_url = ${location} WHERE id = ${id} RETURNING *`;
+  return rows[0];
+}
+
+// Stored packages of builds that have sat in one of `statuses` for longer than the retention window
+async function getExpiredPackages(statuses, retentionDays, limit = 100) {
+  const { rows } = await sql`
+    SELECT id, ext_id, version, blob_url FROM submissions
+    WHERE status = ANY(${statuses}::text[]) AND blob_url IS NOT NULL
+      AND COALESCE(status_changed_at, reviewed_at, created_at) < NOW() - make_interval(days => ${retentionDays})
+    ORDER BY id LIMIT ${limit}
+  `;
+  return rows;
+}
+
+// Unapproved builds whose package is still at a public location (stored before
+// packages were private; see lib/storage for the location formats)
+async function getPublicUnapprovedPackages(limit = 100) {
+  const { rows } = await sql`
+    SELECT id, ext_id, version, blob_url FROM submissions
+    WHERE status <> 'approved' AND blob_url IS NOT NULL
+      AND blob_url NOT LIKE 'local://private/%' AND blob_url NOT LIKE 'https://%/private/%'
+    ORDER BY id LIMIT ${limit}
+  `;
+  return rows;
+}
+
+async function markPackageDeleted(id) {
+  await sql`UPDATE submissions SET blob_url = NULL, package_deleted_at = NOW() WHERE id = ${id}`;
+}
+
 async function getStats() {
   const { rows } = await sql`
     SELECT
@@ -98,100 +593,1062 @@ async function getStats() {
   return rows[0];
 }
 
-// ── Customers ────────────────────────────────────────────────
-async function getOrCreateCustomer(firebaseUid, email) {
+// ── Review comments ──────────────────────────────────────────
+async function addReviewComment(data) {
   const { rows } = await sql`
-    SELECT * FROM customers WHERE firebase_uid = ${firebaseUid}
+    INSERT INTO review_comments (thread_id, submission_id, author_type, author_name, body, status_change)
+    VALUES (${data.thread_id}, ${data.submission_id}, ${data.author_type}, ${data.author_name}, ${data.body}, ${data.status_change || null})
+    RETURNING *
   `;
-  if (rows[0]) return rows[0];
-  const { rows: created } = await sql`
-    INSERT INTO customers (firebase_uid, email)
-    VALUES (${firebaseUid}, ${email})
-    ON CONFLICT (firebase_uid) DO UPDATE SET email = EXCLUDED.email
+  return rows[0];
+}
+
+async function getThreadComments(threadId) {
+  const { rows } = await sql`SELECT * FROM review_comments WHERE thread_id = ${threadId} ORDER BY created_at, id`;
+  return rows;
+}
+
+// ── Developers ───────────────────────────────────────────────
+async function createDeveloper(data) {
+  const { rows } = await sql`
+    INSERT INTO developers (email, name, password_hash)
+    VALUES (${data.email}, ${data.name || null}, ${data.password_hash})
+    ON CONFLICT (email) DO NOTHING
     RETURNING *
   `;
-  return created[0];
+  return rows[0];
 }
 
-async function getOrCreateCustomerByEmail(email) {
+async function getDeveloperByEmail(email) {
+  const { rows } = await sql`SELECT * FROM developers WHERE email = ${email}`;
+  return rows[0];
+}
+
+async function getDeveloperById(id) {
+  const { rows } = await sql`SELECT * FROM developers WHERE id = ${id}`;
+  return rows[0];
+}
+
+async function getDeveloperByStripeAccount(accountId) {
+  const { rows } = await sql`SELECT * FROM developers WHERE stripe_account_id = ${accountId}`;
+  return rows[0];
+}
+
+async function setDeveloperStripeAccount(id, accountId) {
+  await sql`UPDATE developers SET stripe_account_id = ${accountId} WHERE id = ${id}`;
+}
+
+async function setDeveloperNotificationPrefs(id, prefs) {
+  const { rows } = await sql`UPDATE developers SET notification_prefs = ${JSON.stringify(prefs)} WHERE id = ${id} RETURNING *`;
+  return rows[0];
+}
+
+async function updateDeveloperStripeStatus(accountId, status) {
   const { rows } = await sql`
-    SELECT * FROM customers WHERE email = ${email}
+    UPDATE developers SET charges_enabled = ${status.charges_enabled}, payouts_enabled = ${status.payouts_enabled},
+      details_submitted = ${status.details_submitted}
+    WHERE stripe_account_id = ${accountId} RETURNING *
   `;
-  if (rows[0]) return rows[0];
-  // Use email as a pseudo firebase_uid for email-only customers
-  const uid = 'email_' + Buffer.from(email).toString('base64url');
-  const { rows: created } = await sql`
-    INSERT INTO customers (firebase_uid, email)
-    VALUES (${uid}, ${email})
-    ON CONFLICT (firebase_uid) DO UPDATE SET email = EXCLUDED.email
+  return rows[0];
+}
+
+// ── Developer API tokens ─────────────────────────────────────
+async function createApiToken(data) {
+  const { rows } = await sql`
+    INSERT INTO developer_api_tokens (developer_id, name, token_hash, token_hint)
+    VALUES (${data.developer_id}, ${data.name}, ${data.token_hash}, ${data.token_hint})
     RETURNING *
   `;
-  return created[0];
+  return rows[0];
 }
 
-async function updateCustomerStripe(firebaseUid, stripeCustomerId) {
-  await sql`
-    UPDATE customers SET stripe_customer = ${stripeCustomerId}
-    WHERE firebase_uid = ${firebaseUid}
+// A live token joined with its developer, or undefined
+async function getActiveApiToken(tokenHash) {
+  const { rows } = await sql`
+    SELECT t.id AS token_id, t.last_used_at, d.*
+    FROM developer_api_tokens t JOIN developers d ON d.id = t.developer_id
+    WHERE t.token_hash = ${tokenHash} AND t.revoked_at IS NULL
   `;
+  return rows[0];
 }
 
-async function getCustomerByStripe(stripeCustomerId) {
+async function touchApiToken(id) {
+  await sql`UPDATE developer_api_tokens SET last_used_at = NOW() WHERE id = ${id}`;
+}
+
+async function getApiTokens(developerId) {
   const { rows } = await sql`
-    SELECT * FROM customers WHERE stripe_customer = ${stripeCustomerId}
+    SELECT id, name, token_hint, created_at, last_used_at FROM developer_api_tokens
+    WHERE developer_id = ${developerId} AND revoked_at IS NULL
+    ORDER BY created_at DESC
+  `;
+  return rows;
+}
+
+async function revokeApiToken(id, developerId) {
+  const { rows } = await sql`
+    UPDATE developer_api_tokens SET revoked_at = NOW()
+    WHERE id = ${id} AND developer_id = ${developerId} AND revoked_at IS NULL RETURNING *
   `;
   return rows[0];
 }
 
-// ── Entitlements ─────────────────────────────────────────────
-async function createEntitlement(data) {
+// ── Submission uploads ───────────────────────────────────────
+async function createUpload(data) {
   const { rows } = await sql`
-    INSERT INTO entitlements (firebase_uid, ext_id, stripe_sub_id, stripe_price_id, plan_type, status, expires_at)
-    VALUES (${data.firebase_uid}, ${data.ext_id}, ${data.stripe_sub_id || null}, ${data.stripe_price_id || null}, ${data.plan_type || 'monthly'}, ${data.status || 'active'}, ${data.expires_at || null})
-    ON CONFLICT (firebase_uid, ext_id) DO UPDATE SET
-      stripe_sub_id = EXCLUDED.stripe_sub_id,
-      stripe_price_id = EXCLUDED.stripe_price_id,
-      plan_type = EXCLUDED.plan_type,
-      status = EXCLUDED.status,
-      expires_at = EXCLUDED.expires_at,
-      updated_at = NOW()
+    INSERT INTO submission_uploads (developer_id, file_name, size_bytes, max_bytes, fields, storage)
+    VALUES (${data.developer_id}, ${data.file_name}, ${data.size_bytes}, ${data.max_bytes},
+      ${JSON.stringify(data.fields || {})}, ${data.storage})
     RETURNING *
   `;
   return rows[0];
 }
 
-async function getEntitlements(firebaseUid) {
+async function getUpload(id) {
+  const { rows } = await sql`SELECT * FROM submission_uploads WHERE id = ${id}`;
+  return rows[0];
+}
+
+// Marks the file as stored; only the first report (browser or Blob callback) counts
+async function markUploadReceived(id, blobUrl = null) {
   const { rows } = await sql`
-    SELECT * FROM entitlements WHERE firebase_uid = ${firebaseUid} AND status = 'active'
+    UPDATE submission_uploads SET status = 'uploaded', blob_url = ${blobUrl}, uploaded_at = NOW()
+    WHERE id = ${id} AND status = 'awaiting_upload' RETURNING *
   `;
-  return rows;
+  return rows[0];
 }
 
-async function getEntitlementsByEmail(email) {
+// Claims a received upload for processing, or one whose processing was abandoned (lease expired)
+async function claimUpload(id) {
   const { rows } = await sql`
-    SELECT e.* FROM entitlements e
-    JOIN customers c ON c.firebase_uid = e.firebase_uid
-    WHERE c.email = ${email} AND e.status = 'active'
+    UPDATE submission_uploads SET status = 'processing', attempts = attempts + 1, lease_until = NOW() + INTERVAL '5 minutes'
+    WHERE id = ${id} AND (status = 'uploaded' OR (status = 'processing' AND lease_until <= NOW()))
+    RETURNING *
   `;
-  return rows;
+  return rows[0];
 }
 
-async function updateEntitlementBySubscription(stripeSubId, status) {
-  await sql`
-    UPDATE entitlements SET status = ${status}, updated_at = NOW()
-    WHERE stripe_sub_id = ${stripeSubId}
+// Uploads nobody is polling for: received a while ago, or abandoned mid-processing
+async function getPendingUploads(limit = 5) {
+  const { rows } = await sql`
+    SELECT id FROM submission_uploads
+    WHERE (status = 'uploaded' AND uploaded_at <= NOW() - INTERVAL '1 minute')
+      OR (status = 'processing' AND lease_until <= NOW())
+    ORDER BY uploaded_at LIMIT ${limit}
   `;
+  return rows;
 }
 
-async function revokeEntitlement(firebaseUid, extId) {
+async function finishUpload(id, status, result, submissionId = null) {
   await sql`
-    UPDATE entitlements SET status = 'revoked', updated_at = NOW()
-    WHERE firebase_uid = ${firebaseUid} AND ext_id = ${extId}
+    UPDATE submission_uploads SET status = ${status}, result = ${JSON.stringify(result)},
+      submission_id = ${submissionId}, lease_until = NULL, processed_at = NOW()
+    WHERE id = ${id}
   `;
 }
 
+// The status link is shown once, like on the synchronous form
+async function clearUploadStatusLink(id) {
+  await sql`UPDATE submission_uploads SET result = result - 'status_link' WHERE id = ${id}`;
+}
+
+async function expireStaleUploads(ttlMinutes) {
+  const { rows } = await sql`
+    UPDATE submission_uploads SET status = 'expired', processed_at = NOW()
+    WHERE status = 'awaiting_upload' AND created_at <= NOW() - make_interval(mins => ${ttlMinutes})
+    RETURNING *
+  `;
+  return rows;
+}
+
+// ── Extension registry ───────────────────────────────────────
+// Claims ext_id for a developer if free; returns the registry row either way
+async function claimExtension(extId, developerId, name) {
+  await sql`
+    INSERT INTO extensions (ext_id, developer_id, name)
+    VALUES (${extId}, ${developerId}, ${name})
+    ON CONFLICT (ext_id) DO NOTHING
+  `;
+  return getExtension(extId);
+}
+
+async function getExtension(extId) {
+  const { rows } = await sql`SELECT * FROM extensions WHERE ext_id = ${extId}`;
+  return rows[0];
+}
+
+async function setExtensionLatest(extId, submission) {
+  await sql`
+    UPDATE extensions SET latest_version = ${submission.version}, latest_submission_id = ${submission.id},
+      name = ${submission.name}, updated_at = NOW()
+    WHERE ext_id = ${extId}
+  `;
+}
+
+async function setExtensionProduct(extId, stripeProductId) {
+  await sql`UPDATE extensions SET stripe_product_id = ${stripeProductId}, updated_at = NOW() WHERE ext_id = ${extId}`;
+}
+
+async function incrementExtensionDownloads(extId) {
+  await sql`UPDATE extensions SET download_count = download_count + 1 WHERE ext_id = ${extId}`;
+}
+
+// { ext_id: download_count } for every registered extension
+async function getExtensionDownloadCounts() {
+  const { rows } = await sql`SELECT ext_id, download_count FROM extensions`;
+  return Object.fromEntries(rows.map(r => [r.ext_id, r.download_count]));
+}
+
+// ── Extension prices ─────────────────────────────────────────
+async function createExtensionPrice(data) {
+  const { rows } = await sql`
+    INSERT INTO extension_prices (ext_id, stripe_price_id, plan_type, amount_cents, currency, trial_days)
+    VALUES (${data.ext_id}, ${data.stripe_price_id}, ${data.plan_type}, ${data.amount_cents}, ${data.currency}, ${data.trial_days || 0})
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+async function getActiveExtensionPrices(extId) {
+  const { rows } = await sql`
+    SELECT * FROM extension_prices WHERE ext_id = ${extId} AND active = TRUE ORDER BY created_at DESC
+  `;
+  return rows;
+}
+
+async function getAllActiveExtensionPrices() {
+  const { rows } = await sql`SELECT * FROM extension_prices WHERE active = TRUE ORDER BY created_at DESC`;
+  return rows;
+}
+
+async function deactivateExtensionPrice(stripePriceId) {
+  await sql`UPDATE extension_prices SET active = FALSE WHERE stripe_price_id = ${stripePriceId}`;
+}
+
+// ── Ledger ───────────────────────────────────────────────────
+// Idempotent on (type, stripe_object_id); returns undefined if already recorded
+async function addLedgerEntry(data) {
+  const { rows } = await sql`
+    INSERT INTO ledger_entries (developer_id, ext_id, type, stripe_object_id, payment_intent, gross_cents, fee_cents, net_cents, currency, firebase_uid, description)
+    VALUES (${data.developer_id}, ${data.ext_id || null}, ${data.type}, ${data.stripe_object_id}, ${data.payment_intent || null}, ${data.gross_cents || 0}, ${data.fee_cents || 0}, ${data.net_cents}, ${data.currency || 'usd'}, ${data.firebase_uid || null}, ${data.description || null})
+    ON CONFLICT (type, stripe_object_id) DO NOTHING
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+async function getLedgerEntry(type, stripeObjectId) {
+  const { rows } = await sql`SELECT * FROM ledger_entries WHERE type = ${type} AND stripe_object_id = ${stripeObjectId}`;
+  return rows[0];
+}
+
+async function getLedgerSale(paymentIntent) {
+  const { rows } = await sql`
+    SELECT * FROM ledger_entries WHERE type = 'sale' AND payment_intent = ${paymentIntent} ORDER BY created_at LIMIT 1
+  `;
+  return rows[0];
+}
+
+async function getRefundedCents(paymentIntent) {
+  const { rows } = await sql`
+    SELECT COALESCE(-SUM(gross_cents), 0)::int AS cents FROM ledger_entries
+    WHERE type = 'refund' AND payment_intent = ${paymentIntent}
+  `;
+  return rows[0].cents;
+}
+
+async function getReversedCents(transferId) {
+  const { rows } = await sql`
+    SELECT COALESCE(SUM(net_cents), 0)::int AS cents FROM ledger_entries
+    WHERE type = 'payout_reversal' AND stripe_object_id LIKE ${transferId + ':%'}
+  `;
+  return rows[0].cents;
+}
+
+async function getLedgerForDeveloper(developerId, limit = null) {
+  const { rows } = await sql`
+    SELECT * FROM ledger_entries WHERE developer_id = ${developerId}
+    ORDER BY created_at DESC, id DESC LIMIT ${limit}
+  `;
+  return rows;
+}
+
+// Per-extension totals; payouts without a matching sale are grouped under ext_id NULL
+async function getEarningsByExtension(developerId) {
+  const { rows } = await sql`
+    SELECT ext_id, currency,
+      COUNT(*) FILTER (WHERE type = 'sale')::int AS sales,
+      COALESCE(SUM(gross_cents) FILTER (WHERE type IN ('sale', 'refund')), 0)::int AS gross_cents,
+      COALESCE(SUM(-gross_cents) FILTER (WHERE type = 'refund'), 0)::int AS refunded_cents,
+      COALESCE(SUM(fee_cents), 0)::int AS fee_cents,
+      COALESCE(SUM(net_cents) FILTER (WHERE type IN ('sale', 'refund')), 0)::int AS earned_cents,
+      COALESCE(SUM(-net_cents) FILTER (WHERE type IN ('payout', 'payout_reversal')), 0)::int AS paid_cents,
+      COALESCE(SUM(net_cents), 0)::int AS balance_cents
+    FROM ledger_entries WHERE developer_id = ${developerId}
+    GROUP BY ext_id, currency ORDER BY ext_id NULLS LAST
+  `;
+  return rows;
+}
+
+// ── Customers ────────────────────────────────────────────────
+async function getOrCreateCustomer(firebaseUid, email) {
+  const { rows } = await sql`
+    SELECT * FROM customers WHERE firebase_uid = ${firebaseUid}
+  `;
+  if (rows[0]) return rows[0];
+  const { rows: created } = await sql`
+    INSERT INTO customers (firebase_uid, email)
+    VALUES (${firebaseUid}, ${email})
+    ON CONFLICT (firebase_uid) DO UPDATE SET email = EXCLUDED.email
+    RETURNING *
+  `;
+  return created[0];
+}
+
+async function getOrCreateCustomerByEmail(email) {
+  const { rows } = await sql`
+    SELECT * FROM customers WHERE email = ${email}
+  `;
+  if (rows[0]) return rows[0];
+  // Use email as a pseudo firebase_uid for email-only customers
+  const uid = 'email_' + Buffer.from(email).toString('base64url');
+  const { rows: created } = await sql`
+    INSERT INTO customers (firebase_uid, email)
+    VALUES (${uid}, ${email})
+    ON CONFLICT (firebase_uid) DO UPDATE SET email = EXCLUDED.email
+    RETURNING *
+  `;
+  return created[0];
+}
+
+async function updateCustomerStripe(firebaseUid, stripeCustomerId) {
+  await sql`
+    UPDATE customers SET stripe_customer = ${stripeCustomerId}
+    WHERE firebase_uid = ${firebaseUid}
+  `;
+}
+
+async function getCustomerByStripe(stripeCustomerId) {
+  const { rows } = await sql`
+    SELECT * FROM customers WHERE stripe_customer = ${stripeCustomerId}
+  `;
+  return rows[0];
+}
+
+// ── Entitlements ─────────────────────────────────────────────
+// Upserts by (user, extension). Stripe references are only ever replaced, never
+// cleared, so an admin grant over a live subscription keeps it linked to Stripe.
+async function createEntitlement(data) {
+  const { rows } = await sql`
+    INSERT INTO entitlements (firebase_uid, ext_id, stripe_sub_id, stripe_price_id, stripe_payment_intent, plan_type, status, expires_at, stripe_event_at)
+    VALUES (${data.firebase_uid}, ${data.ext_id}, ${data.stripe_sub_id || null}, ${data.stripe_price_id || null}, ${data.stripe_payment_intent || null}, ${data.plan_type || 'monthly'}, ${data.status || 'active'}, ${data.expires_at ? new Date(data.expires_at).toISOString() : null}, ${data.stripe_event_at ? new Date(data.stripe_event_at).toISOString() : null})
+    ON CONFLICT (firebase_uid, ext_id) DO UPDATE SET
+      stripe_sub_id = COALESCE(EXCLUDED.stripe_sub_id, entitlements.stripe_sub_id),
+      stripe_price_id = COALESCE(EXCLUDED.stripe_price_id, entitlements.stripe_price_id),
+      stripe_payment_intent = COALESCE(EXCLUDED.stripe_payment_intent, entitlements.stripe_payment_intent),
+      plan_type = EXCLUDED.plan_type,
+      status = EXCLUDED.status,
+      expires_at = EXCLUDED.expires_at,
+      stripe_event_at = COALESCE(EXCLUDED.stripe_event_at, entitlements.stripe_event_at),
+      past_due_at = NULL,
+      updated_at = NOW()
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+async function getEntitlement(firebaseUid, extId) {
+  const { rows } = await sql`SELECT * FROM entitlements WHERE firebase_uid = ${firebaseUid} AND ext_id = ${extId}`;
+  return rows[0];
+}
+
+async function getEntitlementById(id) {
+  const { rows } = await sql`SELECT * FROM entitlements WHERE id = ${id}`;
+  return rows[0];
+}
+
+async function getEntitlementBySubscription(stripeSubId) {
+  const { rows } = await sql`SELECT * FROM entitlements WHERE stripe_sub_id = ${stripeSubId}`;
+  return rows[0];
+}
+
+async function getEntitlementByPaymentIntent(paymentIntent) {
+  const { rows } = await sql`SELECT * FROM entitlements WHERE stripe_payment_intent = ${paymentIntent}`;
+  return rows[0];
+}
+
+async function getEntitlements(firebaseUid) {
+  const { rows } = await sql`
+    SELECT * FROM entitlements WHERE firebase_uid = ${firebaseUid} AND status = 'active'
+  `;
+  return rows;
+}
+
+async function getEntitlementsByEmail(email) {
+  const { rows } = await sql`
+    SELECT e.* FROM entitlements e
+    JOIN customers c ON c.firebase_uid = e.firebase_uid
+    WHERE c.email = ${email} AND e.status = 'active'
+  `;
+  return rows;
+}
+
+// Entitlements for an authenticated user: their own uid, plus purchases made
+// under their verified email before they signed in. Returns every entitlement
+// that may still grant access; callers check expiry with lib/entitlements.
+async function getEntitlementsForUser(firebaseUid, verifiedEmail = null) {
+  const { rows } = await sql`
+    SELECT e.* FROM entitlements e
+    JOIN customers c ON c.firebase_uid = e.firebase_uid
+    WHERE (e.firebase_uid = ${firebaseUid} OR (${verifiedEmail}::text IS NOT NULL AND c.email = ${verifiedEmail}))
+      AND e.status IN ('active', 'cancelling', 'past_due')
+  `;
+  return rows;
+}
+
+// Admin search by uid, email or ext_id (substring); newest first
+async function searchEntitlements(query = '', limit = 200) {
+  const like = `%${query}%`;
+  const { rows } = await sql`
+    SELECT e.*, c.email FROM entitlements e
+    LEFT JOIN customers c ON c.firebase_uid = e.firebase_uid
+    WHERE ${query} = '' OR e.firebase_uid ILIKE ${like} OR e.ext_id ILIKE ${like} OR c.email ILIKE ${like}
+    ORDER BY e.updated_at DESC LIMIT ${limit}
+  `;
+  return rows;
+}
+
+// Applies a subscription status change. When eventAt is given, changes older than
+// the last applied Stripe event are ignored. Revoked entitlements are never
+// reopened by Stripe. Returns the number of rows updated.
+async function updateEntitlementBySubscription(stripeSubId, status, eventAt = null, expiresAt = null) {
+  const at = eventAt ? new Date(eventAt).toISOString() : null;
+  const expires = expiresAt ? new Date(expiresAt).toISOString() : null;
+  const { rowCount } = await sql`
+    UPDATE entitlements SET status = ${status},
+      expires_at = COALESCE(${expires}::timestamptz, expires_at),
+      past_due_at = CASE WHEN ${status} = 'past_due' THEN COALESCE(past_due_at, ${at}::timestamptz, NOW()) END,
+      stripe_event_at = COALESCE(${at}::timestamptz, stripe_event_at), updated_at = NOW()
+    WHERE stripe_sub_id = ${stripeSubId} AND status <> 'revoked'
+      AND (${at}::timestamptz IS NULL OR stripe_event_at IS NULL OR stripe_event_at <= ${at}::timestamptz)
+  `;
+  return rowCount;
+}
+
+// Sets a new expiry; lapsed (expired) entitlements become active again
+async function setEntitlementExpiry(id, expiresAt) {
+  const { rows } = await sql`
+    UPDATE entitlements SET expires_at = ${new Date(expiresAt).toISOString()},
+      status = CASE WHEN status = 'expired' THEN 'active' ELSE status END, updated_at = NOW()
+    WHERE id = ${id} RETURNING *
+  `;
+  return rows[0];
+}
+
+async function revokeEntitlement(firebaseUid, extId) {
+  const { rows } = await sql`
+    UPDATE entitlements SET status = 'revoked', updated_at = NOW()
+    WHERE firebase_uid = ${firebaseUid} AND ext_id = ${extId}
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+async function addEntitlementAudit(data) {
+  await sql`
+    INSERT INTO entitlement_audit (entitlement_id, firebase_uid, ext_id, action, actor, reason, before, after)
+    VALUES (${data.entitlement_id}, ${data.firebase_uid}, ${data.ext_id}, ${data.action}, ${data.actor}, ${data.reason || null},
+      ${data.before ? JSON.stringify(data.before) : null}, ${data.after ? JSON.stringify(data.after) : null})
+  `;
+}
+
+async function getEntitlementAudit(limit = 50) {
+  const { rows } = await sql`SELECT * FROM entitlement_audit ORDER BY created_at DESC, id DESC LIMIT ${limit}`;
+  return rows;
+}
+
+// ── Notifications ────────────────────────────────────────────
+// New rows start claimed ('sending') by the caller, which delivers them right away.
+// Returns undefined when the dedupe key was already used for this transport.
+async function addNotification(data) {
+  const { rows } = await sql`
+    INSERT INTO notifications (event, developer_id, recipient, transport, subject, body, payload, dedupe_key, next_attempt_at)
+    VALUES (${data.event}, ${data.developer_id}, ${data.recipient}, ${data.transport}, ${data.subject}, ${data.body},
+      ${JSON.stringify(data.payload || {})}, ${data.dedupe_key || null}, NOW() + INTERVAL '10 minutes')
+    ON CONFLICT (dedupe_key, transport) DO NOTHING
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+async function markNotification(id, status, error = null, nextAttemptAt = null) {
+  await sql`
+    UPDATE notifications SET status = ${status}, last_error = ${error},
+      next_attempt_at = ${nextAttemptAt ? nextAttemptAt.toISOString() : null},
+      sent_at = CASE WHEN ${status} = 'sent' THEN NOW() ELSE sent_at END
+    WHERE id = ${id}
+  `;
+}
+
+// Claims failed rows whose retry is due, plus sends abandoned mid-flight (lease expired)
+async function claimDueNotifications(limit = 25) {
+  const { rows } = await sql`
+    UPDATE notifications SET status = 'sending', attempts = attempts + 1, next_attempt_at = NOW() + INTERVAL '10 minutes'
+    WHERE id IN (
+      SELECT id FROM notifications
+      WHERE status IN ('failed', 'sending') AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+  return rows;
+}
+
+// ── Telemetry ────────────────────────────────────────────────
+async function addTelemetryEvent(data) {
+  await sql`
+    INSERT INTO telemetry_events (ext_id, event, version, api_version)
+    VALUES (${data.ext_id}, ${data.event}, ${data.version || null}, ${data.api_version || null})
+  `;
+}
+
+// Installs and update checks both (re)activate an install and record the version it runs
+async function upsertExtensionInstall(data) {
+  await sql`
+    INSERT INTO extension_installs (ext_id, install_hash, version, api_version)
+    VALUES (${data.ext_id}, ${data.install_hash}, ${data.version || null}, ${data.api_version || null})
+    ON CONFLICT (ext_id, install_hash) DO UPDATE SET
+      version = COALESCE(EXCLUDED.version, extension_installs.version),
+      api_version = COALESCE(EXCLUDED.api_version, extension_installs.api_version),
+      last_seen_at = NOW(), uninstalled_at = NULL
+  `;
+}
+
+async function markExtensionUninstalled(extId, installHash) {
+  await sql`
+    UPDATE extension_installs SET uninstalled_at = NOW()
+    WHERE ext_id = ${extId} AND install_hash = ${installHash} AND uninstalled_at IS NULL
+  `;
+}
+
+async function isExtensionInstalled(extId, installHash) {
+  const { rows } = await sql`
+    SELECT 1 FROM extension_installs WHERE ext_id = ${extId} AND install_hash = ${installHash} AND uninstalled_at IS NULL
+  `;
+  return rows.length > 0;
+}
+
+// Distinct installs still reporting in; these rank the marketplace's "popular" sort
+async function getActiveInstallCounts(activeDays) {
+  const { rows } = await sql`
+    SELECT ext_id, COUNT(*)::int AS count FROM extension_installs
+    WHERE uninstalled_at IS NULL AND last_seen_at > NOW() - make_interval(days => ${activeDays})
+    GROUP BY ext_id
+  `;
+  return Object.fromEntries(rows.map(r => [r.ext_id, r.count]));
+}
+
+async function getActiveInstallCount(extId, activeDays) {
+  const { rows } = await sql`
+    SELECT COUNT(*)::int AS count FROM extension_installs
+    WHERE ext_id = ${extId} AND uninstalled_at IS NULL AND last_seen_at > NOW() - make_interval(days => ${activeDays})
+  `;
+  return rows[0].count;
+}
+
+async function recordCheckoutSession(sessionId, extId, planType) {
+  await sql`
+    INSERT INTO checkout_sessions (session_id, ext_id, plan_type) VALUES (${sessionId}, ${extId}, ${planType})
+    ON CONFLICT (session_id) DO NOTHING
+  `;
+}
+
+async function completeCheckoutSession(sessionId, completedAt = null) {
+  await sql`
+    UPDATE checkout_sessions SET completed_at = COALESCE(completed_at, ${completedAt ? completedAt.toISOString() : null}, NOW())
+    WHERE session_id = ${sessionId}
+  `;
+}
+
+// Recomputes one UTC day's event counts (day is 'YYYY-MM-DD'); returns the number of extension rows written
+async function aggregateTelemetryDay(day) {
+  const { rowCount } = await sql`
+    WITH events AS (
+      SELECT ext_id, event FROM telemetry_events WHERE (created_at AT TIME ZONE 'UTC')::date = ${day}::date
+      UNION ALL
+      SELECT ext_id, 'checkout' FROM checkout_sessions WHERE (created_at AT TIME ZONE 'UTC')::date = ${day}::date
+      UNION ALL
+      SELECT ext_id, 'purchase' FROM checkout_sessions WHERE (completed_at AT TIME ZONE 'UTC')::date = ${day}::date
+    )
+    INSERT INTO extension_daily_stats (ext_id, day, installs, uninstalls, update_checks, downloads, checkouts, purchases)
+    SELECT ext_id, ${day}::date,
+      COUNT(*) FILTER (WHERE event = 'install'),
+      COUNT(*) FILTER (WHERE event = 'uninstall'),
+      COUNT(*) FILTER (WHERE event = 'update_check'),
+      COUNT(*) FILTER (WHERE event = 'download'),
+      COUNT(*) FILTER (WHERE event = 'checkout'),
+      COUNT(*) FILTER (WHERE event = 'purchase')
+    FROM events GROUP BY ext_id
+    ON CONFLICT (ext_id, day) DO UPDATE SET
+      installs = EXCLUDED.installs, uninstalls = EXCLUDED.uninstalls, update_checks = EXCLUDED.update_checks,
+      downloads = EXCLUDED.downloads, checkouts = EXCLUDED.checkouts, purchases = EXCLUDED.purchases
+  `;
+  return rowCount;
+}
+
+// Stores the current active-install count and version spread on `day`'s rows
+async function snapshotActiveInstalls(day, activeDays) {
+  await sql`UPDATE extension_daily_stats SET active_installs = 0, versions = '{}' WHERE day = ${day}::date`;
+  const { rowCount } = await sql`
+    INSERT INTO extension_daily_stats (ext_id, day, active_installs, versions)
+    SELECT ext_id, ${day}::date, SUM(n), jsonb_object_agg(version, n)
+    FROM (
+      SELECT ext_id, COALESCE(version, 'unknown') AS version, COUNT(*)::int AS n
+      FROM extension_installs
+      WHERE uninstalled_at IS NULL AND last_seen_at > NOW() - make_interval(days => ${activeDays})
+      GROUP BY ext_id, COALESCE(version, 'unknown')
+    ) v
+    GROUP BY ext_id
+    ON CONFLICT (ext_id, day) DO UPDATE SET active_installs = EXCLUDED.active_installs, versions = EXCLUDED.versions
+  `;
+  return rowCount;
+}
+
+async function pruneTelemetryEvents(retentionDays) {
+  const { rowCount } = await sql`
+    DELETE FROM telemetry_events WHERE created_at < NOW() - make_interval(days => ${retentionDays})
+  `;
+  return rowCount;
+}
+
+// Days come back as 'YYYY-MM-DD' strings so they can't shift with the server timezone
+async function getDailyStats(extId, fromDay) {
+  const { rows } = await sql`
+    SELECT to_char(day, 'YYYY-MM-DD') AS day, installs, uninstalls, update_checks, downloads, checkouts, purchases,
+      active_installs, versions
+    FROM extension_daily_stats WHERE ext_id = ${extId} AND day >= ${fromDay}::date ORDER BY 1
+  `;
+  return rows;
+}
+
+// One row per registered extension: latest active installs plus 30-day totals
+async function getAnalyticsOverview() {
+  const { rows } = await sql`
+    SELECT e.ext_id, e.name, e.download_count, d.email AS developer_email,
+      COALESCE((SELECT s.active_installs FROM extension_daily_stats s
+        WHERE s.ext_id = e.ext_id ORDER BY s.day DESC LIMIT 1), 0) AS active_installs,
+      COALESCE(t.installs, 0) AS installs, COALESCE(t.uninstalls, 0) AS uninstalls,
+      COALESCE(t.checkouts, 0) AS checkouts, COALESCE(t.purchases, 0) AS purchases
+    FROM extensions e
+    LEFT JOIN developers d ON d.id = e.developer_id
+    LEFT JOIN (
+      SELECT ext_id, SUM(installs)::int AS installs, SUM(uninstalls)::int AS uninstalls,
+        SUM(checkouts)::int AS checkouts, SUM(purchases)::int AS purchases
+      FROM extension_daily_stats WHERE day > CURRENT_DATE - 30 GROUP BY ext_id
+    ) t ON t.ext_id = e.ext_id
+    ORDER BY active_installs DESC, e.name
+  `;
+  return rows;
+}
+
+// ── Reviews ──────────────────────────────────────────────────
+// One review per user per extension; posting again edits it (a developer reply is kept)
+async function upsertExtensionReview(data) {
+  const { rows } = await sql`
+    INSERT INTO extension_reviews (ext_id, firebase_uid, author_name, rating, body, version)
+    VALUES (${data.ext_id}, ${data.firebase_uid}, ${data.author_name || null}, ${data.rating}, ${data.body || null}, ${data.version || null})
+    ON CONFLICT (ext_id, firebase_uid) DO UPDATE SET
+      author_name = EXCLUDED.author_name, rating = EXCLUDED.rating, body = EXCLUDED.body,
+      version = EXCLUDED.version, updated_at = NOW()
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+// Hidden reviews are kept, so deleting and re-posting cannot undo a moderator's hide
+async function deleteExtensionReview(extId, firebaseUid) {
+  const { rows } = await sql`
+    DELETE FROM extension_reviews WHERE ext_id = ${extId} AND firebase_uid = ${firebaseUid} AND hidden_at IS NULL RETURNING *
+  `;
+  return rows[0];
+}
+
+async function getExtensionReview(id) {
+  const { rows } = await sql`SELECT * FROM extension_reviews WHERE id = ${id}`;
+  return rows[0];
+}
+
+async function getUserExtensionReview(extId, firebaseUid) {
+  const { rows } = await sql`SELECT * FROM extension_reviews WHERE ext_id = ${extId} AND firebase_uid = ${firebaseUid}`;
+  return rows[0];
+}
+
+// Newest first; hidden reviews only for moderators
+async function getExtensionReviews(extId, { includeHidden = false, limit = 20, offset = 0 } = {}) {
+  const { rows } = await sql`
+    SELECT * FROM extension_reviews
+    WHERE ext_id = ${extId} AND (${includeHidden} OR hidden_at IS NULL)
+    ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}
+  `;
+  return rows;
+}
+
+// { average, count, distribution: { 1..5 } } over visible reviews
+async function getExtensionRatingSummary(extId) {
+  const { rows } = await sql`
+    SELECT rating, COUNT(*)::int AS count FROM extension_reviews
+    WHERE ext_id = ${extId} AND hidden_at IS NULL GROUP BY rating
+  `;
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const r of rows) distribution[r.rating] = r.count;
+  const count = rows.reduce((n, r) => n + r.count, 0);
+  const average = count ? rows.reduce((n, r) => n + r.rating * r.count, 0) / count : null;
+  return { average: average === null ? null : Math.round(average * 10) / 10, count, distribution };
+}
+
+// { ext_id: { average, count } } for the marketplace feed
+async function getRatingSummaries() {
+  const { rows } = await sql`
+    SELECT ext_id, ROUND(AVG(rating), 1)::float AS average, COUNT(*)::int AS count
+    FROM extension_reviews WHERE hidden_at IS NULL GROUP BY ext_id
+  `;
+  return Object.fromEntries(rows.map(r => [r.ext_id, { average: r.average, count: r.count }]));
+}
+
+async function setReviewReply(id, body) {
+  const { rows } = await sql`
+    UPDATE extension_reviews SET reply_body = ${body || null}, reply_at = ${body ? new Date().toISOString() : null}
+    WHERE id = ${id} RETURNING *
+  `;
+  return rows[0];
+}
+
+async function setReviewHidden(id, hiddenBy) {
+  const { rows } = await sql`
+    UPDATE extension_reviews SET hidden_at = ${hiddenBy ? new Date().toISOString() : null}, hidden_by = ${hiddenBy || null}
+    WHERE id = ${id} RETURNING *
+  `;
+  return rows[0];
+}
+
+// Whether the user ever bought the extension (refunded/revoked purchases don't count)
+async function hasPurchasedExtension(firebaseUid, verifiedEmail, extId) {
+  const { rows } = await sql`
+    SELECT 1 FROM entitlements e
+    JOIN customers c ON c.firebase_uid = e.firebase_uid
+    WHERE e.ext_id = ${extId} AND e.status <> 'revoked'
+      AND (e.firebase_uid = ${firebaseUid} OR (${verifiedEmail}::text IS NOT NULL AND c.email = ${verifiedEmail}))
+    LIMIT 1
+  `;
+  return rows.length > 0;
+}
+
+// ── Abuse reports ────────────────────────────────────────────
+async function createExtensionReport(data) {
+  const { rows } = await sql`
+    INSERT INTO extension_reports (ext_id, firebase_uid, reporter_email, reason, details, version)
+    VALUES (${data.ext_id}, ${data.firebase_uid}, ${data.reporter_email || null}, ${data.reason}, ${data.details || null}, ${data.version || null})
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+async function getOpenReportByUser(extId, firebaseUid) {
+  const { rows } = await sql`
+    SELECT * FROM extension_reports WHERE ext_id = ${extId} AND firebase_uid = ${firebaseUid} AND status = 'open'
+  `;
+  return rows[0];
+}
+
+// Moderation queue: one row per extension with reports in `status`, most reported first
+async function getReportQueue(status = 'open') {
+  const { rows } = await sql`
+    SELECT g.ext_id, x.name, SUM(g.n)::int AS count, MAX(g.latest_at) AS latest_at, jsonb_object_agg(g.reason, g.n) AS reasons
+    FROM (
+      SELECT ext_id, reason, COUNT(*)::int AS n, MAX(created_at) AS latest_at
+      FROM extension_reports WHERE status = ${status} GROUP BY ext_id, reason
+    ) g
+    JOIN extensions x ON x.ext_id = g.ext_id
+    GROUP BY g.ext_id, x.name
+    ORDER BY count DESC, latest_at DESC
+  `;
+  return rows;
+}
+
+async function getExtensionReports(extId, limit = 200) {
+  const { rows } = await sql`SELECT * FROM extension_reports WHERE ext_id = ${extId} ORDER BY created_at DESC LIMIT ${limit}`;
+  return rows;
+}
+
+async function countOpenReports() {
+  const { rows } = await sql`SELECT COUNT(DISTINCT ext_id)::int AS count FROM extension_reports WHERE status = 'open'`;
+  return rows[0].count;
+}
+
+// Closes every open report on an extension as 'dismissed' or 'actioned'
+async function resolveExtensionReports(extId, status, resolvedBy, resolution = null) {
+  const { rows } = await sql`
+    UPDATE extension_reports SET status = ${status}, resolved_by = ${resolvedBy}, resolved_at = NOW(), resolution = ${resolution}
+    WHERE ext_id = ${extId} AND status = 'open'
+    RETURNING id
+  `;
+  return rows.length;
+}
+
+// ── Admins ───────────────────────────────────────────────────
+async function createAdmin(data) {
+  const { rows } = await sql`
+    INSERT INTO admins (username, password_hash, role)
+    VALUES (${data.username}, ${data.password_hash}, ${data.role})
+    ON CONFLICT (username) DO NOTHING
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+async function countAdmins() {
+  const { rows } = await sql`SELECT COUNT(*)::int AS count FROM admins`;
+  return rows[0].count;
+}
+
+async function getAdmins() {
+  const { rows } = await sql`SELECT * FROM admins ORDER BY disabled_at IS NOT NULL, username`;
+  return rows;
+}
+
+async function getAdminById(id) {
+  const { rows } = await sql`SELECT * FROM admins WHERE id = ${id}`;
+  return rows[0];
+}
+
+async function getAdminByUsername(username) {
+  const { rows } = await sql`SELECT * FROM admins WHERE username = ${username}`;
+  return rows[0];
+}
+
+async function countActiveOwners() {
+  const { rows } = await sql`SELECT COUNT(*)::int AS count FROM admins WHERE role = 'owner' AND disabled_at IS NULL`;
+  return rows[0].count;
+}
+
+async function updateAdmin(id, fields) {
+  const current = await getAdminById(id);
+  if (!current) return null;
+  const next = { ...current, ...fields };
+  const { rows } = await sql`
+    UPDATE admins SET role = ${next.role}, password_hash = ${next.password_hash}, disabled_at = ${next.disabled_at},
+      totp_secret = ${next.totp_secret}, totp_enabled = ${next.totp_enabled}, totp_last_step = ${next.totp_last_step}
+    WHERE id = ${id} RETURNING *
+  `;
+  return rows[0];
+}
+
+// Records a used TOTP step; false if that step (or a later one) was already used
+async function claimAdminTotpStep(id, step) {
+  const { rows } = await sql`
+    UPDATE admins SET totp_last_step = ${step}
+    WHERE id = ${id} AND (totp_last_step IS NULL OR totp_last_step < ${step})
+    RETURNING id
+  `;
+  return rows.length > 0;
+}
+
+async function touchAdminLogin(id) {
+  await sql`UPDATE admins SET last_login_at = NOW() WHERE id = ${id}`;
+}
+
+// ── Admin sign-in throttling ─────────────────────────────────
+// Those of `keys` that are locked out right now
+async function getLockedLoginKeys(keys) {
+  const { rows } = await sql`
+    SELECT key FROM admin_login_failures WHERE key = ANY(${keys}::text[]) AND locked_until > NOW()
+  `;
+  return rows.map(r => r.key);
+}
+
+// Counts a failure in the current window; the failure that reaches maxFailures
+// locks the key for lockMinutes and starts a new window. True if it locked the key.
+async function recordLoginFailure(key, maxFailures, windowMinutes, lockMinutes) {
+  const { rows } = await sql`
+    INSERT INTO admin_login_failures (key, failures, window_start) VALUES (${key}, 1, NOW())
+    ON CONFLICT (key) DO UPDATE SET
+      failures = CASE WHEN admin_login_failures.window_start > NOW() - make_interval(mins => ${windowMinutes})
+        THEN admin_login_failures.failures + 1 ELSE 1 END,
+      window_start = CASE WHEN admin_login_failures.window_start > NOW() - make_interval(mins => ${windowMinutes})
+        THEN admin_login_failures.window_start ELSE NOW() END
+    RETURNING failures
+  `;
+  if (rows[0].failures < maxFailures) return false;
+  await sql`
+    UPDATE admin_login_failures SET failures = 0, window_start = NOW(), locked_until = NOW() + make_interval(mins => ${lockMinutes})
+    WHERE key = ${key}
+  `;
+  return true;
+}
+
+async function clearLoginFailures(keys) {
+  await sql`DELETE FROM admin_login_failures WHERE key = ANY(${keys}::text[])`;
+}
+
+// ── Admin sessions ───────────────────────────────────────────
+async function createAdminSession(data) {
+  const { rows } = await sql`
+    INSERT INTO admin_sessions (id, admin_id, ip, user_agent, expires_at)
+    VALUES (${data.id}, ${data.admin_id}, ${data.ip || null}, ${data.user_agent || null}, ${data.expires_at.toISOString()})
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+// A live session joined with its (enabled) admin, or undefined
+async function getActiveAdminSession(id) {
+  const { rows } = await sql`
+    SELECT s.id AS session_id, s.last_seen_at, a.*
+    FROM admin_sessions s JOIN admins a ON a.id = s.admin_id
+    WHERE s.id = ${id} AND s.revoked_at IS NULL AND s.expires_at > NOW() AND a.disabled_at IS NULL
+  `;
+  return rows[0];
+}
+
+async function touchAdminSession(id) {
+  await sql`UPDATE admin_sessions SET last_seen_at = NOW() WHERE id = ${id}`;
+}
+
+async function getAdminSessions(adminId) {
+  const { rows } = await sql`
+    SELECT * FROM admin_sessions
+    WHERE admin_id = ${adminId} AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_seen_at DESC
+  `;
+  return rows;
+}
+
+async function revokeAdminSession(id, adminId) {
+  const { rows } = await sql`
+    UPDATE admin_sessions SET revoked_at = NOW()
+    WHERE id = ${id} AND admin_id = ${adminId} AND revoked_at IS NULL RETURNING *
+  `;
+  return rows[0];
+}
+
+// Revokes every session of an admin, optionally keeping one (the caller's own)
+async function revokeAdminSessions(adminId, exceptId = null) {
+  const { rowCount } = await sql`
+    UPDATE admin_sessions SET revoked_at = NOW()
+    WHERE admin_id = ${adminId} AND revoked_at IS NULL AND (${exceptId}::text IS NULL OR id <> ${exceptId})
+  `;
+  return rowCount;
+}
+
+// ── Admin audit log (insert-only) ────────────────────────────
+async function addAdminAudit(data) {
+  await sql`
+    INSERT INTO admin_audit (admin_id, admin_username, action, target_type, target_id, details, ip)
+    VALUES (${data.admin_id || null}, ${data.admin_username}, ${data.action}, ${data.target_type || null},
+      ${data.target_id == null ? null : String(data.target_id)}, ${data.details ? JSON.stringify(data.details) : null}, ${data.ip || null})
+  `;
+}
+
+async function getAdminAudit({ admin = null, action = null, targetType = null, targetId = null, from = null, to = null, before = null } = {}, limit = 100) {
+  const { rows } = await sql`
+    SELECT * FROM admin_audit
+    WHERE (${admin}::text IS NULL OR admin_username = ${admin})
+      AND (${action}::text IS NULL OR action LIKE ${action} || '%')
+      AND (${targetType}::text IS NULL OR target_type = ${targetType})
+      AND (${targetId}::text IS NULL OR target_id = ${targetId})
+      AND (${from}::timestamptz IS NULL OR created_at >= ${from}::timestamptz)
+      AND (${to}::timestamptz IS NULL OR created_at < ${to}::timestamptz)
+      AND (${before}::int IS NULL OR id < ${before}::int)
+    ORDER BY id DESC LIMIT ${limit}
+  `;
+  return rows;
+}
+
+async function getAdminAuditActions() {
+  const { rows } = await sql`SELECT DISTINCT action FROM admin_audit ORDER BY action`;
+  return rows.map(r => r.action);
+}
+
+// ── Stripe events ────────────────────────────────────────────
+// Records an incoming event. `claimed` is true when the caller should process it:
+// new events, previously failed ones, and ones stuck in processing for 5+ minutes.
+async function recordStripeEvent(event) {
+  const { rows } = await sql`
+    INSERT INTO stripe_events (id, type, payload, event_created)
+    VALUES (${event.id}, ${event.type}, ${JSON.stringify(event)}, ${new Date(event.created * 1000).toISOString()})
+    ON CONFLICT (id) DO NOTHING
+    RETURNING *
+  `;
+  if (rows[0]) return { ...rows[0], claimed: true };
+
+  const { rows: reclaimed } = await sql`
+    UPDATE stripe_events SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+    WHERE id = ${event.id}
+      AND (status = 'failed' OR (status = 'processing' AND updated_at < NOW() - INTERVAL '5 minutes'))
+    RETURNING *
+  `;
+  if (reclaimed[0]) return { ...reclaimed[0], claimed: true };
+  return { ...(await getStripeEvent(event.id)), claimed: false };
+}
+
+async function markStripeEvent(id, status, result = null) {
+  await sql`
+    UPDATE stripe_events SET status = ${status}, result = ${result}, updated_at = NOW(),
+      processed_at = CASE WHEN ${status} = 'processed' THEN NOW() ELSE processed_at END
+    WHERE id = ${id}
+  `;
+}
+
+async function getStripeEvent(id) {
+  const { rows } = await sql`SELECT * FROM stripe_events WHERE id = ${id}`;
+  return rows[0];
+}
+
+async function getStripeEvents(status = null, limit = 100) {
+  if (status) {
+    const { rows } = await sql`SELECT * FROM stripe_events WHERE status = ${status} ORDER BY received_at DESC LIMIT ${limit}`;
+    return rows;
+  }
+  const { rows } = await sql`SELECT * FROM stripe_events ORDER BY received_at DESC LIMIT ${limit}`;
+  return rows;
+}
+
+// Marks a stored event as processing again for a manual replay
+async function claimStripeEventReplay(id) {
+  const { rows } = await sql`
+    UPDATE stripe_events SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+    WHERE id = ${id} AND status <> 'processing'
+    RETURNING *
+  `;
+  return rows[0];
+}
+
 module.exports = {
-  ensureTables, createSubmission, getSubmissions, getSubmissionById, updateSubmissionStatus, getStats,
+  ensureTables, createSubmission, getSubmissions, getSubmissionById, getSubmissionsByDeveloper, getSubmissionsByExtension,
+  getLatestApprovedSubmissions, getApprovedVersions, updateSubmissionStatus, setSubmissionRelease, setSubmissionSmokeTest, getStats,
+  setSubmissionPackage, getExpiredPackages, getPublicUnapprovedPackages, markPackageDeleted,
+  getReviewQueue, getStatusCounts, getReviewerQueues, setSubmissionStatus, withdrawSubmission, setExtensionVersionsStatus, takeDownExtensionVersions, reinstateExtensionVersions, assignSubmission,
+  getThreadSubmissions, addReviewComment, getThreadComments,
+  createDeveloper, getDeveloperByEmail, getDeveloperById, getDeveloperByStripeAccount, setDeveloperStripeAccount, updateDeveloperStripeStatus,
+  setDeveloperNotificationPrefs, createApiToken, getActiveApiToken, touchApiToken, getApiTokens, revokeApiToken,
+  createUpload, getUpload, markUploadReceived, claimUpload, getPendingUploads, finishUpload, clearUploadStatusLink, expireStaleUploads,
+  claimExtension, getExtension, setExtensionLatest, setExtensionProduct, incrementExtensionDownloads, getExtensionDownloadCounts,
+  createExtensionPrice, getActiveExtensionPrices, getAllActiveExtensionPrices, deactivateExtensionPrice,
+  addLedgerEntry, getLedgerEntry, getLedgerSale, getRefundedCents, getReversedCents, getLedgerForDeveloper, getEarningsByExtension,
   getOrCreateCustomer, getOrCreateCustomerByEmail, updateCustomerStripe, getCustomerByStripe,
-  createEntitlement, getEntitlements, getEntitlementsByEmail, updateEntitlementBySubscription, revokeEntitlement,
+  createEntitlement, getEntitlement, getEntitlementById, getEntitlementBySubscription, getEntitlementByPaymentIntent,
+  getEntitlements, getEntitlementsByEmail, getEntitlementsForUser, searchEntitlements,
+  updateEntitlementBySubscription, setEntitlementExpiry, revokeEntitlement, addEntitlementAudit, getEntitlementAudit,
+  recordStripeEvent, markStripeEvent, getStripeEvent, getStripeEvents, claimStripeEventReplay,
+  createAdmin, countAdmins, getAdmins, getAdminById, getAdminByUsername, countActiveOwners, updateAdmin, claimAdminTotpStep, touchAdminLogin,
+  getLockedLoginKeys, recordLoginFailure, clearLoginFailures,
+  createAdminSession, getActiveAdminSession, touchAdminSession, getAdminSessions, revokeAdminSession, revokeAdminSessions,
+  addAdminAudit, getAdminAudit, getAdminAuditActions,
+  addNotification, markNotification, claimDueNotifications,
+  addTelemetryEvent, upsertExtensionInstall, markExtensionUninstalled, isExtensionInstalled, getActiveInstallCounts, getActiveInstallCount, recordCheckoutSession, completeCheckoutSession,
+  aggregateTelemetryDay, snapshotActiveInstalls, pruneTelemetryEvents, getDailyStats, getAnalyticsOverview,
+  upsertExtensionReview, deleteExtensionReview, getExtensionReview, getUserExtensionReview, getExtensionReviews,
+  getExtensionRatingSummary, getRatingSummaries, setReviewReply, setReviewHidden, hasPurchasedExtension,
+  createExtensionReport, getOpenReportByUser, getReportQueue, getExtensionReports, countOpenReports, resolveExtensionReports,
 };
@@ -0,0 +1,157 @@
+/**
+ * Diffs two extension packages for update reviews.
+ * File-level changes come from the zip inventories (CRC + size), line-level
+ * diffs from a Myers diff of text sources, plus manifest field changes.
+ */
+
+const MAX_DIFF_EDITS = 2000;      // give up on line diffs beyond this many edits
+const MAX_TEXT_SIZE = 512 * 1024; // larger files are only reported as changed
+const CONTEXT_LINES = 3;
+
+const TEXT_EXTS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.json', '.html', '.htm', '.css', '.md', '.txt', '.svg', '.xml', '.yml', '.yaml'];
+
+function isTextFile(path, data) {
+  const lower = path.toLowerCase();
+  if (TEXT_EXTS.some(ext => lower.endsWith(ext))) return true;
+  return data.length > 0 && !data.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Myers O(ND) line diff. Returns [{ op: ' ' | '-' | '+', text }] or null
+ * when the inputs differ by more than maxEdits lines.
+ */
+function diffLines(a, b, maxEdits = MAX_DIFF_EDITS) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= Math.min(max, maxEdits); d++) {
+    // Only keep the k-range that can be reached in d edits
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+    if (found) break;
+  }
+  if (!found) return null;
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const vd = trace[d];
+    const at = k => vd[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', text: a[--x] });
+      y--;
+    }
+    if (x === prevX) ops.push({ op: '+', text: b[--y] });
+    else ops.push({ op: '-', text: a[--x] });
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ op: ' ', text: a[--x] });
+    y--;
+  }
+  return ops.reverse();
+}
+
+// Groups diff ops into hunks with a few lines of context around each change
+function toHunks(ops, context = CONTEXT_LINES) {
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map(o => {
+    const line = { ...o, old: o.op !== '+' ? oldLine : null, new: o.op !== '-' ? newLine : null };
+    if (o.op !== '+') oldLine++;
+    if (o.op !== '-') newLine++;
+    return line;
+  });
+
+  // Merge overlapping context windows so nearby changes share one hunk
+  const ranges = [];
+  ops.forEach((o, i) => {
+    if (o.op === ' ') return;
+    const from = Math.max(0, i - context);
+    const to = Math.min(ops.length - 1, i + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last[1] + 1) last[1] = to;
+    else ranges.push([from, to]);
+  });
+  return ranges.map(([from, to]) => ({ lines: numbered.slice(from, to + 1) }));
+}
+
+function diffManifests(oldM = {}, newM = {}) {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(oldM), ...Object.keys(newM)])].sort();
+  for (const key of keys) {
+    const before = JSON.stringify(oldM[key]);
+    const after = JSON.stringify(newM[key]);
+    if (before === after) continue;
+    const type = !(key in oldM) ? 'added' : !(key in newM) ? 'removed' : 'changed';
+    changes.push({ key, type, before: oldM[key], after: newM[key] });
+  }
+
+  const oldPerms = Array.isArray(oldM.permissions) ? oldM.permissions : [];
+  const newPerms = Array.isArray(newM.permissions) ? newM.permissions : [];
+  return {
+    changes,
+    added_permissions: newPerms.filter(p => !oldPerms.includes(p)),
+    removed_permissions: oldPerms.filter(p => !newPerms.includes(p)),
+  };
+}
+
+/**
+ * Compares two parsed packages ({ manifest, files } from parseZipContents).
+ * Returns { added, removed, changed, unchanged, manifest }.
+ */
+function diffPackages(oldPkg, newPkg) {
+  const oldFiles = new Map(oldPkg.files.map(f => [f.path, f]));
+  const newFiles = new Map(newPkg.files.map(f => [f.path, f]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [path, file] of newFiles) {
+    const prev = oldFiles.get(path);
+    if (!prev) { added.push({ path, size: file.uncompressed_size }); continue; }
+    if (prev.crc32 === file.crc32 && prev.uncompressed_size === file.uncompressed_size) { unchanged++; continue; }
+
+    const entry = { path, old_size: prev.uncompressed_size, new_size: file.uncompressed_size, hunks: null, note: null };
+    if (prev.uncompressed_size > MAX_TEXT_SIZE || file.uncompressed_size > MAX_TEXT_SIZE) {
+      entry.note = 'File too large for a line diff';
+    } else {
+      const before = prev.read();
+      const after = file.read();
+      if (!isTextFile(path, before) || !isTextFile(path, after)) {
+        entry.note = 'Binary file changed';
+      } else {
+        const ops = diffLines(before.toString('utf-8').split(/\r?\n/), after.toString('utf-8').split(/\r?\n/));
+        if (ops) entry.hunks = toHunks(ops);
+        else entry.note = 'Too many changes for a line diff';
+      }
+    }
+    changed.push(entry);
+  }
+  for (const [path, file] of oldFiles) {
+    if (!newFiles.has(path)) removed.push({ path, size: file.uncompressed_size });
+  }
+
+  return { added, removed, changed, unchanged, manifest: diffManifests(oldPkg.manifest || {}, newPkg.manifest || {}) };
+}
+
+module.exports = { diffPackages, diffManifests, diffLines, toHunks };
@@ -0,0 +1,106 @@
+/**
+ * Entitlement lifecycle.
+ * Decides whether an entitlement currently grants access (expiry, past_due
+ * grace period, cancelling-at-period-end) and applies manual or automatic
+ * changes — grants, extensions, revocations — with an audit trail.
+ */
+
+const db = require('./db');
+
+const GRACE_DAYS = Number(process.env.ENTITLEMENT_GRACE_DAYS || 7);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that can still grant access, subject to the time checks below
+const LIVE_STATUSES = ['active', 'cancelling', 'past_due'];
+
+/**
+ * When access ends for an entitlement, as a Date, or null if it never does.
+ * past_due subscriptions keep access for GRACE_DAYS after the first failed payment.
+ */
+function accessUntil(ent) {
+  const expires = ent.expires_at ? new Date(ent.expires_at) : null;
+  if (ent.status !== 'past_due') return expires;
+  const graceEnd = new Date(new Date(ent.past_due_at || ent.updated_at).getTime() + GRACE_DAYS * DAY_MS);
+  return expires && expires > graceEnd ? expires : graceEnd;
+}
+
+function isEntitled(ent, now = new Date()) {
+  if (!LIVE_STATUSES.includes(ent.status)) return false;
+  const until = accessUntil(ent);
+  return !until || until > now;
+}
+
+// ── Changes (every one lands in entitlement_audit) ───────────
+async function audit(action, before, after, actor, reason) {
+  const row = after || before;
+  await db.addEntitlementAudit({
+    entitlement_id: row.id,
+    firebase_uid: row.firebase_uid,
+    ext_id: row.ext_id,
+    action,
+    actor,
+    reason,
+    before,
+    after,
+  });
+}
+
+/**
+ * Manually grants access (comps, press keys). Replaces any existing
+ * entitlement for the same user + extension. expiresAt null = no expiry.
+ */
+async function grant({ firebaseUid, extId, expiresAt = null }, actor, reason) {
+  const before = await db.getEntitlement(firebaseUid, extId);
+  const after = await db.createEntitlement({
+    firebase_uid: firebaseUid,
+    ext_id: extId,
+    plan_type: 'granted',
+    status: 'active',
+    expires_at: expiresAt,
+  });
+  await audit('grant', before || null, after, actor, reason);
+  return after;
+}
+
+// Pushes expiry out by `days`, counting from now if it has already passed
+async function extend(id, days, actor, reason) {
+  const before = await db.getEntitlementById(id);
+  if (!before) return null;
+  const base = before.expires_at && new Date(before.expires_at) > new Date() ? new Date(before.expires_at) : new Date();
+  const after = await db.setEntitlementExpiry(id, new Date(base.getTime() + days * DAY_MS));
+  await audit('extend', before, after, actor, reason);
+  return after;
+}
+
+async function revoke(id, actor, reason) {
+  const before = await db.getEntitlementById(id);
+  if (!before) return null;
+  const after = await db.revokeEntitlement(before.firebase_uid, before.ext_id);
+  await audit('revoke', before, after, actor, reason);
+  return after;
+}
+
+/**
+ * Revokes whatever a refunded or disputed charge paid for. One-time purchases
+ * are matched by payment intent, subscription invoices by subscription — which
+ * is also cancelled so the buyer isn't billed again.
+ * Returns { result, entitlement }; entitlement is null when nothing was revoked.
+ */
+async function revokeForCharge(stripe, charge, actor, reason) {
+  let ent = charge.payment_intent ? await db.getEntitlementByPaymentIntent(charge.payment_intent) : null;
+  if (!ent && charge.invoice) {
+    const invoice = await stripe.invoices.retrieve(charge.invoice);
+    if (invoice.subscription) ent = await db.getEntitlementBySubscription(invoice.subscription);
+  }
+  if (!ent) return { result: 'no matching entitlement', entitlement: null };
+  if (ent.status === 'revoked') return { result: 'entitlement already revoked', entitlement: null };
+
+  if (ent.stripe_sub_id) {
+    const sub = await stripe.subscriptions.retrieve(ent.stripe_sub_id);
+    if (sub.status !== 'canceled') await stripe.subscriptions.cancel(ent.stripe_sub_id);
+  }
+  const revoked = await revoke(ent.id, actor, reason);
+  return { result: `entitlement revoked (${ent.firebase_uid} → ${ent.ext_id})`, entitlement: revoked };
+}
+
+module.exports = { GRACE_DAYS, accessUntil, isEntitled, grant, extend, revoke, revokeForCharge };
@@ -0,0 +1,78 @@
+/**
+ * End-user feedback: star ratings with written reviews, developer replies,
+ * and abuse reports that feed the admin moderation queue.
+ * Validators return { valid, errors, value } like lib/validate.
+ */
+
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 2000;
+const MAX_REPORT_DETAILS = 2000;
+
+const REPORT_REASONS = {
+  malware: 'Malware, spyware or data theft',
+  broken: 'Broken or doesn\'t work as described',
+  policy: 'Violates marketplace policy',
+};
+
+// Tailwind classes for reason badges in the moderation queue
+const REPORT_REASON_COLORS = {
+  malware: 'text-red-400 bg-red-500/10',
+  broken: 'text-yellow-400 bg-yellow-500/10',
+  policy: 'text-orange-400 bg-orange-500/10',
+};
+
+function text(value) {
+  return typeof value === 'string' ? value.replace(/\r\n/g, '\n').trim() : '';
+}
+
+function validateReview(fields = {}) {
+  const errors = [];
+  const rating = Number(fields.rating);
+  const body = text(fields.body);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) errors.push('Rating must be a whole number from 1 to 5');
+  if (body.length > MAX_REVIEW_LENGTH) errors.push(`Review must be ${MAX_REVIEW_LENGTH} characters or less`);
+  return { valid: errors.length === 0, errors, value: { rating, body } };
+}
+
+function validateReply(fields = {}) {
+  const body = text(fields.body);
+  const errors = body.length > MAX_REPLY_LENGTH ? [`Reply must be ${MAX_REPLY_LENGTH} characters or less`] : [];
+  return { valid: errors.length === 0, errors, value: { body } };
+}
+
+function validateReport(fields = {}) {
+  const errors = [];
+  const reason = text(fields.reason);
+  const details = text(fields.details);
+  if (!REPORT_REASONS[reason]) errors.push(`Reason must be one of: ${Object.keys(REPORT_REASONS).join(', ')}`);
+  if (details.length > MAX_REPORT_DETAILS) errors.push(`Details must be ${MAX_REPORT_DETAILS} characters or less`);
+  // Malware claims need something a reviewer can check
+  if (reason === 'malware' && !details) errors.push('Describe what the extension did');
+  return { valid: errors.length === 0, errors, value: { reason, details } };
+}
+
+// Name shown on a review: first name and last initial from the Flip account
+function displayName(user) {
+  const parts = (user.name || '').trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return null;
+  return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1][0]}.` : parts[0];
+}
+
+// Public shape of a review (no Firebase uid)
+function publicReview(r) {
+  return {
+    id: r.id,
+    rating: r.rating,
+    body: r.body,
+    author: r.author_name || 'Flip user',
+    version: r.version,
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+    reply: r.reply_body ? { body: r.reply_body, created_at: r.reply_at } : null,
+  };
+}
+
+module.exports = {
+  REPORT_REASONS, REPORT_REASON_COLORS, MAX_REVIEW_LENGTH, MAX_REPLY_LENGTH,
+  validateReview, validateReply, validateReport, displayName, publicReview,
+};
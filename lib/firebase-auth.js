@@ -0,0 +1,56 @@
+/**
+ * Firebase ID token verification without firebase-admin.
+ * Verifies the RS256 signature against Google's published certificates
+ * and checks audience/issuer against FIREBASE_PROJECT_ID.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+let certCache = { expires: 0, certs: {} };
+
+async function getCerts() {
+  if (Date.now() < certCache.expires) return certCache.certs;
+  const resp = await fetch(CERTS_URL, { signal: AbortSignal.timeout(5000) });
+  if (!resp.ok) throw new Error(`Failed to fetch Firebase certs (${resp.status})`);
+  const maxAge = Number((resp.headers.get('cache-control') || '').match(/max-age=(\d+)/)?.[1] || 3600);
+  certCache = { expires: Date.now() + maxAge * 1000, certs: await resp.json() };
+  return certCache.certs;
+}
+
+/**
+ * Verifies a Firebase ID token. Returns { uid, email, email_verified }
+ * or throws if the token is invalid, expired or for another project.
+ */
+async function verifyFirebaseToken(idToken, projectId) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || decoded.header.alg !== 'RS256') throw new Error('Malformed ID token');
+
+  const certs = await getCerts();
+  const cert = certs[decoded.header.kid];
+  if (!cert) throw new Error('Unknown ID token key');
+
+  const payload = jwt.verify(idToken, cert, {
+    algorithms: ['RS256'],
+    audience: projectId,
+    issuer: `https://securetoken.google.com/${projectId}`,
+  });
+  if (!payload.sub) throw new Error('ID token has no subject');
+  if (payload.auth_time && payload.auth_time * 1000 > Date.now() + 60000) throw new Error('ID token auth_time in the future');
+
+  return {
+    uid: payload.sub,
+    email: payload.email ? payload.email.toLowerCase() : null,
+    email_verified: payload.email_verified === true,
+    name: payload.name || null,
+  };
+}
+
+// Pulls the bearer token out of an Authorization header
+function bearerToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+module.exports = { verifyFirebaseToken, bearerToken };
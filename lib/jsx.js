@@ -0,0 +1,379 @@
+/**
+ * Minimal JSX and ES module transform for the smoke-test harness.
+ * Turns JSX into React.createElement() calls and import/export statements
+ * into require()/exports so package sources can run in a plain vm context.
+ * It's a scanner, not a parser: it knows strings, template literals, comments
+ * and regex literals well enough to find JSX, and nothing more (no TypeScript).
+ * Line numbers are preserved so errors point at the developer's source.
+ */
+
+// A "<" or "/" after these starts an expression (JSX / regex) rather than an operator
+const EXPR_KEYWORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await', 'instanceof']);
+const EXPR_PUNCTUATION = '(,=:[!&|?{;+-*%~^<>';
+// Marks "the last token was a value" (identifier, string, closing bracket…)
+const VALUE = ')';
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  mdash: '—', ndash: '–', hellip: '…', middot: '·', bull: '•', times: '×', rarr: '→', larr: '←', laquo: '«', raquo: '»',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : match;
+  });
+}
+
+function lineAt(src, index) {
+  return src.slice(0, index).split('\n').length;
+}
+
+function countLines(text) {
+  return (text.match(/\n/g) || []).length;
+}
+
+function syntaxError(src, index, message) {
+  const err = new SyntaxError(`${message} (line ${lineAt(src, index)})`);
+  err.line = lineAt(src, index);
+  return err;
+}
+
+// ── Lexical helpers ──────────────────────────────────────────
+function skipString(src, i) {
+  const quote = src[i];
+  let j = i + 1;
+  while (j < src.length) {
+    if (src[j] === '\\') j += 2;
+    else if (src[j] === quote) return j + 1;
+    else if (src[j] === '\n') return j;
+    else j++;
+  }
+  return src.length;
+}
+
+function skipRegex(src, i) {
+  let j = i + 1;
+  let inClass = false;
+  while (j < src.length) {
+    const c = src[j];
+    if (c === '\\') { j += 2; continue; }
+    if (c === '\n') return j;
+    if (inClass) { if (c === ']') inClass = false; }
+    else if (c === '[') inClass = true;
+    else if (c === '/') {
+      j++;
+      while (j < src.length && /[a-z]/i.test(src[j])) j++;
+      return j;
+    }
+    j++;
+  }
+  return src.length;
+}
+
+function skipSpace(src, j) {
+  while (j < src.length && /\s/.test(src[j])) j++;
+  return j;
+}
+
+function readName(src, j, pattern) {
+  const m = pattern.exec(src.slice(j, j + 200));
+  return m ? m[0] : '';
+}
+
+const TAG_NAME = /^[A-Za-z_$][\w$.:-]*/;
+const ATTR_NAME = /^[A-Za-z_$][\w$:-]*/;
+
+// ── Code ─────────────────────────────────────────────────────
+/**
+ * Copies JavaScript through, transforming any JSX it finds. With `untilBrace`
+ * it stops at the "}" that closes the current expression container and
+ * returns its index as `end`.
+ */
+function scanCode(src, start, untilBrace) {
+  let i = start;
+  let code = '';
+  let depth = 0;
+  let lastSig = '';
+  let lastWord = '';
+  const exprAllowed = () => !lastSig || (lastWord ? EXPR_KEYWORDS.has(lastWord) : EXPR_PUNCTUATION.includes(lastSig));
+
+  while (i < src.length) {
+    const ch = src[i];
+    const next = src[i + 1];
+
+    if (ch === '/' && (next === '/' || next === '*')) {
+      const close = next === '/' ? src.indexOf('\n', i) : src.indexOf('*/', i + 2);
+      const stop = close === -1 ? src.length : (next === '/' ? close : close + 2);
+      code += src.slice(i, stop);
+      i = stop;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const stop = skipString(src, i);
+      code += src.slice(i, stop);
+      i = stop;
+      lastSig = VALUE; lastWord = '';
+      continue;
+    }
+    if (ch === '`') {
+      const r = scanTemplate(src, i);
+      code += r.code;
+      i = r.end;
+      lastSig = VALUE; lastWord = '';
+      continue;
+    }
+    if (ch === '/' && exprAllowed()) {
+      const stop = skipRegex(src, i);
+      code += src.slice(i, stop);
+      i = stop;
+      lastSig = VALUE; lastWord = '';
+      continue;
+    }
+    if (ch === '<' && exprAllowed() && /[A-Za-z_$>]/.test(next || '')) {
+      const r = scanElement(src, i);
+      // Pad so code after a multi-line element keeps its line numbers
+      code += r.code + '\n'.repeat(Math.max(0, countLines(src.slice(i, r.end)) - countLines(r.code)));
+      i = r.end;
+      lastSig = VALUE; lastWord = '';
+      continue;
+    }
+    if (/[\w$]/.test(ch)) {
+      const word = /^[\w$]+/.exec(src.slice(i, i + 256))[0];
+      code += word;
+      i += word.length;
+      lastSig = word[word.length - 1]; lastWord = word;
+      continue;
+    }
+    if (untilBrace) {
+      if (ch === '{') depth++;
+      else if (ch === '}') {
+        if (depth === 0) return { code, end: i };
+        depth--;
+      }
+    }
+    code += ch;
+    i++;
+    if (!/\s/.test(ch)) { lastSig = ch; lastWord = ''; }
+  }
+  if (untilBrace) throw syntaxError(src, start, 'Unclosed "{"');
+  return { code, end: i };
+}
+
+function scanTemplate(src, i) {
+  let code = '`';
+  let j = i + 1;
+  while (j < src.length) {
+    const c = src[j];
+    if (c === '\\') { code += src.slice(j, j + 2); j += 2; continue; }
+    if (c === '`') return { code: code + '`', end: j + 1 };
+    if (c === '$' && src[j + 1] === '{') {
+      const r = scanCode(src, j + 2, true);
+      code += '${' + r.code + '}';
+      j = r.end + 1;
+      continue;
+    }
+    code += c;
+    j++;
+  }
+  return { code, end: src.length };
+}
+
+// ── JSX ──────────────────────────────────────────────────────
+function tagExpression(name) {
+  return /^[a-z][\w:-]*$/.test(name) ? JSON.stringify(name) : name;
+}
+
+function createElement(tag, props, children) {
+  return `React.createElement(${tag}, ${props.length ? `{${props.join(', ')}}` : 'null'}${children.map(c => `, ${c}`).join('')})`;
+}
+
+// JSX text whitespace rules (as in React's compilers): lines are trimmed and
+// joined with single spaces; whitespace-only runs that contain a newline vanish
+function jsxText(raw) {
+  const lines = raw.split(/\r\n|\n|\r/);
+  let lastNonEmpty = 0;
+  lines.forEach((line, i) => { if (/[^ \t]/.test(line)) lastNonEmpty = i; });
+  let text = '';
+  lines.forEach((line, i) => {
+    let trimmed = line.replace(/\t/g, ' ');
+    if (i > 0) trimmed = trimmed.replace(/^ +/, '');
+    if (i < lines.length - 1) trimmed = trimmed.replace(/ +$/, '');
+    if (trimmed) text += trimmed + (i === lastNonEmpty ? '' : ' ');
+  });
+  return text || null;
+}
+
+function isEmptyExpression(code) {
+  return !code.replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '').trim();
+}
+
+function scanElement(src, i) {
+  let j = i + 1;
+  if (src[j] === '>') {
+    const r = scanChildren(src, j + 1, '');
+    return { code: createElement('React.Fragment', [], r.children), end: r.end };
+  }
+
+  const name = readName(src, j, TAG_NAME);
+  j += name.length;
+  const props = [];
+  for (;;) {
+    j = skipSpace(src, j);
+    if (j >= src.length) throw syntaxError(src, i, `Unclosed <${name}>`);
+    if (src.startsWith('/>', j)) return { code: createElement(tagExpression(name), props, []), end: j + 2 };
+    if (src[j] === '>') {
+      const r = scanChildren(src, j + 1, name);
+      return { code: createElement(tagExpression(name), props, r.children), end: r.end };
+    }
+    if (src[j] === '{') {
+      const r = scanCode(src, j + 1, true);
+      if (r.code.trim().startsWith('...')) props.push(r.code.trim());
+      j = r.end + 1;
+      continue;
+    }
+
+    const attr = readName(src, j, ATTR_NAME);
+    if (!attr) throw syntaxError(src, j, `Unexpected "${src[j]}" in <${name}>`);
+    j = skipSpace(src, j + attr.length);
+    if (src[j] !== '=') {
+      props.push(`${JSON.stringify(attr)}: true`);
+      continue;
+    }
+    j = skipSpace(src, j + 1);
+    if (src[j] === '"' || src[j] === "'") {
+      const close = src.indexOf(src[j], j + 1);
+      if (close === -1) throw syntaxError(src, j, `Unterminated attribute "${attr}"`);
+      props.push(`${JSON.stringify(attr)}: ${JSON.stringify(decodeEntities(src.slice(j + 1, close)))}`);
+      j = close + 1;
+    } else if (src[j] === '{') {
+      const r = scanCode(src, j + 1, true);
+      props.push(`${JSON.stringify(attr)}: (${r.code})`);
+      j = r.end + 1;
+    } else if (src[j] === '<') {
+      const r = scanElement(src, j);
+      props.push(`${JSON.stringify(attr)}: ${r.code}`);
+      j = r.end;
+    } else {
+      throw syntaxError(src, j, `Invalid value for "${attr}" in <${name}>`);
+    }
+  }
+}
+
+function scanChildren(src, j, name) {
+  const children = [];
+  for (;;) {
+    if (j >= src.length) throw syntaxError(src, j, `Unclosed <${name || ''}>`);
+    if (src.startsWith('</', j)) {
+      let k = skipSpace(src, j + 2);
+      const closing = readName(src, k, TAG_NAME);
+      k = skipSpace(src, k + closing.length);
+      if (closing !== name || src[k] !== '>') throw syntaxError(src, j, `Expected </${name}>`);
+      return { children, end: k + 1 };
+    }
+    if (src[j] === '<') {
+      const r = scanElement(src, j);
+      children.push(r.code);
+      j = r.end;
+    } else if (src[j] === '{') {
+      const r = scanCode(src, j + 1, true);
+      if (!isEmptyExpression(r.code)) children.push(`(${r.code})`);
+      j = r.end + 1;
+    } else {
+      let k = j;
+      while (k < src.length && src[k] !== '<' && src[k] !== '{') k++;
+      const text = jsxText(src.slice(j, k));
+      if (text !== null) children.push(JSON.stringify(decodeEntities(text)));
+      j = k;
+    }
+  }
+}
+
+// ── Modules ──────────────────────────────────────────────────
+// Keeps the line count of a replaced statement
+function sameLines(original, replacement) {
+  return replacement + '\n'.repeat(Math.max(0, countLines(original) - countLines(replacement)));
+}
+
+function namedBindings(list) {
+  return list.split(',').map(s => s.trim()).filter(Boolean)
+    .map(s => s.replace(/^type\s+/, '').split(/\s+as\s+/))
+    .map(([from, to]) => ({ from, to: to || from }));
+}
+
+/**
+ * Rewrites import/export statements to CommonJS. `require` here is the
+ * harness's resolver; `__default(m)` picks a module's default export.
+ */
+function transformModules(code) {
+  const trailing = [];
+  let n = 0;
+
+  // Re-exports first: export * from 'x' / export { a as b } from 'x'
+  code = code.replace(/^([ \t]*)export\s*\*\s*from\s*(['"])([^'"\n]+)\2[ \t]*;?/gm,
+    (m, indent, q, spec) => sameLines(m, `${indent}Object.assign(exports, require(${JSON.stringify(spec)}));`));
+  code = code.replace(/^([ \t]*)export\s*\{([^}]*)\}\s*from\s*(['"])([^'"\n]+)\3[ \t]*;?/gm, (m, indent, list, q, spec) => {
+    const mod = `__reexport${n++}`;
+    const assigns = namedBindings(list).map(b => `exports.${b.to} = ${b.from === 'default' ? `__default(${mod})` : `${mod}.${b.from}`};`);
+    return sameLines(m, `${indent}const ${mod} = require(${JSON.stringify(spec)}); ${assigns.join(' ')}`);
+  });
+
+  // import 'x'
+  code = code.replace(/^([ \t]*)import\s*(['"])([^'"\n]+)\2[ \t]*;?/gm,
+    (m, indent, q, spec) => sameLines(m, `${indent}require(${JSON.stringify(spec)});`));
+  // import X, { a as b } from 'x' / import * as X from 'x'
+  code = code.replace(/^([ \t]*)import\s+([^'"`;]+?)\s+from\s*(['"])([^'"\n]+)\3[ \t]*;?/gm, (m, indent, clause, q, spec) => {
+    if (/^type\s/.test(clause)) return sameLines(m, '');
+    const mod = `__import${n++}`;
+    const parts = [`const ${mod} = require(${JSON.stringify(spec)});`];
+    const named = /\{([\s\S]*)\}/.exec(clause);
+    const namespace = /\*\s*as\s+([\w$]+)/.exec(clause);
+    const def = /^([\w$]+)\s*(?:,|$)/.exec(clause.trim());
+    if (def) parts.push(`const ${def[1]} = __default(${mod});`);
+    if (namespace) parts.push(`const ${namespace[1]} = ${mod};`);
+    if (named) {
+      const bindings = namedBindings(named[1]).map(b => (b.from === 'default' ? `default: ${b.to}` : b.from === b.to ? b.from : `${b.from}: ${b.to}`));
+      if (bindings.length) parts.push(`const { ${bindings.join(', ')} } = ${mod};`);
+    }
+    return sameLines(m, indent + parts.join(' '));
+  });
+
+  // export default function App() / class App — keep the declaration, export it at the end
+  code = code.replace(/^([ \t]*)export\s+default\s+((?:async\s+)?function\s*\*?\s*([\w$]+)|class\s+([\w$]+))/gm, (m, indent, decl, fn, cls) => {
+    trailing.push(`exports.default = ${fn || cls};`);
+    return indent + decl;
+  });
+  code = code.replace(/^([ \t]*)export\s+default\s+/gm, '$1exports.default = ');
+  // export function f / class C / const x
+  code = code.replace(/^([ \t]*)export\s+((?:async\s+)?function\s*\*?\s*([\w$]+)|class\s+([\w$]+)|(?:const|let|var)\s+([\w$]+))/gm, (m, indent, decl, fn, cls, v) => {
+    const name = fn || cls || v;
+    trailing.push(`exports.${name} = ${name};`);
+    return indent + decl;
+  });
+  // export { a, b as c }
+  code = code.replace(/^([ \t]*)export\s*\{([^}]*)\}[ \t]*;?/gm, (m, indent, list) => {
+    for (const b of namedBindings(list)) trailing.push(`exports.${b.to} = ${b.from};`);
+    return sameLines(m, indent);
+  });
+
+  return trailing.length ? `${code}\n${trailing.join(' ')}` : code;
+}
+
+// Specifiers a transformed module requires (used to collect the module graph)
+function requiredSpecifiers(code) {
+  return [...code.matchAll(/\brequire\(\s*(['"])([^'"\n]+)\1\s*\)/g)].map(m => m[2]);
+}
+
+/**
+ * JSX + module transform for one source file. Throws SyntaxError (with
+ * `.line`) when the JSX can't be read.
+ */
+function transformModule(src, { jsx = true } = {}) {
+  const code = jsx ? scanCode(src, 0, false).code : src;
+  return transformModules(code);
+}
+
+module.exports = { transformModule, requiredSpecifiers, decodeEntities };
@@ -0,0 +1,79 @@
+/**
+ * JSON Schema (draft 2020-12) for manifest.json, one per Flip SDK api_version.
+ * Built from the constants lib/validate.js enforces so the published schema
+ * and server-side validation can't drift; validateManifest stays the authority
+ * for anything a schema can't express (e.g. screenshots existing in the zip).
+ */
+
+const {
+  ALLOWED_PERMISSIONS, ALLOWED_TYPES, PERMISSION_DESCRIPTIONS, EXT_ID_PATTERN, VERSION_PATTERN, API_VERSION_PATTERN,
+  API_VERSIONS, MAX_NAME_LENGTH, MAX_DESCRIPTION_LENGTH, MAX_CHANGELOG_LENGTH, MAX_SCREENSHOTS, SCREENSHOT_TYPES,
+} = require('./validate');
+
+const LATEST_API_VERSION = API_VERSIONS[API_VERSIONS.length - 1];
+
+function schemaUrl(baseUrl, apiVersion) {
+  return `${baseUrl}/schemas/manifest/${apiVersion}.json`;
+}
+
+// JSON Schema patterns have no flags, so spell out both cases: .png → \.[pP][nN][gG]$
+function extensionPattern(exts) {
+  const alternatives = exts.map(ext => ext.slice(1).split('').map(c => `[${c}${c.toUpperCase()}]`).join(''));
+  return `\\.(?:${alternatives.join('|')})$`;
+}
+
+// ── api_version 1.0 ──────────────────────────────────────────
+function manifestSchemaV1(baseUrl) {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: schemaUrl(baseUrl, '1.0'),
+    title: 'Flip extension manifest (api_version 1.0)',
+    type: 'object',
+    required: ['name', 'version', 'description', 'author', 'main'],
+    properties: {
+      $schema: { type: 'string', description: 'URL of this schema, for editor support' },
+      id: {
+        type: 'string',
+        pattern: EXT_ID_PATTERN.source,
+        description: 'Stable id (lowercase letters, digits, dashes). Defaults to the slugified name and is reserved for your account on first submission',
+      },
+      name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH, description: 'Display name' },
+      version: {
+        type: 'string',
+        pattern: VERSION_PATTERN.source,
+        description: 'Semantic version (x.y.z). Updates must be higher than the last approved version',
+      },
+      description: { type: 'string', minLength: 1, maxLength: MAX_DESCRIPTION_LENGTH, description: 'Short description' },
+      author: { type: 'string', minLength: 1, description: 'Developer name or organization' },
+      type: { enum: ALLOWED_TYPES, default: 'sidebar', description: 'Where the extension runs' },
+      main: { type: 'string', minLength: 1, description: 'Entry file (.jsx, .js or .html), usually App.jsx' },
+      permissions: {
+        type: 'array',
+        items: {
+          oneOf: ALLOWED_PERMISSIONS.map(p => ({ const: p, description: PERMISSION_DESCRIPTIONS[p] })),
+        },
+        description: 'Flip SDK permissions the extension needs',
+      },
+      api_version: { type: 'string', pattern: API_VERSION_PATTERN.source, default: '1.0', description: 'Flip SDK version the extension targets' },
+      screenshots: {
+        type: 'array',
+        maxItems: MAX_SCREENSHOTS,
+        items: { type: 'string', pattern: extensionPattern(Object.keys(SCREENSHOT_TYPES)) },
+        description: 'Image paths inside the zip, shown on the extension page',
+      },
+      changelog: { type: 'string', maxLength: MAX_CHANGELOG_LENGTH, description: 'What changed in this version' },
+    },
+  };
+}
+
+const SCHEMAS = {
+  '1.0': manifestSchemaV1,
+};
+
+// Schema for an api_version, or null if none is published for it
+function manifestSchema(apiVersion, baseUrl) {
+  const build = SCHEMAS[apiVersion];
+  return build ? build(baseUrl) : null;
+}
+
+module.exports = { manifestSchema, schemaUrl, LATEST_API_VERSION };
@@ -0,0 +1,277 @@
+/**
+ * Builds the public marketplace feed from approved submissions.
+ * Approval publishes: the feed is computed from Postgres on every request
+ * (briefly cached), optionally merged with the legacy remote feed.
+ * searchExtensions() filters, sorts and pages that feed for the landing
+ * page and /api/extensions.
+ */
+
+const db = require('./db');
+const { ACTIVE_DAYS } = require('./telemetry');
+const { compareVersions, isApiCompatible } = require('./validate');
+
+const LEGACY_MARKETPLACE_URL = process.env.LEGACY_MARKETPLACE_URL || '';
+const CACHE_TTL = 60 * 1000;
+// After a failed fetch the last good list is served for this long before retrying
+const FAILURE_TTL = 15 * 1000;
+
+const SORTS = ['popular', 'newest', 'top_rated', 'name'];
+const DEFAULT_PER_PAGE = 24;
+const MAX_PER_PAGE = 60;
+
+let legacyCache = { at: 0, ttl: 0, extensions: [] };
+
+function authorLinks(sub) {
+  return {
+    website: sub.author_website || null,
+    github: sub.author_github ? `https://github.com/${sub.author_github}` : null,
+    twitter: sub.author_twitter ? `https://x.com/${sub.author_twitter}` : null,
+    discord: sub.author_discord || null,
+  };
+}
+
+function pricingFor(price) {
+  if (!price) return { model: 'free' };
+  return {
+    model: price.plan_type,
+    amount: price.amount_cents / 100,
+    currency: price.currency,
+    trial_days: price.trial_days,
+    price_id: price.stripe_price_id,
+  };
+}
+
+function extensionUrl(baseUrl, extId) {
+  return `${baseUrl}/extensions/${encodeURIComponent(extId)}`;
+}
+
+// Screenshots are served out of the version's package
+function screenshotUrls(sub, baseUrl) {
+  const shots = sub.manifest_json && Array.isArray(sub.manifest_json.screenshots) ? sub.manifest_json.screenshots : [];
+  return shots.map((_, i) => `${extensionUrl(baseUrl, sub.ext_id)}/screenshots/${sub.version}/${i}`);
+}
+
+// Shapes an approved submission row as a marketplace entry; stats is { installs, downloads, rating }
+function toMarketplaceEntry(sub, baseUrl, price = null, stats = {}) {
+  return {
+    id: sub.ext_id,
+    name: sub.name,
+    version: sub.version,
+    description: sub.description,
+    author: sub.author,
+    author_links: authorLinks(sub),
+    category: sub.category,
+    icon: sub.icon,
+    type: sub.type,
+    main: sub.manifest_json ? sub.manifest_json.main : null,
+    permissions: sub.permissions || [],
+    api_version: sub.api_version,
+    pricing: pricingFor(price),
+    screenshots: screenshotUrls(sub, baseUrl),
+    changelog: (sub.manifest_json && sub.manifest_json.changelog) || null,
+    installs: stats.installs || 0,
+    downloads: stats.downloads || 0,
+    rating: stats.rating || { average: null, count: 0 },
+    page_url: extensionUrl(baseUrl, sub.ext_id),
+    download_url: `${baseUrl}/download/${encodeURIComponent(sub.ext_id)}/${sub.version}`,
+    detail_url: `${baseUrl}/marketplace/${encodeURIComponent(sub.ext_id)}.json`,
+    sha256: sub.package_sha256 || null,
+    signature: sub.release_signature || null,
+    signing_key_id: sub.signing_key_id || null,
+    release: sub.release_doc || null,
+    updated_at: sub.reviewed_at || sub.created_at,
+    featured: false,
+    approved: true,
+  };
+}
+
+async function fetchLegacyExtensions() {
+  if (!LEGACY_MARKETPLACE_URL) return [];
+  if (Date.now() < legacyCache.at + legacyCache.ttl) return legacyCache.extensions;
+  try {
+    const resp = await fetch(LEGACY_MARKETPLACE_URL, { signal: AbortSignal.timeout(5000) });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const data = await resp.json();
+    legacyCache = { at: Date.now(), ttl: CACHE_TTL, extensions: (data.extensions || []).filter(e => e.approved) };
+  } catch (err) {
+    console.error('Failed to fetch legacy marketplace:', err.message);
+    legacyCache = { ...legacyCache, at: Date.now(), ttl: FAILURE_TTL };
+  }
+  return legacyCache.extensions;
+}
+
+function legacyId(ext) {
+  return ext.id || (ext.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+
+/**
+ * Full marketplace feed. Local approvals win over legacy entries with the same id.
+ */
+async function buildMarketplace(baseUrl) {
+  const [rows, prices, installs, downloads, ratings] = await Promise.all([
+    db.getLatestApprovedSubmissions(),
+    db.getAllActiveExtensionPrices(),
+    db.getActiveInstallCounts(ACTIVE_DAYS),
+    db.getExtensionDownloadCounts(),
+    db.getRatingSummaries(),
+  ]);
+  const extensions = rows.map(sub => toMarketplaceEntry(sub, baseUrl, prices.find(p => p.ext_id === sub.ext_id), {
+    installs: installs[sub.ext_id],
+    downloads: downloads[sub.ext_id],
+    rating: ratings[sub.ext_id],
+  }));
+
+  const localIds = new Set(extensions.map(e => e.id));
+  for (const ext of await fetchLegacyExtensions()) {
+    const id = legacyId(ext);
+    if (!localIds.has(id)) extensions.push({ ...ext, id, legacy: true });
+  }
+
+  extensions.sort((a, b) => (b.featured === true) - (a.featured === true) || a.name.localeCompare(b.name));
+  return { version: 1, generated_at: new Date().toISOString(), extensions };
+}
+
+function versionEntry(v, baseUrl) {
+  return {
+    version: v.version,
+    released_at: v.reviewed_at || v.created_at,
+    api_version: v.api_version,
+    permissions: v.permissions || [],
+    changelog: (v.manifest_json && v.manifest_json.changelog) || null,
+    sha256: v.package_sha256 || null,
+    signature: v.release_signature || null,
+    signing_key_id: v.signing_key_id || null,
+    release: v.release_doc || null,
+    download_url: `${baseUrl}/download/${encodeURIComponent(v.ext_id)}/${v.version}`,
+  };
+}
+
+/**
+ * Per-extension detail: latest approved version plus its version history.
+ */
+async function getExtensionDetail(extId, baseUrl) {
+  const versions = await db.getApprovedVersions(extId);
+  if (!versions.length) return null;
+  versions.sort((a, b) => compareVersions(b.version, a.version));
+  const [[price], ext, installs, rating] = await Promise.all([
+    db.getActiveExtensionPrices(extId),
+    db.getExtension(extId),
+    db.getActiveInstallCount(extId, ACTIVE_DAYS),
+    db.getExtensionRatingSummary(extId),
+  ]);
+
+  return {
+    ...toMarketplaceEntry(versions[0], baseUrl, price, { installs, downloads: ext && ext.download_count, rating }),
+    reviews_url: `${baseUrl}/api/extensions/${encodeURIComponent(extId)}/reviews`,
+    versions: versions.map(v => versionEntry(v, baseUrl)),
+  };
+}
+
+/**
+ * Newest approved version a browser on SDK `apiVersion` can run.
+ * Returns undefined for an unknown extension, null when nothing is compatible.
+ */
+async function getCompatibleUpdate(extId, apiVersion, baseUrl) {
+  const versions = await db.getApprovedVersions(extId);
+  if (!versions.length) return undefined;
+  const latest = versions
+    .filter(v => isApiCompatible(v.api_version, apiVersion))
+    .sort((a, b) => compareVersions(b.version, a.version))[0];
+  return latest ? versionEntry(latest, baseUrl) : null;
+}
+
+// ── Search ───────────────────────────────────────────────────
+// Legacy feed entries may carry no rating at all
+function ratingOf(ext) {
+  return ext.rating ? [ext.rating.average || 0, ext.rating.count || 0] : [0, 0];
+}
+
+// Unique active installs, not download hits; legacy feed entries only have a download count
+function popularityOf(ext) {
+  return ext.legacy ? ext.downloads || 0 : ext.installs;
+}
+
+const COMPARATORS = {
+  popular: (a, b) => popularityOf(b) - popularityOf(a) || (b.downloads || 0) - (a.downloads || 0),
+  newest: (a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0),
+  top_rated: (a, b) => {
+    const [ra, ca] = ratingOf(a);
+    const [rb, cb] = ratingOf(b);
+    return rb - ra || cb - ca;
+  },
+  name: (a, b) => a.name.localeCompare(b.name),
+};
+
+// Every word of the query has to appear in the name, id, author or description
+function matchesQuery(ext, words) {
+  const haystack = [ext.name, ext.id, ext.author, ext.description].join(' ').toLowerCase();
+  return words.every(w => haystack.includes(w));
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+/**
+ * Normalizes raw query params into { q, category, sort, page, per_page }.
+ * Unknown sorts fall back to popular; page sizes are capped.
+ */
+function parseSearchParams(query = {}) {
+  const str = v => (typeof v === 'string' ? v.trim() : '');
+  return {
+    q: str(query.q).slice(0, 100),
+    category: str(query.category).toLowerCase(),
+    sort: SORTS.includes(str(query.sort)) ? str(query.sort) : 'popular',
+    page: clampInt(query.page, 1, 1, 10000),
+    per_page: clampInt(query.per_page, DEFAULT_PER_PAGE, 1, MAX_PER_PAGE),
+  };
+}
+
+/**
+ * Searches the marketplace feed. `params` comes from parseSearchParams().
+ * Returns the page of extensions plus totals and per-category counts for
+ * the unfiltered-by-category result, so filter chips can show counts.
+ */
+async function searchExtensions(baseUrl, params) {
+  const { q, category, sort, page, per_page: perPage } = params;
+  const { extensions } = await buildMarketplace(baseUrl);
+  const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matched = words.length ? extensions.filter(e => matchesQuery(e, words)) : extensions;
+  const categories = {};
+  for (const e of matched) categories[e.category] = (categories[e.category] || 0) + 1;
+
+  const filtered = category && category !== 'all'
+    ? matched.filter(e => (category === 'featured' ? e.featured === true : e.category === category))
+    : matched;
+  // Array sort is stable, so ties keep the feed's featured-then-name order
+  const sorted = [...filtered].sort(COMPARATORS[sort]);
+
+  const pages = Math.max(1, Math.ceil(sorted.length / perPage));
+  return {
+    ...params,
+    total: sorted.length,
+    pages,
+    categories,
+    extensions: sorted.slice((page - 1) * perPage, page * perPage),
+  };
+}
+
+// Query string for a search, leaving out defaults so shared links stay short
+function searchQueryString(params, overrides = {}) {
+  const p = { ...params, ...overrides };
+  const out = new URLSearchParams();
+  if (p.q) out.set('q', p.q);
+  if (p.category && p.category !== 'all') out.set('category', p.category);
+  if (p.sort && p.sort !== 'popular') out.set('sort', p.sort);
+  if (p.page > 1) out.set('page', String(p.page));
+  if (p.per_page && p.per_page !== DEFAULT_PER_PAGE) out.set('per_page', String(p.per_page));
+  const qs = out.toString();
+  return qs ? `?${qs}` : '';
+}
+
+module.exports = {
+  buildMarketplace, getExtensionDetail, getCompatibleUpdate, toMarketplaceEntry,
+  searchExtensions, parseSearchParams, searchQueryString, extensionUrl, SORTS,
+};
@@ -0,0 +1,157 @@
+/**
+ * Developer notifications.
+ * notify() renders an event's template, queues one row per configured
+ * transport in `notifications` and tries to deliver straight away. Failed
+ * deliveries stay queued and are retried with backoff by processQueue().
+ *
+ * Transports (NOTIFY_TRANSPORTS, comma-separated):
+ *   smtp    — email via SMTP_URL, from NOTIFY_FROM
+ *   webhook — signed JSON POST to NOTIFY_WEBHOOK_URL
+ *   console — logs locally, or appends JSON lines to NOTIFY_LOG_FILE
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const db = require('./db');
+const { sendMail } = require('./smtp');
+const { render } = require('./notify-templates');
+
+const TRANSPORTS = (process.env.NOTIFY_TRANSPORTS || 'console').split(',').map(t => t.trim()).filter(Boolean);
+const SMTP_URL = process.env.SMTP_URL || '';
+const NOTIFY_FROM = process.env.NOTIFY_FROM || 'Flip Developer Portal <noreply@flip.dev>';
+const WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL || '';
+const WEBHOOK_SECRET = process.env.NOTIFY_WEBHOOK_SECRET || '';
+const LOG_FILE = process.env.NOTIFY_LOG_FILE || '';
+
+// Opt-out categories, as listed on the developer settings page
+const CATEGORIES = {
+  submissions: 'Review decisions on my submissions',
+  sales: 'New sales',
+  subscriptions: 'Ended subscriptions, refunds and disputes',
+  reviews: 'New ratings and reviews from users',
+};
+
+const EVENT_CATEGORIES = {
+  'submission.received': 'submissions',
+  'submission.status': 'submissions',
+  'sale.created': 'sales',
+  'subscription.ended': 'subscriptions',
+  'entitlement.revoked': 'subscriptions',
+  'review.created': 'reviews',
+};
+
+// Minutes to wait after each failed attempt; once exhausted the row is marked dead
+const RETRY_MINUTES = [1, 5, 30, 120, 720];
+
+function wantsCategory(developer, category) {
+  return (developer.notification_prefs || {})[category] !== false;
+}
+
+// ── Transports ───────────────────────────────────────────────
+async function sendSmtp(row) {
+  if (!SMTP_URL) throw new Error('SMTP_URL is not set');
+  await sendMail(SMTP_URL, {
+    from: NOTIFY_FROM,
+    to: row.recipient,
+    subject: row.subject,
+    text: row.body,
+    headers: row.payload.portal_url ? { 'List-Unsubscribe': `<${row.payload.portal_url}/dev/settings>` } : {},
+  });
+}
+
+// Receivers verify X-Flip-Signature: v1 = HMAC-SHA256(secret, `${t}.${body}`)
+async function sendWebhook(row) {
+  if (!WEBHOOK_URL) throw new Error('NOTIFY_WEBHOOK_URL is not set');
+  const body = JSON.stringify({
+    id: row.id,
+    event: row.event,
+    developer_id: row.developer_id,
+    recipient: row.recipient,
+    subject: row.subject,
+    text: row.body,
+    data: row.payload,
+    created_at: row.created_at,
+  });
+  const headers = { 'Content-Type': 'application/json', 'X-Flip-Event': row.event };
+  if (WEBHOOK_SECRET) {
+    const t = Math.floor(Date.now() / 1000);
+    const v1 = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${t}.${body}`).digest('hex');
+    headers['X-Flip-Signature'] = `t=${t},v1=${v1}`;
+  }
+  const resp = await fetch(WEBHOOK_URL, { method: 'POST', headers, body, signal: AbortSignal.timeout(10000) });
+  if (!resp.ok) throw new Error(`Webhook responded ${resp.status}`);
+}
+
+async function sendConsole(row) {
+  if (LOG_FILE) {
+    const line = { at: new Date().toISOString(), id: row.id, event: row.event, to: row.recipient, subject: row.subject, text: row.body };
+    await fs.promises.appendFile(LOG_FILE, `${JSON.stringify(line)}\n`);
+  } else {
+    console.log(`[Notify] → ${row.recipient}: ${row.subject}\n${row.body}`);
+  }
+}
+
+const SENDERS = { smtp: sendSmtp, webhook: sendWebhook, console: sendConsole };
+
+// ── Queue ────────────────────────────────────────────────────
+// Delivers a claimed row and records the outcome (never throws)
+async function deliver(row) {
+  try {
+    const sender = SENDERS[row.transport];
+    if (!sender) throw new Error(`Unknown transport ${row.transport}`);
+    await sender(row);
+    await db.markNotification(row.id, 'sent');
+    return true;
+  } catch (err) {
+    const delay = RETRY_MINUTES[row.attempts - 1];
+    console.error(`[Notify] ${row.transport} delivery of #${row.id} failed (attempt ${row.attempts}):`, err.message);
+    await db.markNotification(row.id, delay === undefined ? 'dead' : 'failed', err.message,
+      delay === undefined ? null : new Date(Date.now() + delay * 60000));
+    return false;
+  }
+}
+
+/**
+ * Queues and sends `event` to a developer. `to` is { developer, email }; email
+ * overrides the account address (e.g. a submission's author_email).
+ * `dedupeKey` makes replays of the same source event a no-op.
+ * Never throws: notification problems must not fail the action behind them.
+ */
+async function notify(event, { developer, email = null }, data, { dedupeKey = null } = {}) {
+  try {
+    const category = EVENT_CATEGORIES[event];
+    if (developer && !wantsCategory(developer, category)) return `${event}: opted out`;
+    const recipient = email || (developer && developer.email);
+    if (!recipient) return `${event}: no recipient`;
+
+    const { subject, text } = render(event, data);
+    const body = data.portal_url
+      ? `${text}\n--\nYou're receiving this because you publish on Flip. Choose which emails you get:\n${data.portal_url}/dev/settings\n`
+      : text;
+
+    let sent = 0;
+    for (const transport of TRANSPORTS) {
+      const row = await db.addNotification({
+        event, transport, recipient, subject, body,
+        developer_id: developer ? developer.id : null,
+        payload: data,
+        dedupe_key: dedupeKey,
+      });
+      if (row && await deliver(row)) sent++;
+    }
+    return `${event}: ${sent}/${TRANSPORTS.length} sent`;
+  } catch (err) {
+    console.error(`[Notify] ${event} failed:`, err);
+    return `${event}: failed (${err.message})`;
+  }
+}
+
+// Retries due deliveries; called from the cron endpoint
+async function processQueue(limit = 25) {
+  const rows = await db.claimDueNotifications(limit);
+  let sent = 0;
+  for (const row of rows) if (await deliver(row)) sent++;
+  return { attempted: rows.length, sent };
+}
+
+module.exports = { CATEGORIES, TRANSPORTS, notify, processQueue };
@@ -0,0 +1,95 @@
+/**
+ * Notification templates: plain-text emails keyed by event name.
+ * Each template takes the event data (plus portal_url) and returns
+ * { subject, text }; the notifier appends the opt-out footer.
+ */
+
+function money(cents, currency = 'usd') {
+  return `$${(cents / 100).toFixed(2)}${currency && currency !== 'usd' ? ` ${currency.toUpperCase()}` : ''}`;
+}
+
+function noteBlock(note) {
+  return note ? `\nReviewer's note:\n\n${note.split('\n').map(l => `  ${l}`).join('\n')}\n` : '';
+}
+
+const PLAN_LABELS = { one_time: 'one-time purchase', monthly: 'monthly subscription', yearly: 'yearly subscription' };
+
+// Status changes a developer hears about; in_review / pending moves are internal
+const STATUS_TEMPLATES = {
+  approved: d => ({
+    subject: `${d.name} v${d.version} is live in the Flip marketplace`,
+    text: `${d.name} v${d.version} was approved and is now available to Flip users.\n${noteBlock(d.note)}`,
+  }),
+  changes_requested: d => ({
+    subject: `Changes requested for ${d.name} v${d.version}`,
+    text: `A reviewer asked for changes before ${d.name} v${d.version} can be published.\n${noteBlock(d.note)}\n` +
+      `Reply or upload an updated build here:\n${d.portal_url}/dev/submissions/${d.submission_id}\n`,
+  }),
+  rejected: d => ({
+    subject: `${d.name} v${d.version} was not approved`,
+    text: `${d.name} v${d.version} was rejected.\n${noteBlock(d.note)}\n` +
+      `Details: ${d.portal_url}/dev/submissions/${d.submission_id}\n`,
+  }),
+  unpublished: d => ({
+    subject: `${d.name} was unpublished`,
+    text: `${d.name} (${d.ext_id}) has been removed from the marketplace. Existing installs keep working.\n${noteBlock(d.note)}`,
+  }),
+  taken_down: d => ({
+    subject: `${d.name} was taken down`,
+    text: `${d.name} (${d.ext_id}) was taken down by the Flip review team and is no longer available.\n${noteBlock(d.note)}\n` +
+      `Reply in the review thread if you'd like to discuss it:\n${d.portal_url}/dev/submissions/${d.submission_id}\n`,
+  }),
+  reinstated: d => ({
+    subject: `${d.name} is back in the marketplace`,
+    text: `${d.name} (${d.ext_id}) was reinstated and is available to Flip users again.\n${noteBlock(d.note)}`,
+  }),
+};
+
+const TEMPLATES = {
+  'submission.received': d => ({
+    subject: `We received ${d.name} v${d.version}`,
+    text: `Thanks for submitting ${d.name} v${d.version}${d.resubmission ? ' (updated build)' : ''}. ` +
+      `It's in the review queue and we'll email you when a reviewer has made a decision.\n\n` +
+      `Track it here:\n${d.portal_url}/dev/submissions/${d.submission_id}\n`,
+  }),
+
+  'submission.status': d => {
+    const template = STATUS_TEMPLATES[d.status];
+    if (!template) throw new Error(`No template for status ${d.status}`);
+    return template(d);
+  },
+
+  'sale.created': d => ({
+    subject: `New sale: ${d.name}`,
+    text: `Someone bought ${d.name} (${PLAN_LABELS[d.plan_type] || d.plan_type})` +
+      `${d.amount_cents ? ` for ${money(d.amount_cents, d.currency)}` : ''}.\n\n` +
+      `Earnings and payouts:\n${d.portal_url}/dev/earnings\n`,
+  }),
+
+  'subscription.ended': d => ({
+    subject: `A ${d.name} subscription ended`,
+    text: `A subscription to ${d.name} was cancelled and has now ended.\n`,
+  }),
+
+  'entitlement.revoked': d => ({
+    subject: `A ${d.name} purchase was reversed`,
+    text: `Access to ${d.name} was revoked for one customer: ${d.reason}.\n\n` +
+      `The amount is reflected in your earnings:\n${d.portal_url}/dev/earnings\n`,
+  }),
+
+  'review.created': d => ({
+    subject: `New ${d.rating}-star review of ${d.name}`,
+    text: `${d.author || 'A Flip user'} rated ${d.name} ${'★'.repeat(d.rating)}${'☆'.repeat(5 - d.rating)}` +
+      `${d.version ? ` (v${d.version})` : ''}.\n${d.body ? `\n${d.body.split('\n').map(l => `  ${l}`).join('\n')}\n` : ''}\n` +
+      `Reply publicly here:\n${d.portal_url}/dev/extensions/${encodeURIComponent(d.ext_id)}/reviews\n`,
+  }),
+};
+
+function render(event, data) {
+  const template = TEMPLATES[event];
+  if (!template) throw new Error(`No template for ${event}`);
+  const { subject, text } = template(data);
+  return { subject, text: `Hi,\n\n${text.trimEnd()}\n` };
+}
+
+module.exports = { render, TEMPLATES };
@@ -0,0 +1,181 @@
+/**
+ * Developer payouts through Stripe Connect.
+ * Buyers pay through destination charges: the sale lands on the developer's
+ * Express account and the platform keeps PLATFORM_FEE_PERCENT as an
+ * application fee. Every sale, refund and transfer is mirrored into the
+ * local ledger so earnings can be shown without calling Stripe.
+ *
+ * Ledger sign convention: net_cents is the change to what the developer has
+ * earned but not yet received, so sales are positive, refunds and payouts
+ * negative, and the balance is their sum.
+ */
+
+const db = require('./db');
+
+const PLATFORM_FEE_PERCENT = Number(process.env.PLATFORM_FEE_PERCENT || 20);
+
+function platformFee(amountCents) {
+  return Math.round(amountCents * PLATFORM_FEE_PERCENT / 100);
+}
+
+function canReceivePayments(developer) {
+  return Boolean(developer && developer.stripe_account_id && developer.charges_enabled);
+}
+
+/**
+ * Checkout Session params that route a sale to the developer's account.
+ * One-time payments take a fixed fee; subscriptions a percentage per invoice.
+ */
+function connectSessionParams(developer, price) {
+  const transfer_data = { destination: developer.stripe_account_id };
+  if (price.plan_type === 'one_time') {
+    return { payment_intent_data: { application_fee_amount: platformFee(price.amount_cents), transfer_data } };
+  }
+  return { subscription_data: { application_fee_percent: PLATFORM_FEE_PERCENT, transfer_data } };
+}
+
+// ── Ledger recording (called from the Stripe webhook) ───────
+async function recordSale({ extId, paymentIntent, objectId, amountCents, currency, firebaseUid, description }) {
+  const ext = await db.getExtension(extId);
+  if (!ext) return 'ignored (unknown extension)';
+  const fee = platformFee(amountCents);
+  const entry = await db.addLedgerEntry({
+    developer_id: ext.developer_id,
+    ext_id: extId,
+    type: 'sale',
+    stripe_object_id: objectId,
+    payment_intent: paymentIntent,
+    gross_cents: amountCents,
+    fee_cents: fee,
+    net_cents: amountCents - fee,
+    currency,
+    firebase_uid: firebaseUid,
+    description,
+  });
+  return entry ? `sale recorded (${amountCents} ${currency})` : 'sale already recorded';
+}
+
+// charge.amount_refunded is cumulative, so only the not-yet-recorded part is booked
+async function recordRefund(charge) {
+  const sale = charge.payment_intent && await db.getLedgerSale(charge.payment_intent);
+  if (!sale) return 'ignored (no matching sale)';
+
+  const refunded = charge.amount_refunded - await db.getRefundedCents(charge.payment_intent);
+  if (refunded <= 0) return 'refund already recorded';
+
+  const fee = Math.round(sale.fee_cents * refunded / sale.gross_cents);
+  await db.addLedgerEntry({
+    developer_id: sale.developer_id,
+    ext_id: sale.ext_id,
+    type: 'refund',
+    stripe_object_id: `${charge.id}:${charge.amount_refunded}`,
+    payment_intent: charge.payment_intent,
+    gross_cents: -refunded,
+    fee_cents: -fee,
+    net_cents: -(refunded - fee),
+    currency: charge.currency,
+    firebase_uid: sale.firebase_uid,
+    description: charge.refunded ? 'Full refund' : 'Partial refund',
+  });
+  return `refund recorded (${refunded} ${charge.currency})`;
+}
+
+// Transfers to a connected account are the developer's payouts. A destination
+// charge transfers the full amount and Stripe then takes the application fee
+// back from the account, so the developer only receives the amount net of it.
+async function recordTransfer(stripe, transfer) {
+  const developer = await db.getDeveloperByStripeAccount(transfer.destination);
+  if (!developer) return 'ignored (unknown connected account)';
+
+  // Destination-charge transfers point back at the charge; use it to find the sale and fee
+  let sale = null;
+  let applicationFee = 0;
+  if (transfer.source_transaction) {
+    const charge = await stripe.charges.retrieve(transfer.source_transaction);
+    sale = charge.payment_intent ? await db.getLedgerSale(charge.payment_intent) : null;
+    applicationFee = charge.application_fee_amount || 0;
+  }
+
+  const paid = transfer.amount - applicationFee;
+  const entry = await db.addLedgerEntry({
+    developer_id: developer.id,
+    ext_id: sale ? sale.ext_id : null,
+    type: 'payout',
+    stripe_object_id: transfer.id,
+    payment_intent: sale ? sale.payment_intent : null,
+    gross_cents: 0,
+    fee_cents: 0,
+    net_cents: -paid,
+    currency: transfer.currency,
+    description: 'Transfer to connected account',
+  });
+  return entry ? `payout recorded (${paid} ${transfer.currency})` : 'payout already recorded';
+}
+
+// transfer.amount_reversed is cumulative, like refunds. It is in transfer
+// (gross) terms, so it is scaled to the share of the transfer that was booked.
+async function recordTransferReversal(transfer) {
+  const payout = await db.getLedgerEntry('payout', transfer.id);
+  if (!payout) return 'ignored (unknown transfer)';
+
+  const reversedTotal = transfer.amount ? Math.round(transfer.amount_reversed * -payout.net_cents / transfer.amount) : 0;
+  const reversed = reversedTotal - await db.getReversedCents(transfer.id);
+  if (reversed <= 0) return 'reversal already recorded';
+
+  await db.addLedgerEntry({
+    developer_id: payout.developer_id,
+    ext_id: payout.ext_id,
+    type: 'payout_reversal',
+    stripe_object_id: `${transfer.id}:${transfer.amount_reversed}`,
+    payment_intent: payout.payment_intent,
+    gross_cents: 0,
+    fee_cents: 0,
+    net_cents: reversed,
+    currency: transfer.currency,
+    description: 'Transfer reversed',
+  });
+  return `payout reversal recorded (${reversed} ${transfer.currency})`;
+}
+
+async function syncAccountStatus(account) {
+  const developer = await db.updateDeveloperStripeStatus(account.id, {
+    charges_enabled: account.charges_enabled === true,
+    payouts_enabled: account.payouts_enabled === true,
+    details_submitted: account.details_submitted === true,
+  });
+  return developer
+    ? `account ${account.id}: charges ${account.charges_enabled ? 'on' : 'off'}, payouts ${account.payouts_enabled ? 'on' : 'off'}`
+    : 'ignored (unknown connected account)';
+}
+
+// ── Reporting ────────────────────────────────────────────────
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Spreadsheets run cells starting with these as formulas; negative amounts are left as numbers
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function ledgerCsv(entries) {
+  const cents = v => (v / 100).toFixed(2);
+  const header = ['date', 'type', 'extension', 'gross', 'platform_fee', 'net', 'currency', 'stripe_reference', 'description'];
+  const lines = entries.map(e => [
+    new Date(e.created_at), e.type, e.ext_id, cents(e.gross_cents), cents(e.fee_cents), cents(e.net_cents),
+    e.currency, e.stripe_object_id, e.description,
+  ].map(csvField).join(','));
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  PLATFORM_FEE_PERCENT,
+  platformFee,
+  canReceivePayments,
+  connectSessionParams,
+  recordSale,
+  recordRefund,
+  recordTransfer,
+  recordTransferReversal,
+  syncAccountStatus,
+  ledgerCsv,
+};
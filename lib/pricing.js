@@ -0,0 +1,80 @@
+/**
+ * Extension pricing and Stripe catalog sync.
+ * Developers declare pricing on submission; on approval the extension's
+ * Stripe Product is created/updated and a matching Price is made active.
+ * Stripe prices are immutable, so a pricing change creates a new Price and
+ * archives the old one.
+ */
+
+const db = require('./db');
+
+const INTERVALS = { monthly: 'month', yearly: 'year' };
+
+function samePrice(row, pricing) {
+  return row.plan_type === pricing.model &&
+    row.amount_cents === pricing.amount_cents &&
+    row.currency === pricing.currency &&
+    (row.trial_days || 0) === (pricing.trial_days || 0);
+}
+
+async function archivePrices(stripe, rows) {
+  for (const row of rows) {
+    await stripe.prices.update(row.stripe_price_id, { active: false });
+    await db.deactivateExtensionPrice(row.stripe_price_id);
+  }
+}
+
+/**
+ * Makes Stripe + the local price table match the submission's pricing.
+ * Returns the active price row, or null for free extensions.
+ */
+async function syncExtensionPricing(stripe, ext, submission) {
+  const pricing = submission.pricing || { model: 'free' };
+  const active = await db.getActiveExtensionPrices(ext.ext_id);
+
+  if (pricing.model === 'free') {
+    await archivePrices(stripe, active);
+    return null;
+  }
+
+  // Product
+  let productId = ext.stripe_product_id;
+  const product = {
+    name: submission.name,
+    description: submission.description || undefined,
+    metadata: { ext_id: ext.ext_id },
+  };
+  if (productId) {
+    await stripe.products.update(productId, product);
+  } else {
+    productId = (await stripe.products.create(product)).id;
+    await db.setExtensionProduct(ext.ext_id, productId);
+  }
+
+  // Price
+  const current = active.find(row => samePrice(row, pricing));
+  if (current) {
+    await archivePrices(stripe, active.filter(row => row !== current));
+    return current;
+  }
+
+  const price = await stripe.prices.create({
+    product: productId,
+    unit_amount: pricing.amount_cents,
+    currency: pricing.currency,
+    ...(INTERVALS[pricing.model] ? { recurring: { interval: INTERVALS[pricing.model] } } : {}),
+    metadata: { ext_id: ext.ext_id, plan_type: pricing.model },
+  });
+  const row = await db.createExtensionPrice({
+    ext_id: ext.ext_id,
+    stripe_price_id: price.id,
+    plan_type: pricing.model,
+    amount_cents: pricing.amount_cents,
+    currency: pricing.currency,
+    trial_days: pricing.trial_days || 0,
+  });
+  await archivePrices(stripe, active);
+  return row;
+}
+
+module.exports = { syncExtensionPricing };
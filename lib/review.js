@@ -0,0 +1,82 @@
+/**
+ * Submission review state machine.
+ *
+ *   pending ──▶ in_review ──▶ approved ──▶ unpublished / taken_down
+ *      │            │  ▲          ▲                  │
+ *      │            ▼  │          └──────────────────┘ (republish / reinstate)
+ *      └──▶ changes_requested ──▶ superseded (developer resubmitted)
+ *
+ * Any open state can also end in rejected, or in withdrawn when the developer
+ * pulls it. Unpublishing and takedowns apply to every approved version of the
+ * extension, not just one submission. A takedown also covers versions the
+ * developer had unpublished (unpublished ──▶ taken_down); reinstating puts each
+ * version back in the state it was taken down from, and only an admin can.
+ */
+
+const STATUSES = ['pending', 'in_review', 'changes_requested', 'approved', 'rejected', 'unpublished', 'taken_down', 'superseded', 'withdrawn'];
+
+// Still waiting on a reviewer or the developer
+const OPEN_STATUSES = ['pending', 'in_review', 'changes_requested'];
+
+const TRANSITIONS = {
+  pending: ['in_review', 'changes_requested', 'approved', 'rejected', 'withdrawn'],
+  in_review: ['pending', 'changes_requested', 'approved', 'rejected', 'withdrawn'],
+  changes_requested: ['in_review', 'rejected', 'superseded', 'withdrawn'],
+  approved: ['unpublished', 'taken_down'],
+  unpublished: ['approved', 'taken_down'],
+  taken_down: ['approved'],
+  rejected: [],
+  superseded: [],
+  withdrawn: [],
+};
+
+// Closed without ever being published; their packages are deleted after a retention window
+const DISCARDED_STATUSES = ['rejected', 'withdrawn', 'superseded'];
+
+// Transitions only the developer makes (never offered to reviewers)
+const DEVELOPER_ONLY = ['superseded', 'withdrawn'];
+
+// Transitions that move the whole extension rather than one submission
+const EXTENSION_WIDE = ['unpublished', 'taken_down'];
+
+// Statuses a takedown applies to
+const TAKEDOWN_FROM = ['approved', 'unpublished'];
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_review: 'In Review',
+  changes_requested: 'Changes Requested',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  unpublished: 'Unpublished',
+  taken_down: 'Taken Down',
+  superseded: 'Superseded',
+  withdrawn: 'Withdrawn',
+};
+
+// Tailwind classes for status badges
+const STATUS_COLORS = {
+  pending: 'text-yellow-400 bg-yellow-500/10',
+  in_review: 'text-blue-400 bg-blue-500/10',
+  changes_requested: 'text-orange-400 bg-orange-500/10',
+  approved: 'text-emerald-400 bg-emerald-500/10',
+  rejected: 'text-red-400 bg-red-500/10',
+  unpublished: 'text-white/40 bg-white/[0.04]',
+  taken_down: 'text-red-400 bg-red-500/10',
+  superseded: 'text-white/30 bg-white/[0.04]',
+  withdrawn: 'text-white/30 bg-white/[0.04]',
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Comments and resubmissions share the thread of the first submission
+function threadIdFor(submission) {
+  return submission.thread_id || submission.id;
+}
+
+module.exports = {
+  STATUSES, OPEN_STATUSES, DISCARDED_STATUSES, TRANSITIONS, EXTENSION_WIDE, TAKEDOWN_FROM, DEVELOPER_ONLY, STATUS_LABELS, STATUS_COLORS,
+  canTransition, threadIdFor,
+};
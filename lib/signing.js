@@ -0,0 +1,145 @@
+/**
+ * Release signing for approved packages.
+ * Signs a small canonical-JSON release document (ext_id, version, sha256, …)
+ * with an Ed25519 key from env, and publishes the public keys so the Flip
+ * browser can verify installs and entitlement tokens offline. Retired
+ * public keys stay published so older releases keep verifying after a rotation.
+ */
+
+const crypto = require('crypto');
+
+let keyring = null;
+
+// Accepts PEM (with literal or escaped newlines) or base64 DER
+function parseKey(value, type) {
+  const text = value.trim().replace(/\\n/g, '\n');
+  if (text.startsWith('-----')) {
+    return type === 'private' ? crypto.createPrivateKey(text) : crypto.createPublicKey(text);
+  }
+  const der = Buffer.from(text, 'base64');
+  return type === 'private'
+    ? crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' })
+    : crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+}
+
+// Key id = first 16 hex chars of the SHA-256 of the raw 32-byte public key
+function keyIdFor(publicKey) {
+  return crypto.createHash('sha256').update(rawPublicKey(publicKey)).digest('hex').slice(0, 16);
+}
+
+function rawPublicKey(publicKey) {
+  // Ed25519 SPKI DER is a fixed 12-byte prefix followed by the raw key
+  return publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+}
+
+// A retired key may be given as "<kid>:<key>" to keep a custom SIGNING_KEY_ID
+// it was published under; PEM and base64 never contain a colon
+function parseRetiredKey(value) {
+  const match = /^\s*([A-Za-z0-9._-]+):(.+)$/s.exec(value);
+  const publicKey = parseKey(match ? match[2] : value, 'public');
+  return { kid: match ? match[1] : keyIdFor(publicKey), publicKey };
+}
+
+// Built in full before it is cached, so a bad key fails every call instead
+// of leaving an empty keyring behind
+function loadKeyring() {
+  if (keyring) return keyring;
+  const ring = { active: null, retired: [] };
+
+  if (process.env.SIGNING_PRIVATE_KEY) {
+    const privateKey = parseKey(process.env.SIGNING_PRIVATE_KEY, 'private');
+    if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error('SIGNING_PRIVATE_KEY must be an Ed25519 key');
+    const publicKey = crypto.createPublicKey(privateKey);
+    ring.active = { kid: process.env.SIGNING_KEY_ID || keyIdFor(publicKey), privateKey, publicKey };
+  }
+
+  for (const value of (process.env.SIGNING_RETIRED_PUBLIC_KEYS || '').split(',').filter(v => v.trim())) {
+    ring.retired.push(parseRetiredKey(value));
+  }
+  keyring = ring;
+  return keyring;
+}
+
+// Deterministic JSON: object keys sorted at every level
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Builds and signs the release document for an approved package.
+ * Returns { sha256, release, signature, key_id }; signature/key_id are null
+ * when no signing key is configured.
+ */
+function signRelease(submission, packageBuffer, downloadUrl) {
+  const { active } = loadKeyring();
+  const sha256 = sha256Hex(packageBuffer);
+  const release = {
+    ext_id: submission.ext_id,
+    version: submission.version,
+    sha256,
+    size: packageBuffer.length,
+    api_version: submission.api_version,
+    permissions: submission.permissions || [],
+    download_url: downloadUrl,
+    key_id: active ? active.kid : null,
+    signed_at: new Date().toISOString(),
+  };
+
+  if (!active) {
+    console.warn('[Signing] SIGNING_PRIVATE_KEY not set — release stored unsigned');
+    return { sha256, release, signature: null, key_id: null };
+  }
+  const signature = crypto.sign(null, Buffer.from(canonicalJson(release)), active.privateKey).toString('base64');
+  return { sha256, release, signature, key_id: active.kid };
+}
+
+function verifyRelease(release, signature, kid) {
+  const { active, retired } = loadKeyring();
+  const key = [active, ...retired].find(k => k && k.kid === kid);
+  if (!key || !signature) return false;
+  return crypto.verify(null, Buffer.from(canonicalJson(release)), key.publicKey, Buffer.from(signature, 'base64'));
+}
+
+function hasSigningKey() {
+  return Boolean(loadKeyring().active);
+}
+
+/**
+ * Signs a compact JWS (alg EdDSA) with the active release key, so clients can
+ * verify it offline against /api/signing-keys. Throws if no key is configured.
+ */
+function signJwt(payload) {
+  const { active } = loadKeyring();
+  if (!active) throw new Error('SIGNING_PRIVATE_KEY not set');
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: active.kid };
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const input = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.sign(null, Buffer.from(input), active.privateKey).toString('base64url');
+  return `${input}.${signature}`;
+}
+
+// Public keys for /api/signing-keys
+function getPublicKeys() {
+  const { active, retired } = loadKeyring();
+  const describe = (k, status) => ({
+    kid: k.kid,
+    alg: 'Ed25519',
+    status,
+    public_key: rawPublicKey(k.publicKey).toString('base64'),
+    public_key_pem: k.publicKey.export({ format: 'pem', type: 'spki' }),
+  });
+  return [
+    ...(active ? [describe(active, 'active')] : []),
+    ...retired.map(k => describe(k, 'retired')),
+  ];
+}
+
+module.exports = { signRelease, verifyRelease, signJwt, hasSigningKey, getPublicKeys, canonicalJson, sha256Hex };
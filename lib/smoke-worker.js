@@ -0,0 +1,650 @@
+/**
+ * Child-process side of the smoke test (forked by lib/smoke.js with an
+ * empty environment and Node's permission model, so it can read only lib/).
+ * Runs one package in a fresh vm context with no require or process and with
+ * string code generation and dynamic import() disabled. Everything extension
+ * code can reach — the Flip SDK mock, React, DOM stubs, timers, even the
+ * error a rejected import() carries — is created inside the context, and the
+ * context's global has no host prototype, so no host object leaks in; only
+ * strings cross the boundary.
+ * Partial reports are sent after each phase in case the process is killed.
+ */
+
+const vm = require('vm');
+const { transformModule, requiredSpecifiers } = require('./jsx');
+
+const STEP_TIMEOUT_MS = 1000;
+const MAX_TIMER_STEPS = 200;
+
+// ── In-context harness ───────────────────────────────────────
+// Serialized with toString() and evaluated inside the context: it must not
+// reference anything outside its own body.
+function harness(config) {
+  const stringify = JSON.stringify;
+  const LIMIT = 50;
+  const log = { errors: [], network: [], storage: [], undeclared: [], calls: {}, console: [], mounted: false };
+  const push = (list, item) => { if (list.length < LIMIT) list.push(item); };
+  const text = value => {
+    try { return typeof value === 'string' ? value : value instanceof Error ? `${value.name}: ${value.message}` : stringify(value) || String(value); } catch (e) { return String(value); }
+  };
+  const OFFLINE = 'Network access is blocked in the smoke test';
+
+  function fail(phase, err) {
+    const message = text(err).slice(0, 500);
+    const stack = err && typeof err.stack === 'string'
+      ? err.stack.split('\n').filter(l => /\.(jsx?|mjs|cjs|html?)[:)]/.test(l) && !/[\s(](?:\/|node:|file:)/.test(l)).slice(0, 5).join('\n')
+      : '';
+    push(log.errors, { phase, message, stack, severity: message.includes(OFFLINE) ? 'warning' : 'error' });
+  }
+
+  // ── Timers (virtual clock) ──
+  let clock = 0;
+  let timerSeq = 0;
+  const timers = new Map();
+  const addTimer = (fn, ms, repeat) => {
+    const id = ++timerSeq;
+    const delay = Math.max(Number(ms) || 0, repeat ? 1 : 0);
+    timers.set(id, { fn, at: clock + delay, every: repeat ? delay : 0 });
+    return id;
+  };
+  globalThis.setTimeout = (fn, ms) => addTimer(fn, ms, false);
+  globalThis.setInterval = (fn, ms) => addTimer(fn, ms, true);
+  globalThis.clearTimeout = globalThis.clearInterval = id => { timers.delete(id); };
+  globalThis.requestAnimationFrame = fn => addTimer(() => fn(clock), 16, false);
+  globalThis.cancelAnimationFrame = id => { timers.delete(id); };
+  globalThis.queueMicrotask = fn => { Promise.resolve().then(fn); };
+
+  function runNextTimer() {
+    let next = null;
+    for (const [id, t] of timers) if (!next || t.at < next.t.at) next = { id, t };
+    if (!next || next.t.at > config.virtualMs) return false;
+    clock = next.t.at;
+    if (next.t.every) next.t.at += next.t.every; else timers.delete(next.id);
+    try { if (typeof next.t.fn === 'function') next.t.fn(); } catch (e) { fail('timer', e); }
+    return true;
+  }
+
+  // ── Console ──
+  const record = level => (...args) => push(log.console, { level, message: args.map(text).join(' ').slice(0, 300) });
+  globalThis.console = { log: record('log'), info: record('info'), debug: record('debug'), warn: record('warn'), error: record('error'), trace: record('trace') };
+
+  // ── Network (everything outside Flip.net is blocked) ──
+  const blocked = (via, url, method) => {
+    push(log.network, { via, url: String(url).slice(0, 300), method: (method || 'GET').toUpperCase(), allowed: false });
+  };
+  globalThis.fetch = (input, init) => {
+    blocked('fetch', input && input.url ? input.url : input, init && init.method);
+    return Promise.reject(new TypeError(OFFLINE));
+  };
+  globalThis.XMLHttpRequest = class {
+    open(method, url) { this.method = method; this.url = url; }
+    setRequestHeader() {}
+    addEventListener(type, fn) { this[`on${type}`] = fn; }
+    abort() {}
+    send() {
+      blocked('XMLHttpRequest', this.url, this.method);
+      setTimeout(() => { if (typeof this.onerror === 'function') this.onerror(new TypeError(OFFLINE)); }, 0);
+    }
+  };
+  class Socket {
+    constructor(url) {
+      blocked(this.constructor.name, url);
+      setTimeout(() => { if (typeof this.onerror === 'function') this.onerror(new TypeError(OFFLINE)); }, 0);
+    }
+    addEventListener(type, fn) { this[`on${type}`] = fn; }
+    send() {}
+    close() {}
+  }
+  globalThis.WebSocket = class WebSocket extends Socket {};
+  globalThis.EventSource = class EventSource extends Socket {};
+
+  // ── Storage ──
+  const wrote = (via, key) => push(log.storage, { via, key: String(key).slice(0, 200) });
+  const webStorage = name => {
+    const data = {};
+    return {
+      getItem: k => (k in data ? data[k] : null),
+      setItem: (k, v) => { wrote(`${name}.setItem`, k); data[k] = String(v); },
+      removeItem: k => { wrote(`${name}.removeItem`, k); delete data[k]; },
+      clear: () => { wrote(`${name}.clear`, '*'); for (const k of Object.keys(data)) delete data[k]; },
+      key: i => Object.keys(data)[i] || null,
+      get length() { return Object.keys(data).length; },
+    };
+  };
+  globalThis.localStorage = webStorage('localStorage');
+  globalThis.sessionStorage = webStorage('sessionStorage');
+  globalThis.indexedDB = {
+    open(name) {
+      wrote('indexedDB.open', name);
+      const request = {};
+      setTimeout(() => { if (typeof request.onerror === 'function') request.onerror(new Error('indexedDB is not available')); }, 0);
+      return request;
+    },
+  };
+
+  // ── DOM stubs ──
+  const makeElement = tag => ({
+    tagName: String(tag).toUpperCase(), style: {}, dataset: {}, children: [], childNodes: [], attributes: {},
+    innerHTML: '', textContent: '', value: '',
+    classList: { add() {}, remove() {}, toggle() { return false; }, contains() { return false; } },
+    setAttribute(k, v) { this.attributes[k] = String(v); },
+    getAttribute(k) { return k in this.attributes ? this.attributes[k] : null; },
+    removeAttribute(k) { delete this.attributes[k]; },
+    appendChild(c) { this.children.push(c); return c; },
+    append() {}, prepend() {}, remove() {},
+    removeChild(c) { return c; },
+    insertBefore(c) { return c; },
+    addEventListener() {}, removeEventListener() {}, dispatchEvent() { return true; },
+    querySelector() { return null; }, querySelectorAll() { return []; },
+    getBoundingClientRect() { return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0 }; },
+    focus() {}, blur() {}, click() {},
+  });
+  const byId = {};
+  let cookie = '';
+  globalThis.document = {
+    body: makeElement('body'), head: makeElement('head'), documentElement: makeElement('html'),
+    createElement: makeElement, createElementNS: (ns, tag) => makeElement(tag),
+    createTextNode: t => ({ textContent: String(t) }),
+    createDocumentFragment: () => makeElement('fragment'),
+    getElementById: id => (byId[id] = byId[id] || makeElement('div')),
+    querySelector: () => null, querySelectorAll: () => [], getElementsByTagName: () => [], getElementsByClassName: () => [],
+    addEventListener() {}, removeEventListener() {},
+    readyState: 'complete', visibilityState: 'visible', hidden: false, title: '',
+    get cookie() { return cookie; },
+    set cookie(value) { wrote('document.cookie', String(value).split('=')[0]); cookie = String(value); },
+  };
+  const observer = class { observe() {} unobserve() {} disconnect() {} takeRecords() { return []; } };
+  globalThis.ResizeObserver = globalThis.IntersectionObserver = globalThis.MutationObserver = observer;
+  globalThis.navigator = {
+    userAgent: 'FlipSmokeTest/1.0', language: 'en-US', languages: ['en-US'], onLine: false,
+    clipboard: { writeText: () => Promise.resolve(), readText: () => Promise.resolve('') },
+    sendBeacon: url => { blocked('navigator.sendBeacon', url, 'POST'); return false; },
+  };
+  globalThis.location = { href: `flip://extensions/${config.extId}/`, protocol: 'flip:', host: config.extId, pathname: '/', search: '', hash: '', reload() {}, assign() {} };
+  globalThis.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {} });
+  globalThis.getComputedStyle = () => ({ getPropertyValue: () => '' });
+  globalThis.alert = globalThis.confirm = globalThis.prompt = () => undefined;
+  globalThis.addEventListener = globalThis.removeEventListener = () => {};
+  globalThis.window = globalThis.self = globalThis;
+
+  // ── Flip SDK mock (gated by the manifest's permissions) ──
+  const permissionFor = call => {
+    for (const perm of Object.keys(config.permissionApis)) {
+      if (config.permissionApis[perm].some(p => call === p || call.startsWith(p + '.'))) return perm;
+    }
+    return null;
+  };
+  const flipStore = {};
+  const crossStore = {};
+  const IMPLEMENTATIONS = {
+    'Flip.storage.get': key => (key in flipStore ? flipStore[key] : null),
+    'Flip.storage.set': (key, value) => { wrote('Flip.storage.set', key); flipStore[key] = value; },
+    'Flip.storage.remove': key => { wrote('Flip.storage.remove', key); delete flipStore[key]; },
+    'Flip.storage.list': () => Object.keys(flipStore),
+    'Flip.storage.keys': () => Object.keys(flipStore),
+    'Flip.crossStorage.get': key => (key in crossStore ? crossStore[key] : null),
+    'Flip.crossStorage.list': () => Object.keys(crossStore),
+    'Flip.crossStorage.set': (key, value) => { wrote('Flip.crossStorage.set', key); crossStore[key] = value; },
+    'Flip.crossStorage.remove': key => { wrote('Flip.crossStorage.remove', key); delete crossStore[key]; },
+    'Flip.net.fetch': (url, options) => {
+      push(log.network, { via: 'Flip.net.fetch', url: String(url).slice(0, 300), method: ((options && options.method) || 'GET').toUpperCase(), allowed: true });
+      throw new TypeError(OFFLINE);
+    },
+    'Flip.render': element => { mount(element); },
+  };
+  function callApi(call, args) {
+    log.calls[call] = (log.calls[call] || 0) + 1;
+    const perm = permissionFor(call);
+    if (perm && !config.declared.includes(perm)) {
+      if (!log.undeclared.some(u => u.call === call)) push(log.undeclared, { call, permission: perm });
+      return Promise.reject(new Error(`${call}() requires the "${perm}" permission`));
+    }
+    try {
+      return Promise.resolve(IMPLEMENTATIONS[call] ? IMPLEMENTATIONS[call](...args) : null);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+  // Any Flip.x.y(...) works: unknown methods resolve to null
+  const apiProxies = {};
+  const api = path => apiProxies[path] || (apiProxies[path] = new Proxy(function () {}, {
+    get(target, prop) {
+      if (typeof prop === 'symbol' || prop === 'then') return undefined;
+      if (path === 'Flip' && prop === 'version') return config.apiVersion;
+      return api(`${path}.${prop}`);
+    },
+    apply(target, thisArg, args) { return callApi(path, args); },
+  }));
+  globalThis.Flip = api('Flip');
+
+  // ── React (enough to render a tree to HTML and run hooks/effects) ──
+  const FRAGMENT = { $$typeof: 'fragment' };
+  const createElement = (type, props, ...children) => {
+    const p = Object.assign({}, props);
+    if (children.length) p.children = children.length === 1 ? children[0] : children;
+    const key = p.key === undefined ? null : p.key;
+    delete p.key;
+    return { $$typeof: 'element', type, props: p, key };
+  };
+  function Component(props) { this.props = props; this.state = {}; }
+  Component.prototype.isReactComponent = true;
+  Component.prototype.setState = function (partial) {
+    this._pending = Object.assign(this._pending || {}, typeof partial === 'function' ? partial(this.state, this.props) : partial);
+    dirty = true;
+  };
+  Component.prototype.forceUpdate = function () { dirty = true; };
+  const toArray = children => (children === undefined || children === null ? [] : [].concat(children).flat(Infinity));
+  let hookOwner = null;
+  const slots = new Map();
+  let pendingEffects = [];
+  let dirty = false;
+  const contextValues = new Map();
+
+  const slot = init => {
+    if (!hookOwner) throw new Error('Hooks can only be called inside a function component');
+    const i = hookOwner.index++;
+    if (hookOwner.hooks.length <= i) hookOwner.hooks.push(init());
+    return hookOwner.hooks[i];
+  };
+  const depsChanged = (prev, deps) => !prev || !deps || deps.length !== prev.length || deps.some((d, i) => !Object.is(d, prev[i]));
+  const useState = initial => {
+    const s = slot(() => ({ value: typeof initial === 'function' ? initial() : initial }));
+    if (!s.set) s.set = next => {
+      const value = typeof next === 'function' ? next(s.value) : next;
+      if (!Object.is(value, s.value)) { s.value = value; dirty = true; }
+    };
+    return [s.value, s.set];
+  };
+  const useEffect = (fn, deps) => {
+    const s = slot(() => ({}));
+    if (depsChanged(s.deps, deps)) { s.deps = deps; pendingEffects.push({ s, fn }); }
+  };
+  const useMemo = (fn, deps) => {
+    const s = slot(() => ({}));
+    if (depsChanged(s.deps, deps) || !('value' in s)) { s.deps = deps; s.value = fn(); }
+    return s.value;
+  };
+  const React = {
+    createElement, Fragment: FRAGMENT, StrictMode: FRAGMENT, Suspense: FRAGMENT, Component, PureComponent: Component,
+    useState, useEffect, useLayoutEffect: useEffect, useInsertionEffect: useEffect, useMemo,
+    useCallback: (fn, deps) => useMemo(() => fn, deps),
+    useRef: initial => slot(() => ({ current: initial })),
+    useReducer: (reducer, initialArg, init) => {
+      const [state, setState] = useState(() => (init ? init(initialArg) : initialArg));
+      return [state, action => setState(prev => reducer(prev, action))];
+    },
+    useContext: context => (contextValues.has(context) ? contextValues.get(context) : context._default),
+    useId: () => `:r${hookOwner ? hookOwner.path.length : 0}:`,
+    useSyncExternalStore: (subscribe, getSnapshot) => getSnapshot(),
+    useTransition: () => [false, fn => fn()],
+    useDeferredValue: value => value,
+    useImperativeHandle: () => {},
+    useDebugValue: () => {},
+    createContext: value => {
+      const context = { _default: value };
+      context.Provider = { $$typeof: 'provider', _context: context };
+      context.Consumer = { $$typeof: 'consumer', _context: context };
+      return context;
+    },
+    memo: type => ({ $$typeof: 'memo', type }),
+    forwardRef: render => ({ $$typeof: 'forward_ref', render }),
+    createRef: () => ({ current: null }),
+    isValidElement: el => !!el && el.$$typeof === 'element',
+    cloneElement: (el, props, ...children) => createElement(el.type, Object.assign({ key: el.key }, el.props, props), ...(children.length ? children : toArray(el.props.children))),
+    Children: {
+      toArray, count: c => toArray(c).length, only: c => toArray(c)[0],
+      map: (c, fn) => toArray(c).map(fn), forEach: (c, fn) => { toArray(c).forEach(fn); },
+    },
+  };
+  React.default = React;
+  // Classic JSX output and script-tag builds expect a global React
+  globalThis.React = React;
+
+  // ── Renderer ──
+  const VOID = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+  const UNITLESS = ['opacity', 'zIndex', 'fontWeight', 'lineHeight', 'flex', 'flexGrow', 'flexShrink', 'order', 'zoom'];
+  const escape = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  const styleText = style => Object.keys(style)
+    .filter(k => style[k] !== null && style[k] !== undefined && style[k] !== false)
+    .map(k => `${k.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}:${typeof style[k] === 'number' && !UNITLESS.includes(k) ? `${style[k]}px` : style[k]}`)
+    .join(';');
+  function attributes(props) {
+    let out = '';
+    for (const k of Object.keys(props)) {
+      const v = props[k];
+      if (['children', 'ref', 'dangerouslySetInnerHTML', 'key'].includes(k) || /^on[A-Z]/.test(k)) continue;
+      if (v === null || v === undefined || v === false || typeof v === 'function') continue;
+      const name = k === 'className' ? 'class' : k === 'htmlFor' ? 'for' : k;
+      if (name === 'style' && typeof v === 'object') out += ` style="${escape(styleText(v))}"`;
+      else out += v === true ? ` ${name}` : ` ${name}="${escape(v)}"`;
+    }
+    return out;
+  }
+  let renderDepth = 0;
+  function renderNode(node, path) {
+    if (node === null || node === undefined || typeof node === 'boolean') return '';
+    if (typeof node === 'string' || typeof node === 'number') return escape(node);
+    if (Array.isArray(node)) return node.map((child, i) => renderNode(child, `${path}.${child && child.key !== null && child.key !== undefined ? `k${child.key}` : i}`)).join('');
+    if (node.$$typeof !== 'element') throw new Error(`Objects are not valid as a React child (found ${text(node).slice(0, 80)})`);
+    if (++renderDepth > 500) throw new Error('Maximum render depth exceeded');
+    try {
+      const { type, props } = node;
+      if (type === FRAGMENT) return renderNode(props.children, path);
+      if (typeof type === 'string') {
+        const inner = props.dangerouslySetInnerHTML ? String(props.dangerouslySetInnerHTML.__html || '') : renderNode(props.children, `${path}.0`);
+        return VOID.includes(type) ? `<${type}${attributes(props)}>` : `<${type}${attributes(props)}>${inner}</${type}>`;
+      }
+      if (type && type.$$typeof === 'provider') {
+        const had = contextValues.has(type._context);
+        const previous = contextValues.get(type._context);
+        contextValues.set(type._context, props.value);
+        try { return renderNode(props.children, `${path}.0`); } finally {
+          if (had) contextValues.set(type._context, previous); else contextValues.delete(type._context);
+        }
+      }
+      if (type && type.$$typeof === 'consumer') {
+        const value = contextValues.has(type._context) ? contextValues.get(type._context) : type._context._default;
+        return renderNode(typeof props.children === 'function' ? props.children(value) : null, `${path}.0`);
+      }
+      if (type && type.$$typeof === 'memo') return renderNode(createElement(type.type, props), path);
+      if (type && type.$$typeof === 'forward_ref') return renderNode(type.render(props, null), `${path}.0`);
+      if (typeof type !== 'function') throw new Error(`Element type is invalid: got ${text(type)}`);
+
+      const key = `${path}:${type.name || 'anonymous'}`;
+      if (type.prototype && type.prototype.isReactComponent) {
+        let instance = slots.get(key);
+        if (!instance) {
+          instance = new type(props);
+          instance.state = instance.state || {};
+          slots.set(key, instance);
+          if (typeof instance.componentDidMount === 'function') pendingEffects.push({ s: {}, fn: () => instance.componentDidMount() });
+        }
+        if (instance._pending) { instance.state = Object.assign({}, instance.state, instance._pending); instance._pending = null; }
+        instance.props = props;
+        return renderNode(instance.render(), `${path}.0`);
+      }
+      const owner = slots.get(key) || { path: key, hooks: [] };
+      slots.set(key, owner);
+      const previousOwner = hookOwner;
+      hookOwner = owner;
+      owner.index = 0;
+      let output;
+      try { output = type(props); } finally { hookOwner = previousOwner; }
+      return renderNode(output, `${path}.0`);
+    } finally {
+      renderDepth--;
+    }
+  }
+
+  let root = null;
+  let snapshot = null;
+  function mount(element) {
+    root = element;
+    log.mounted = true;
+    dirty = true;
+  }
+  const rootApi = { render: mount, unmount() {} };
+  const ReactDOM = { createRoot: () => rootApi, hydrateRoot: (container, element) => { mount(element); return rootApi; }, render: mount, createPortal: children => children };
+  ReactDOM.default = ReactDOM;
+  globalThis.ReactDOM = ReactDOM;
+
+  // Renders until state settles (effects may set state), at most a few passes
+  function flush() {
+    for (let pass = 0; pass < 5 && root && dirty; pass++) {
+      dirty = false;
+      try { snapshot = renderNode(root, 'r'); } catch (e) { fail('render', e); return; }
+      const effects = pendingEffects;
+      pendingEffects = [];
+      for (const { s, fn } of effects) {
+        try {
+          if (typeof s.cleanup === 'function') s.cleanup();
+          const cleanup = fn();
+          s.cleanup = typeof cleanup === 'function' ? cleanup : null;
+        } catch (e) { fail('effect', e); }
+      }
+    }
+  }
+
+  // ── Modules ──
+  const factories = {};
+  const cache = {};
+  const BUILTINS = { react: React, 'react-dom': ReactDOM, 'react-dom/client': ReactDOM, 'react/jsx-runtime': React };
+  const defaultOf = m => (m && m.__esModule === undefined && 'default' in Object(m) ? m.default : m);
+  function requireFrom(from) {
+    return spec => {
+      if (BUILTINS[spec]) return BUILTINS[spec];
+      if (/^@?flip(\/|-|$)/i.test(spec)) return { default: globalThis.Flip, Flip: globalThis.Flip };
+      const resolved = (config.resolutions[from] || {})[spec];
+      if (!resolved) throw new Error(`Cannot find module "${spec}" from ${from}`);
+      if (cache[resolved]) return cache[resolved].exports;
+      if (!factories[resolved]) throw new Error(`Module "${resolved}" failed to load`);
+      const module = { exports: {} };
+      cache[resolved] = module;
+      factories[resolved].call(module.exports, requireFrom(resolved), module, module.exports, defaultOf);
+      return module.exports;
+    };
+  }
+
+  const steps = {
+    // Runs the entry module(s) and mounts the default export if nothing mounted itself
+    load() {
+      let exported = null;
+      for (const entry of config.entries) {
+        try { exported = requireFrom('<entry>')(entry); } catch (e) { fail('load', e); return; }
+      }
+      const component = exported && (typeof exported.default === 'function' || (exported.default && exported.default.$$typeof) ? exported.default : typeof exported === 'function' ? exported : null);
+      if (!root && component && config.type !== 'background') mount(createElement(component, null));
+      flush();
+    },
+    tick() {
+      const more = runNextTimer();
+      flush();
+      return more;
+    },
+    report() {
+      return stringify({ ...log, snapshot, virtual_ms: clock, pending_timers: timers.size });
+    },
+  };
+
+  Object.defineProperty(globalThis, '__flipSmoke', {
+    value: Object.freeze({
+      define: (path, factory) => { factories[path] = factory; },
+      step: name => steps[name](),
+      fail: (phase, message) => fail(phase, message),
+    }),
+    writable: false,
+    configurable: false,
+  });
+}
+
+// ── Module graph ─────────────────────────────────────────────
+const EXTENSIONS = ['', '.js', '.jsx', '.mjs', '.cjs', '.json', '/index.js', '/index.jsx'];
+
+function resolvePath(from, spec, files) {
+  if (!spec.startsWith('.') && !spec.startsWith('/')) return null;
+  const base = spec.startsWith('/') ? [] : from.split('/').slice(0, -1);
+  for (const part of spec.split('/')) {
+    if (part === '..') base.pop();
+    else if (part && part !== '.') base.push(part);
+  }
+  const path = base.join('/');
+  for (const ext of EXTENSIONS) if (files[path + ext] !== undefined) return path + ext;
+  return null;
+}
+
+function moduleSource(path, text) {
+  if (/\.json$/i.test(path)) return `module.exports = JSON.parse(${JSON.stringify(text)});`;
+  if (/\.(js|jsx|mjs|cjs)$/i.test(path)) return transformModule(text);
+  // Stylesheets, images and other assets import as their path
+  return `module.exports = ${JSON.stringify(path)};`;
+}
+
+/**
+ * Transforms every module reachable from the entries. Returns
+ * { modules: { path: code }, resolutions, errors }.
+ */
+function collectModules(files, entries) {
+  const modules = {};
+  const resolutions = { '<entry>': {} };
+  const errors = [];
+  const queue = [];
+  for (const entry of entries) {
+    resolutions['<entry>'][entry] = entry;
+    queue.push(entry);
+  }
+  while (queue.length) {
+    const path = queue.shift();
+    if (modules[path] !== undefined) continue;
+    try {
+      modules[path] = moduleSource(path, files[path]);
+    } catch (err) {
+      modules[path] = null;
+      errors.push({ phase: 'load', message: `${path}: ${err.message}`, stack: '', severity: 'error' });
+      continue;
+    }
+    resolutions[path] = {};
+    for (const spec of requiredSpecifiers(modules[path])) {
+      const resolved = resolvePath(path, spec, files);
+      if (resolved) {
+        resolutions[path][spec] = resolved;
+        queue.push(resolved);
+      }
+    }
+  }
+  return { modules, resolutions, errors };
+}
+
+// HTML entries: inline and local scripts run in order, remote ones are recorded
+function htmlEntries(path, html, files) {
+  const entries = [];
+  const remote = [];
+  let n = 0;
+  for (const m of html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi)) {
+    const src = /\bsrc\s*=\s*["']?([^"'\s>]+)/i.exec(m[1]);
+    if (src && /^(?:https?:)?\/\//i.test(src[1])) remote.push(src[1]);
+    else if (src) {
+      const resolved = resolvePath(path, src[1].startsWith('.') || src[1].startsWith('/') ? src[1] : `./${src[1]}`, files);
+      if (resolved) entries.push(resolved);
+    } else if (m[2].trim()) {
+      const inline = `${path}#script${++n}.js`;
+      files[inline] = m[2];
+      entries.push(inline);
+    }
+  }
+  const body = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html);
+  const markup = (body ? body[1] : html).replace(/<script\b[\s\S]*?<\/script\s*>/gi, '').trim();
+  return { entries, remote, markup };
+}
+
+// ── Run ──────────────────────────────────────────────────────
+// Promises the extension rejected and never handled (vm contexts share the
+// process's rejection tracking)
+const rejections = [];
+process.on('unhandledRejection', reason => {
+  const message = reason && reason.message ? `${reason.name || 'Error'}: ${reason.message}` : String(reason);
+  rejections.push({ message });
+});
+
+async function run({ files, manifest, declared, permissionApis, virtualMs }) {
+  // Without the flag Node never calls importModuleDynamically and rejects
+  // import() with a host error instead
+  if (!process.execArgv.includes('--experimental-vm-modules')) throw new Error('The smoke test needs --experimental-vm-modules');
+  const entry = manifest.main;
+  const isHtml = /\.html?$/i.test(entry);
+  let entries = [entry];
+  let staticSnapshot = null;
+  let remoteScripts = [];
+  if (isHtml) {
+    const html = htmlEntries(entry, files[entry], files);
+    entries = html.entries;
+    staticSnapshot = html.markup;
+    remoteScripts = html.remote;
+  }
+
+  const { modules, resolutions, errors } = collectModules(files, entries);
+  // The sandbox object becomes the context's global: a plain {} would come from
+  // the host realm, and globalThis.constructor.constructor would be the host's
+  // Function. With no prototype, every lookup it misses falls through to the
+  // context's own builtins.
+  const context = vm.createContext(Object.create(null), {
+    name: 'smoke-test',
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+  // import() rejects with an error of the context's own realm: without this
+  // callback Node rejects with a host error whose constructor chain leads
+  // back to the host's Function (and from there to process)
+  const ContextError = vm.runInContext('Error', context);
+  const options = {
+    timeout: STEP_TIMEOUT_MS,
+    importModuleDynamically() {
+      throw new ContextError('import() is not available in the smoke test');
+    },
+  };
+  const config = {
+    extId: String(manifest.id || manifest.name || 'extension'),
+    apiVersion: String(manifest.api_version || '1.0'),
+    type: manifest.type || 'sidebar',
+    declared, permissionApis, virtualMs, entries, resolutions,
+  };
+  vm.runInContext(`(${harness.toString()})(${JSON.stringify(config)});`, context, options);
+
+  const state = { timed_out: false, host_errors: [...errors] };
+  const step = name => {
+    try {
+      return vm.runInContext(`__flipSmoke.step(${JSON.stringify(name)})`, context, options);
+    } catch (err) {
+      if (err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        state.timed_out = true;
+        state.host_errors.push({ phase: name, message: `Still running after ${STEP_TIMEOUT_MS}ms (infinite loop?)`, stack: '', severity: 'error' });
+      } else {
+        state.host_errors.push({ phase: name, message: String(err && err.message), stack: '', severity: 'error' });
+      }
+      return false;
+    }
+  };
+  const post = async () => {
+    // Let the event loop report rejections from the last phase
+    await new Promise(resolve => setImmediate(resolve));
+    for (const r of rejections.splice(0)) {
+      vm.runInContext(`__flipSmoke.fail('promise', ${JSON.stringify(r.message)})`, context, options);
+    }
+    const report = JSON.parse(step('report') || '{}');
+    report.errors = [...state.host_errors, ...(report.errors || [])];
+    for (const url of remoteScripts) report.network.unshift({ via: '<script src>', url, method: 'GET', allowed: false });
+    if (isHtml && !report.snapshot) report.snapshot = staticSnapshot;
+    report.timed_out = state.timed_out;
+    await send(report);
+  };
+
+  // Compile each module as a factory registered inside the context
+  for (const [path, code] of Object.entries(modules)) {
+    if (code === null) continue;
+    try {
+      const wrapped = `__flipSmoke.define(${JSON.stringify(path)}, function (require, module, exports, __default) {\n${code}\n});`;
+      new vm.Script(wrapped, { filename: path, lineOffset: -1, importModuleDynamically: options.importModuleDynamically })
+        .runInContext(context, options);
+    } catch (err) {
+      state.host_errors.push({ phase: 'load', message: `${path}: ${err.message}`, stack: '', severity: 'error' });
+    }
+  }
+  await post();
+
+  step('load');
+  await post();
+  for (let i = 0; i < MAX_TIMER_STEPS && !state.timed_out; i++) {
+    if (!step('tick')) break;
+  }
+  await post();
+}
+
+function send(report) {
+  return new Promise(resolve => process.send(JSON.stringify(report), () => resolve()));
+}
+
+// The parent sends the package once; the process exits after the last report
+process.once('message', data => {
+  run(data)
+    .catch(err => send({ errors: [{ phase: 'harness', message: String(err && err.message), stack: '', severity: 'error' }] }))
+    .finally(() => process.disconnect());
+});
@@ -0,0 +1,141 @@
+/**
+ * Automated smoke test of submitted extensions.
+ * Loads the manifest's `main` entry (JSX, JS or HTML) headlessly in a child
+ * process (lib/smoke-worker.js) against a mock Flip SDK gated by the declared
+ * permissions, for a bounded time, and records render errors, exceptions,
+ * attempted network calls, storage writes and undeclared API calls plus a
+ * render snapshot for the reviewer.
+ *
+ * The vm context is what keeps extension code away from the worker's
+ * require and process (see lib/smoke-worker.js); the child process only
+ * limits the damage if that ever fails. It has no environment (so no
+ * secrets), capped memory and is killed on timeout, and where Node has a
+ * permission model (20+) it can only read lib/ and cannot write, spawn
+ * processes or workers or load addons. Network access is NOT restricted, so
+ * an escape from the context could still reach the network. The report is
+ * advisory — it never blocks a submission.
+ */
+
+const path = require('path');
+const { fork } = require('child_process');
+const { PERMISSION_APIS } = require('./validate');
+
+const TIMEOUT_MS = parseInt(process.env.SMOKE_TEST_TIMEOUT_MS, 10) || 5000;
+// Virtual time the extension's timers may advance before the run stops
+const VIRTUAL_MS = 10000;
+
+const SMOKE_EXTS = ['.js', '.jsx', '.mjs', '.cjs', '.json', '.html', '.htm'];
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 5 * 1024 * 1024;
+const MAX_SNAPSHOT = 100 * 1024;
+
+// Node 20 only knows the experimental spelling; Node 18 has no permission model
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+const CHILD_ARGV = [
+  ...(PERMISSION_FLAG ? [PERMISSION_FLAG, `--allow-fs-read=${__dirname}${path.sep}`] : []),
+  // Needed for the worker's import() hook to be called at all (see smoke-worker.js)
+  '--experimental-vm-modules',
+  '--max-old-space-size=128',
+  '--max-semi-space-size=16',
+];
+
+function skipped(manifest, note, startedAt) {
+  return finalize({ entry: manifest.main || null, notes: [note] }, startedAt, 'skipped');
+}
+
+function finalize(report, startedAt, forced) {
+  const result = {
+    entry: report.entry || null,
+    ran_at: new Date(startedAt).toISOString(),
+    duration_ms: Date.now() - startedAt,
+    errors: report.errors || [],
+    network: report.network || [],
+    storage_writes: report.storage || [],
+    undeclared_calls: report.undeclared || [],
+    api_calls: report.calls || {},
+    console: report.console || [],
+    snapshot: report.snapshot ? String(report.snapshot).slice(0, MAX_SNAPSHOT) : null,
+    snapshot_source: report.mounted ? 'render' : report.snapshot ? 'html' : null,
+    virtual_ms: report.virtual_ms || 0,
+    timed_out: !!report.timed_out,
+    notes: report.notes || [],
+  };
+  if (forced) result.status = forced;
+  else if (result.timed_out || result.errors.some(e => e.severity === 'error')) result.status = 'failed';
+  else if (result.errors.length || result.undeclared_calls.length || result.network.some(n => !n.allowed)) result.status = 'warning';
+  else result.status = 'passed';
+  return result;
+}
+
+/**
+ * Runs the smoke test for a package.
+ * `files` is the inventory from parseZipContents (path + read()).
+ * Never rejects: problems with the harness itself end up in the report.
+ */
+async function runSmokeTest(files, manifest = {}, { timeoutMs = TIMEOUT_MS } = {}) {
+  const startedAt = Date.now();
+  const entry = manifest.main;
+  if (!entry) return skipped(manifest, 'The manifest has no "main" entry', startedAt);
+  if (/\.tsx?$/i.test(entry)) return skipped(manifest, 'TypeScript entries are not run; only static analysis applies', startedAt);
+
+  const sources = {};
+  let total = 0;
+  const notes = [];
+  for (const file of files) {
+    if (!SMOKE_EXTS.includes(path.extname(file.path).toLowerCase())) continue;
+    if (file.uncompressed_size > MAX_FILE_SIZE || total + file.uncompressed_size > MAX_TOTAL_SIZE) {
+      notes.push(`${file.path} was too large to load`);
+      continue;
+    }
+    try {
+      sources[file.path] = file.read().toString('utf-8');
+      total += file.uncompressed_size;
+    } catch (e) {
+      notes.push(`${file.path} could not be read: ${e.message}`);
+    }
+  }
+  if (sources[entry] === undefined) return skipped(manifest, `Entry ${entry} was not found or could not be loaded`, startedAt);
+
+  const declared = Array.isArray(manifest.permissions) ? manifest.permissions : [];
+  return new Promise(resolve => {
+    let latest = {};
+    let done = false;
+    const child = fork(path.join(__dirname, 'smoke-worker.js'), [], {
+      env: {},
+      execArgv: CHILD_ARGV,
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+      serialization: 'json',
+    });
+    const finish = extra => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      const report = { ...latest, ...extra, entry };
+      report.errors = [...(latest.errors || []), ...(extra.errors || [])];
+      report.notes = [...notes, ...(extra.notes || [])];
+      resolve(finalize(report, startedAt));
+    };
+    const harnessError = message => ({ errors: [{ phase: 'harness', message, stack: '', severity: 'error' }] });
+    const timer = setTimeout(() => finish({
+      timed_out: true,
+      errors: [{ phase: 'timeout', message: `Did not finish within ${timeoutMs}ms`, stack: '', severity: 'error' }],
+    }), timeoutMs);
+
+    // Each message is the full report so far; keep the latest
+    child.on('message', message => {
+      try { latest = JSON.parse(message); } catch (e) { /* ignore malformed reports */ }
+    });
+    child.on('error', err => finish(harnessError(String(err.message))));
+    child.on('exit', (code, signal) => {
+      // V8 aborts the process when it hits the heap limit
+      if (signal === 'SIGABRT' || code === 134) finish(harnessError('Ran out of memory'));
+      else if (code !== 0) finish(harnessError(`The test process exited unexpectedly (${signal || `code ${code}`})`));
+      else finish({});
+    });
+    child.send({ files: sources, manifest, declared, permissionApis: PERMISSION_APIS, virtualMs: VIRTUAL_MS });
+  });
+}
+
+module.exports = { runSmokeTest, TIMEOUT_MS };
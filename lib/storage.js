@@ -0,0 +1,170 @@
+/**
+ * Package storage behind one interface, with Vercel Blob and local-filesystem
+ * backends (STORAGE_BACKEND; Blob when BLOB_READ_WRITE_TOKEN is set).
+ *
+ * Objects are 'private' or 'public'. Public objects have a permanent URL;
+ * private ones are only handed out as signed, expiring portal links, which
+ * the portal serves itself (GET /storage/signed). Vercel Blob has no private
+ * access level, so private blobs live under an unguessable random pathname
+ * that is never shown to anyone — anyone who learns the URL can still fetch
+ * it. Only the local backend actually access-controls private objects.
+ *
+ * Callers keep the location put() returns. Locations say which backend holds
+ * them (a blob URL, or local://<access>/<key>), so rows written before
+ * switching backends stay readable.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { put, copy, del } = require('@vercel/blob');
+
+const BACKEND = process.env.STORAGE_BACKEND || (process.env.BLOB_READ_WRITE_TOKEN ? 'blob' : 'local');
+const LOCAL_DIR = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage'));
+const SIGNING_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 15 * 60;
+// Days a rejected, withdrawn or superseded build is kept before its package is deleted
+const RETENTION_DAYS = parseInt(process.env.PACKAGE_RETENTION_DAYS, 10) || 30;
+
+const LOCAL_PREFIX = 'local://';
+const ACCESS_LEVELS = ['private', 'public'];
+
+// ── Vercel Blob ──────────────────────────────────────────────
+function blobPathname(key, access) {
+  return access === 'private' ? `private/${key}` : key;
+}
+
+const blobBackend = {
+  async put(key, body, { access, contentType }) {
+    const blob = await put(blobPathname(key, access), body, { access: 'public', contentType, addRandomSuffix: true });
+    return blob.url;
+  },
+  async get(location) {
+    const resp = await fetch(location, { signal: AbortSignal.timeout(30000) });
+    if (!resp.ok) throw new Error(`Storage download failed (${resp.status})`);
+    return Buffer.from(await resp.arrayBuffer());
+  },
+  // Copy within the store, then drop the original
+  async move(location, key, access) {
+    const blob = await copy(location, blobPathname(key, access), { access: 'public', addRandomSuffix: true });
+    await del(location);
+    return blob.url;
+  },
+  async remove(location) {
+    await del(location);
+  },
+  accessOf(location) {
+    return new URL(location).pathname.startsWith('/private/') ? 'private' : 'public';
+  },
+  publicUrl(location) {
+    return location;
+  },
+};
+
+// ── Local filesystem ─────────────────────────────────────────
+// local://<access>/<key> lives at STORAGE_DIR/<access>/<key>
+function localFile(location) {
+  const relative = location.slice(LOCAL_PREFIX.length);
+  const access = relative.split('/')[0];
+  const file = path.resolve(LOCAL_DIR, relative);
+  // The file must stay inside its own access level's directory (no ../ into private/)
+  if (!ACCESS_LEVELS.includes(access) || !file.startsWith(path.join(LOCAL_DIR, access) + path.sep)) {
+    throw new Error('Invalid storage location');
+  }
+  return file;
+}
+
+const localBackend = {
+  async put(key, body, { access }) {
+    const location = `${LOCAL_PREFIX}${access}/${key}`;
+    const file = localFile(location);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, body);
+    return location;
+  },
+  async get(location) {
+    return fs.promises.readFile(localFile(location));
+  },
+  async move(location, key, access) {
+    const target = `${LOCAL_PREFIX}${access}/${key}`;
+    await fs.promises.mkdir(path.dirname(localFile(target)), { recursive: true });
+    await fs.promises.rename(localFile(location), localFile(target));
+    return target;
+  },
+  async remove(location) {
+    await fs.promises.rm(localFile(location), { force: true });
+  },
+  accessOf(location) {
+    return location.slice(LOCAL_PREFIX.length).split('/')[0];
+  },
+  // Served by the portal (GET /storage/public/*)
+  publicUrl(location) {
+    return `/storage/${location.slice(LOCAL_PREFIX.length)}`;
+  },
+};
+
+const BACKENDS = { blob: blobBackend, local: localBackend };
+
+function backendFor(location) {
+  if (typeof location !== 'string' || !location) throw new Error('No storage location');
+  return location.startsWith(LOCAL_PREFIX) ? localBackend : blobBackend;
+}
+
+// ── Interface ────────────────────────────────────────────────
+// Stores `body` under `key` with the configured backend; returns its location
+async function putObject(key, body, { access = 'private', contentType = 'application/octet-stream' } = {}) {
+  if (!ACCESS_LEVELS.includes(access)) throw new Error(`Unknown access level: ${access}`);
+  const backend = BACKENDS[BACKEND];
+  if (!backend) throw new Error(`Unknown STORAGE_BACKEND: ${BACKEND}`);
+  return backend.put(key, body, { access, contentType });
+}
+
+async function getObject(location) {
+  return backendFor(location).get(location);
+}
+
+// Moves an object to `key` at another access level (same backend); returns the new location
+async function moveObject(location, key, access) {
+  if (!ACCESS_LEVELS.includes(access)) throw new Error(`Unknown access level: ${access}`);
+  return backendFor(location).move(location, key, access);
+}
+
+async function removeObject(location) {
+  return backendFor(location).remove(location);
+}
+
+function accessOf(location) {
+  return backendFor(location).accessOf(location);
+}
+
+// Permanent URL of a public object (absolute, or a portal path); null for private ones
+function publicUrl(location) {
+  return accessOf(location) === 'public' ? backendFor(location).publicUrl(location) : null;
+}
+
+// ── Signed links ─────────────────────────────────────────────
+function linkSignature(location, filename, expires) {
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(`${location}\n${filename}\n${expires}`).digest('base64url');
+}
+
+// Portal path that serves the object as `filename` until the link expires
+function signedUrl(location, { filename = path.basename(location), ttlSeconds = SIGNED_URL_TTL_SECONDS } = {}) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const params = new URLSearchParams({ location, filename, expires: String(expires) });
+  params.set('signature', linkSignature(location, filename, expires));
+  return `/storage/signed?${params}`;
+}
+
+// Checks a signed link's query; true if it is genuine and unexpired
+function verifySignedUrl({ location, filename, expires, signature } = {}) {
+  if (typeof location !== 'string' || typeof filename !== 'string' || typeof signature !== 'string') return false;
+  if (!/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return false;
+  const expected = Buffer.from(linkSignature(location, filename, Number(expires)));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+module.exports = {
+  putObject, getObject, moveObject, removeObject, accessOf, publicUrl, signedUrl, verifySignedUrl,
+  BACKEND, RETENTION_DAYS,
+};
@@ -0,0 +1,159 @@
+/**
+ * Install telemetry from the Flip browser and per-extension analytics.
+ * The browser reports install / uninstall / update-check events with a random
+ * per-install id; only a hash of that id is stored and nothing about the
+ * user, their IP or their browser is kept. Raw events are rolled up into
+ * extension_daily_stats by the telemetry cron and pruned after
+ * TELEMETRY_RETENTION_DAYS.
+ */
+
+const crypto = require('crypto');
+const db = require('./db');
+const { EXT_ID_PATTERN } = require('./validate');
+
+const RETENTION_DAYS = parseInt(process.env.TELEMETRY_RETENTION_DAYS, 10) || 90;
+// An install counts as active while the browser keeps checking for updates
+const ACTIVE_DAYS = 30;
+
+const RANGES = [7, 30, 90];
+
+const INSTALL_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const API_VERSION_PATTERN = /^\d+\.\d+$/;
+
+function field(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// Install ids are generated by the browser; we only ever keep a hash
+function installHash(installId) {
+  return crypto.createHash('sha256').update(installId).digest('hex');
+}
+
+/**
+ * Validates an install / uninstall / update-check report.
+ * `version` is required except for uninstalls (the extension may already be gone).
+ */
+function validateEvent(fields = {}, { requireVersion = true } = {}) {
+  const errors = [];
+  const installId = field(fields.install_id);
+  const extId = field(fields.ext_id);
+  const version = field(fields.version);
+  const apiVersion = field(fields.api_version);
+  if (!INSTALL_ID_PATTERN.test(installId)) errors.push('install_id must be 16-64 letters, digits or dashes');
+  if (!EXT_ID_PATTERN.test(extId)) errors.push('Invalid ext_id');
+  if ((requireVersion || version) && !VERSION_PATTERN.test(version)) errors.push('version must be x.y.z');
+  if (apiVersion && !API_VERSION_PATTERN.test(apiVersion)) errors.push('api_version must be x.y');
+  return {
+    valid: errors.length === 0,
+    errors,
+    value: { install_hash: installHash(installId), ext_id: extId, version: version || null, api_version: apiVersion || null },
+  };
+}
+
+// ── Recording ────────────────────────────────────────────────
+async function recordInstall(event) {
+  await db.upsertExtensionInstall(event);
+  await db.addTelemetryEvent({ ...event, event: 'install' });
+}
+
+async function recordUninstall(event) {
+  await db.markExtensionUninstalled(event.ext_id, event.install_hash);
+  await db.addTelemetryEvent({ ...event, event: 'uninstall' });
+}
+
+// An update check also proves the install is alive and which version it runs
+async function recordUpdateCheck(event) {
+  await db.upsertExtensionInstall(event);
+  await db.addTelemetryEvent({ ...event, event: 'update_check' });
+}
+
+// Download telemetry has no install id: the zip is fetched before anything is installed
+async function recordDownload(extId, version) {
+  await db.addTelemetryEvent({ ext_id: extId, version, event: 'download' });
+}
+
+// Whether the browser install with this (raw) id currently has the extension installed
+async function isInstalled(extId, installId) {
+  if (!INSTALL_ID_PATTERN.test(field(installId))) return false;
+  return db.isExtensionInstalled(extId, installHash(field(installId)));
+}
+
+// ── Aggregation ──────────────────────────────────────────────
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Rolls raw events up into daily rows for yesterday and today (re-running is
+ * harmless: rows are recomputed, not incremented), snapshots active installs
+ * for today and prunes expired raw events. Called from the cron endpoint.
+ */
+async function aggregate(now = new Date()) {
+  const today = utcDay(now);
+  const yesterday = utcDay(new Date(now.getTime() - 86400000));
+  const rows = (await db.aggregateTelemetryDay(yesterday)) + (await db.aggregateTelemetryDay(today));
+  const active = await db.snapshotActiveInstalls(today, ACTIVE_DAYS);
+  const pruned = await db.pruneTelemetryEvents(RETENTION_DAYS);
+  return { days: [yesterday, today], rows, active, pruned };
+}
+
+// ── Reporting ────────────────────────────────────────────────
+function parseRange(value) {
+  const days = parseInt(value, 10);
+  return RANGES.includes(days) ? days : 30;
+}
+
+/**
+ * Analytics for one extension over the last `days` days: a gap-free daily
+ * series plus totals, the current version spread and checkout conversion.
+ */
+async function getExtensionAnalytics(extId, days = 30, now = new Date()) {
+  const from = utcDay(new Date(now.getTime() - (days - 1) * 86400000));
+  const rows = await db.getDailyStats(extId, from);
+  const byDay = new Map(rows.map(r => [r.day, r]));
+
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = utcDay(new Date(now.getTime() - i * 86400000));
+    const r = byDay.get(day) || {};
+    series.push({
+      day,
+      installs: r.installs || 0,
+      uninstalls: r.uninstalls || 0,
+      update_checks: r.update_checks || 0,
+      downloads: r.downloads || 0,
+      checkouts: r.checkouts || 0,
+      purchases: r.purchases || 0,
+      active_installs: r.active_installs || 0,
+    });
+  }
+
+  const totals = {};
+  for (const key of ['installs', 'uninstalls', 'downloads', 'checkouts', 'purchases']) {
+    totals[key] = series.reduce((sum, d) => sum + d[key], 0);
+  }
+
+  // Headline numbers come from the latest snapshot (today's row appears with the first cron run)
+  const latest = rows[rows.length - 1];
+  const versionCounts = Object.entries((latest && latest.versions) || {});
+  const versionTotal = versionCounts.reduce((sum, [, n]) => sum + n, 0);
+  const versions = versionCounts
+    .map(([version, count]) => ({ version, count, share: versionTotal ? count / versionTotal : 0 }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    days,
+    series,
+    totals,
+    active_installs: latest ? latest.active_installs : 0,
+    versions,
+    conversion: totals.checkouts ? totals.purchases / totals.checkouts : null,
+  };
+}
+
+module.exports = {
+  RANGES, ACTIVE_DAYS, RETENTION_DAYS,
+  validateEvent, installHash, recordInstall, recordUninstall, recordUpdateCheck, recordDownload, isInstalled,
+  aggregate, parseRange, getExtensionAnalytics,
+};
@@ -0,0 +1,135 @@
+/**
+ * Direct-to-storage uploads for the submit form. The browser sends the zip
+ * straight to Vercel Blob with a client upload token (or, with the local
+ * storage backend, to a signed local-disk URL) instead of through the
+ * function body, and the build is processed from storage afterwards.
+ * Size limits depend on the category and, once the manifest is read, the
+ * extension type.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const storage = require('./storage');
+
+const MB = 1024 * 1024;
+const DEFAULT_MAX_BYTES = (parseInt(process.env.UPLOAD_MAX_MB, 10) || 20) * MB;
+const USE_BLOB = storage.BACKEND === 'blob';
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'flip-uploads');
+
+// Asset-heavy categories get more room; the unpacked size is capped separately (lib/validate)
+const CATEGORY_MAX_BYTES = {
+  media: 50 * MB,
+  games: 50 * MB,
+};
+// Background extensions ship no UI assets
+const TYPE_MAX_BYTES = {
+  background: 5 * MB,
+};
+// Multipart uploads (the no-JS form fallback and the API) are buffered in the
+// function's memory, so they keep the original cap; bigger builds upload directly
+const MAX_BUFFERED_UPLOAD_BYTES = 10 * MB;
+
+// How long a started upload may take before it is expired
+const UPLOAD_TTL_MINUTES = 60;
+
+function maxUploadBytes({ category, type } = {}) {
+  const limits = [CATEGORY_MAX_BYTES[category] || DEFAULT_MAX_BYTES];
+  if (TYPE_MAX_BYTES[type]) limits.push(TYPE_MAX_BYTES[type]);
+  return Math.min(...limits);
+}
+
+// Per-category limits for the submit form
+function categoryLimits(categories) {
+  return Object.fromEntries(categories.map(category => [category, maxUploadBytes({ category })]));
+}
+
+function formatBytes(bytes) {
+  return `${Math.round(bytes / MB * 10) / 10}MB`;
+}
+
+// ── Storage locations ────────────────────────────────────────
+// Blob pathname for an upload; the client token is only issued for exactly this path
+function uploadPathname(upload) {
+  const name = upload.file_name.replace(/[^A-Za-z0-9._-]/g, '_');
+  return `uploads/${upload.id}/${name}`;
+}
+
+// Hostname of this deployment's Blob store; the read-write token is vercel_blob_rw_<storeId>_<secret>
+function blobStoreHost() {
+  const storeId = (process.env.BLOB_READ_WRITE_TOKEN || '').split('_')[3];
+  return storeId ? `${storeId.toLowerCase()}.public.blob.vercel-storage.com` : null;
+}
+
+// A blob URL reported by the browser must be in our store, under the upload's path
+function isUploadBlobUrl(upload, url) {
+  try {
+    const parsed = new URL(url);
+    const host = blobStoreHost();
+    return parsed.protocol === 'https:' && !!host && parsed.hostname === host &&
+      parsed.pathname.startsWith(`/uploads/${upload.id}/`);
+  } catch {
+    return false;
+  }
+}
+
+function localPath(upload) {
+  return path.join(UPLOAD_DIR, `${upload.id}.zip`);
+}
+
+/**
+ * Streams a local (dev) upload to disk, stopping at the upload's size limit.
+ * Resolves { ok: true, bytes } or { ok: false, reason: 'too_large' | 'incomplete' },
+ * where incomplete means the body ended short of the declared size.
+ */
+async function saveLocalUpload(upload, stream) {
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  const file = localPath(upload);
+  const maxBytes = Number(upload.max_bytes);
+  let bytes = 0;
+  // Counts every byte but stops writing past the limit (the rest of the body is drained)
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(null, bytes <= maxBytes ? chunk : null);
+    },
+  });
+
+  let aborted = false;
+  try {
+    await pipeline(stream, counter, fs.createWriteStream(file));
+  } catch (err) {
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw err;
+    aborted = true;
+  }
+
+  if (bytes > maxBytes || aborted || bytes !== Number(upload.size_bytes)) {
+    await fs.promises.rm(file, { force: true });
+    return { ok: false, reason: bytes > maxBytes ? 'too_large' : 'incomplete', bytes };
+  }
+  return { ok: true, bytes };
+}
+
+// Reads an uploaded zip back from storage
+async function readUploadedFile(upload) {
+  if (upload.storage === 'local') return fs.promises.readFile(localPath(upload));
+  if (!upload.blob_url) throw new Error('Upload has no stored file');
+  return storage.getObject(upload.blob_url);
+}
+
+// Deletes the uploaded zip once it has been processed or abandoned; never throws
+async function removeUploadedFile(upload) {
+  try {
+    if (upload.storage === 'local') await fs.promises.rm(localPath(upload), { force: true });
+    else if (upload.blob_url) await storage.removeObject(upload.blob_url);
+  } catch (err) {
+    console.error(`[Uploads] Could not delete upload ${upload.id}:`, err);
+  }
+}
+
+module.exports = {
+  maxUploadBytes, categoryLimits, formatBytes, uploadPathname, isUploadBlobUrl, saveLocalUpload, readUploadedFile, removeUploadedFile,
+  USE_BLOB, MAX_BUFFERED_UPLOAD_BYTES, UPLOAD_TTL_MINUTES,
+};
@@ -8,6 +8,50 @@ const ALLOWED_PERMISSIONS = [
   'popups', 'cross_storage', 'cross_storage_write'
 ];
 
+// Flip SDK namespaces/calls each permission unlocks (matched as call prefixes)
+const PERMISSION_APIS = {
+  storage: ['Flip.storage'],
+  network: ['Flip.net'],
+  tabs: ['Flip.tabs'],
+  ai: ['Flip.ai'],
+  music: ['Flip.music'],
+  popups: ['Flip.popups'],
+  cross_storage: ['Flip.crossStorage.get', 'Flip.crossStorage.list'],
+  cross_storage_write: ['Flip.crossStorage.set', 'Flip.crossStorage.remove'],
+};
+
+// What each permission lets an extension do, worded for people installing it
+const PERMISSION_DESCRIPTIONS = {
+  storage: 'Save its own settings and data on your device',
+  network: 'Connect to websites and online services on its own',
+  tabs: 'Open new browser tabs',
+  ai: 'Send prompts to the Flip AI assistant',
+  music: 'Control the built-in music player',
+  popups: 'Show popup windows',
+  cross_storage: 'Read data that other extensions have shared',
+  cross_storage_write: 'Change data that other extensions have shared',
+};
+
+// Relative risk of each permission, used to score permission requests
+const PERMISSION_RISK = {
+  storage: 2,
+  music: 2,
+  popups: 5,
+  ai: 5,
+  tabs: 10,
+  cross_storage: 10,
+  network: 15,
+  cross_storage_write: 25,
+};
+
+// Returns the permission a Flip SDK call needs, or null if it needs none
+function permissionForApi(call) {
+  for (const [perm, prefixes] of Object.entries(PERMISSION_APIS)) {
+    if (prefixes.some(p => call === p || call.startsWith(p + '.'))) return perm;
+  }
+  return null;
+}
+
 const ALLOWED_CATEGORIES = [
   'productivity', 'utilities', 'developer', 'media',
   'social', 'crypto', 'games', 'security'
@@ -15,52 +59,204 @@ const ALLOWED_CATEGORIES = [
 
 const ALLOWED_TYPES = ['sidebar', 'popup', 'background'];
 
+// Listing extras: screenshots are image paths inside the package
+const MAX_SCREENSHOTS = 6;
+const SCREENSHOT_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp', '.gif': 'image/gif' };
+const MAX_CHANGELOG_LENGTH = 2000;
+
+const MAX_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 300;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const API_VERSION_PATTERN = /^\d+\.\d+$/;
+
+// Flip SDK versions with a published manifest schema (lib/manifest-schema.js), oldest first
+const API_VERSIONS = ['1.0'];
+
+// Stable extension id (manifest "id", or derived from the name)
+const EXT_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,48}[a-z0-9])$/;
+
+// Archive limits — reviewers unpack these blobs on their own machines
+const MAX_ARCHIVE_ENTRIES = 500;
+const MAX_UNPACKED_SIZE = 50 * 1024 * 1024; // 50MB
+const MAX_COMPRESSION_RATIO = 100;
+const RATIO_CHECK_MIN_SIZE = 64 * 1024; // tiny files compress wildly, ignore them
+
+const NESTED_ARCHIVE_EXTS = ['.zip', '.jar', '.xpi', '.crx', '.tar', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar'];
+const ARCHIVE_MAGIC = [
+  Buffer.from([0x50, 0x4b, 0x03, 0x04]),             // zip
+  Buffer.from([0x1f, 0x8b]),                         // gzip
+  Buffer.from([0x42, 0x5a, 0x68]),                   // bzip2
+  Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]), // xz
+  Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), // 7z
+  Buffer.from('Rar!'),                               // rar
+];
+
+// Collects problems with a stable code and the path they refer to (a zip entry,
+// or manifest.json#/pointer) for the CLI and CI; `errors` / `warnings` keep the
+// plain messages the portal shows
+function issueCollector() {
+  const issues = { errors: [], warnings: [] };
+  return {
+    error: (code, path, message) => { issues.errors.push({ code, path, message }); },
+    warning: (code, path, message) => { issues.warnings.push({ code, path, message }); },
+    result: () => ({
+      valid: issues.errors.length === 0,
+      errors: issues.errors.map(i => i.message),
+      warnings: issues.warnings.map(i => i.message),
+      issues,
+    }),
+  };
+}
+
+const manifestPath = pointer => `manifest.json#/${pointer}`;
+
 function validateManifest(manifest) {
-  const errors = [];
-  const warnings = [];
+  const { error, warning, result } = issueCollector();
 
   // Required fields
-  if (!manifest.name || typeof manifest.name !== 'string') errors.push('Missing or invalid "name" field');
-  if (!manifest.version || !/^\d+\.\d+\.\d+$/.test(manifest.version)) errors.push('Missing or invalid "version" (must be semver x.y.z)');
-  if (!manifest.description || typeof manifest.description !== 'string') errors.push('Missing or invalid "description" field');
-  if (!manifest.author || typeof manifest.author !== 'string') errors.push('Missing or invalid "author" field');
-  if (!manifest.main || typeof manifest.main !== 'string') errors.push('Missing or invalid "main" entry file');
+  const requireString = (field, message, pattern) => {
+    const value = manifest[field];
+    if (value === undefined || value === null || value === '') error('required', manifestPath(field), message);
+    else if (typeof value !== 'string') error('invalid_type', manifestPath(field), message);
+    else if (pattern && !pattern.test(value)) error('invalid_format', manifestPath(field), message);
+  };
+  requireString('name', 'Missing or invalid "name" field');
+  requireString('version', 'Missing or invalid "version" (must be semver x.y.z)', VERSION_PATTERN);
+  requireString('description', 'Missing or invalid "description" field');
+  requireString('author', 'Missing or invalid "author" field');
+  requireString('main', 'Missing or invalid "main" entry file');
 
   // Optional but validated
+  if (manifest.id !== undefined && (typeof manifest.id !== 'string' || !EXT_ID_PATTERN.test(manifest.id))) {
+    error('invalid_format', manifestPath('id'), 'Invalid "id": use 3-50 lowercase letters, digits or dashes (e.g. "my-extension")');
+  } else if (manifest.id === undefined && typeof manifest.name === 'string' && manifest.name && !extIdFor(manifest)) {
+    error('invalid_format', manifestPath('id'), 'The "name" does not make a valid id: add an "id" of 3-50 lowercase letters, digits or dashes (e.g. "my-extension")');
+  }
   if (manifest.type && !ALLOWED_TYPES.includes(manifest.type)) {
-    errors.push(`Invalid "type": ${manifest.type}. Must be one of: ${ALLOWED_TYPES.join(', ')}`);
+    error('invalid_value', manifestPath('type'), `Invalid "type": ${manifest.type}. Must be one of: ${ALLOWED_TYPES.join(', ')}`);
+  }
+  if (manifest.api_version !== undefined) {
+    if (typeof manifest.api_version !== 'string' || !API_VERSION_PATTERN.test(manifest.api_version)) {
+      error('invalid_format', manifestPath('api_version'), 'Invalid "api_version" (must be x.y, e.g. "1.0")');
+    } else if (!API_VERSIONS.includes(manifest.api_version)) {
+      warning('unknown_api_version', manifestPath('api_version'), `Unknown api_version ${manifest.api_version}; checked against the ${API_VERSIONS[API_VERSIONS.length - 1]} rules`);
+    }
   }
 
   if (manifest.permissions) {
     if (!Array.isArray(manifest.permissions)) {
-      errors.push('"permissions" must be an array');
+      error('invalid_type', manifestPath('permissions'), '"permissions" must be an array');
     } else {
-      const unknown = manifest.permissions.filter(p => !ALLOWED_PERMISSIONS.includes(p));
-      if (unknown.length) errors.push(`Unknown permissions: ${unknown.join(', ')}`);
+      manifest.permissions.forEach((p, i) => {
+        if (!ALLOWED_PERMISSIONS.includes(p)) error('unknown_permission', manifestPath(`permissions/${i}`), `Unknown permission: ${p}`);
+      });
 
       // Security warnings
-      if (manifest.permissions.includes('network')) warnings.push('Extension requests NETWORK access — can make external HTTP requests');
-      if (manifest.permissions.includes('cross_storage_write')) warnings.push('Extension requests CROSS_STORAGE_WRITE — can write to other extensions\' storage');
-      if (manifest.permissions.includes('tabs')) warnings.push('Extension requests TABS access — can open new browser tabs');
+      const at = perm => manifestPath(`permissions/${manifest.permissions.indexOf(perm)}`);
+      if (manifest.permissions.includes('network')) warning('sensitive_permission', at('network'), 'Extension requests NETWORK access — can make external HTTP requests');
+      if (manifest.permissions.includes('cross_storage_write')) warning('sensitive_permission', at('cross_storage_write'), 'Extension requests CROSS_STORAGE_WRITE — can write to other extensions\' storage');
+      if (manifest.permissions.includes('tabs')) warning('sensitive_permission', at('tabs'), 'Extension requests TABS access — can open new browser tabs');
     }
   }
 
+  if (manifest.screenshots !== undefined) {
+    if (!Array.isArray(manifest.screenshots) || manifest.screenshots.some(p => typeof p !== 'string')) {
+      error('invalid_type', manifestPath('screenshots'), '"screenshots" must be an array of file paths');
+    } else {
+      if (manifest.screenshots.length > MAX_SCREENSHOTS) error('too_many', manifestPath('screenshots'), `At most ${MAX_SCREENSHOTS} screenshots are allowed`);
+      manifest.screenshots.forEach((p, i) => {
+        if (!screenshotType(p)) error('invalid_screenshot_type', manifestPath(`screenshots/${i}`), `Screenshots must be ${Object.keys(SCREENSHOT_TYPES).join(', ')} images: ${p}`);
+      });
+    }
+  }
+  if (manifest.changelog !== undefined && typeof manifest.changelog !== 'string') error('invalid_type', manifestPath('changelog'), '"changelog" must be a string');
+  if (typeof manifest.changelog === 'string' && manifest.changelog.length > MAX_CHANGELOG_LENGTH) {
+    error('too_long', manifestPath('changelog'), `Changelog must be ${MAX_CHANGELOG_LENGTH} characters or less`);
+  }
+
   // Name length
-  if (manifest.name && manifest.name.length > 50) errors.push('Name must be 50 characters or less');
-  if (manifest.description && manifest.description.length > 300) errors.push('Description must be 300 characters or less');
+  if (typeof manifest.name === 'string' && manifest.name.length > MAX_NAME_LENGTH) error('too_long', manifestPath('name'), `Name must be ${MAX_NAME_LENGTH} characters or less`);
+  if (typeof manifest.description === 'string' && manifest.description.length > MAX_DESCRIPTION_LENGTH) {
+    error('too_long', manifestPath('description'), `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`);
+  }
+
+  return result();
+}
+
+// Content type of a screenshot path, or null if it isn't an allowed image
+function screenshotType(path) {
+  const ext = String(path).toLowerCase().match(/\.[a-z]+$/);
+  return (ext && SCREENSHOT_TYPES[ext[0]]) || null;
+}
+
+// Derives the registry id for a manifest: explicit "id" wins over the slugified name.
+// A name that doesn't slugify to a valid id (too short or long, no Latin letters) gives null.
+function extIdFor(manifest) {
+  if (typeof manifest.id === 'string' && manifest.id) return manifest.id;
+  const slug = String(manifest.name || 'ext').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+  return EXT_ID_PATTERN.test(slug) ? slug : null;
+}
+
+// Compares two x.y.z versions: negative if a < b, 0 if equal, positive if a > b
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
 
-  return { valid: errors.length === 0, errors, warnings };
+// A build runs on a browser with the same SDK major version and an equal or newer minor
+function isApiCompatible(extApiVersion, browserApiVersion) {
+  const [em, en] = String(extApiVersion || '1.0').split('.').map(Number);
+  const [bm, bn] = String(browserApiVersion).split('.').map(Number);
+  return em === bm && (en || 0) <= (bn || 0);
 }
 
-function validateFiles(fileList) {
+const PRICING_MODELS = ['free', 'one_time', 'monthly', 'yearly'];
+
+// Validates the pricing fields of a submission form; returns a normalized pricing object
+function validatePricing(fields) {
   const errors = [];
-  const warnings = [];
+  const model = fields.pricing_model || 'free';
+  if (!PRICING_MODELS.includes(model)) {
+    errors.push(`Invalid pricing model: ${model}. Must be one of: ${PRICING_MODELS.join(', ')}`);
+    return { valid: false, errors, pricing: null };
+  }
+  if (model === 'free') return { valid: true, errors, pricing: { model } };
+
+  const amount = Number(fields.price);
+  if (!Number.isFinite(amount) || amount < 0.99 || amount > 999.99) errors.push('Price must be between 0.99 and 999.99 USD');
+  const amountCents = Math.round(amount * 100);
+
+  let trialDays = 0;
+  if (fields.trial_days) {
+    trialDays = Number(fields.trial_days);
+    if (model === 'one_time') errors.push('Free trials are only available for subscriptions');
+    else if (!Number.isInteger(trialDays) || trialDays < 1 || trialDays > 90) errors.push('Trial must be 1-90 days');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    pricing: { model, amount_cents: amountCents, currency: 'usd', trial_days: trialDays },
+  };
+}
+
+function validateFiles(fileList, manifest = {}) {
+  const { error, warning, result } = issueCollector();
 
   const hasManifest = fileList.some(f => f === 'manifest.json' || f.endsWith('/manifest.json'));
-  if (!hasManifest) errors.push('Missing manifest.json in root of zip');
+  if (!hasManifest) error('missing_manifest', 'manifest.json', 'Missing manifest.json in root of zip');
+
+  for (const shot of Array.isArray(manifest.screenshots) ? manifest.screenshots : []) {
+    if (!fileList.includes(shot)) error('screenshot_not_found', shot, `Screenshot not found in zip: ${shot}`);
+  }
 
   const hasMain = fileList.some(f => f.endsWith('.jsx') || f.endsWith('.js') || f.endsWith('.html'));
-  if (!hasMain) errors.push('No entry file found (.jsx, .js, or .html)');
+  if (!hasMain) error('missing_entry', null, 'No entry file found (.jsx, .js, or .html)');
 
   // Security checks
   const suspicious = fileList.filter(f =>
@@ -68,12 +264,96 @@ function validateFiles(fileList) {
     f.endsWith('.cmd') || f.endsWith('.sh') || f.endsWith('.ps1') ||
     f.endsWith('.node') || f.endsWith('.wasm')
   );
-  if (suspicious.length) errors.push(`Forbidden file types found: ${suspicious.join(', ')}`);
+  for (const f of suspicious) error('forbidden_file_type', f, `Forbidden file type: ${f}`);
 
   // Size warnings
-  if (fileList.length > 50) warnings.push(`Large extension: ${fileList.length} files`);
+  if (fileList.length > 50) warning('many_files', null, `Large extension: ${fileList.length} files`);
+
+  return result();
+}
+
+// Archive-level safety checks, run on raw zip entries BEFORE anything is extracted
+function validateArchive(entries) {
+  const { error, result } = issueCollector();
+
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    error('too_many_entries', null, `Too many entries in archive (${entries.length}, max ${MAX_ARCHIVE_ENTRIES})`);
+    return result();
+  }
+
+  const seen = new Map();
+  let totalSize = 0;
+
+  for (const entry of entries) {
+    const name = entry.path;
+
+    // Path traversal / absolute paths
+    const normalized = name.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+      error('absolute_path', name, `Absolute path not allowed: ${name}`);
+    } else if (normalized.split('/').includes('..')) {
+      error('path_traversal', name, `Path traversal not allowed: ${name}`);
+    }
+    if (name.includes('\\')) error('backslash_path', name, `Backslash in path not allowed: ${name}`);
+    if (/[\x00-\x1f]/.test(name)) error('control_characters', name, `Control characters in path: ${JSON.stringify(name)}`);
+
+    // Symlinks (unix mode lives in the high 16 bits of the external attributes)
+    const madeByUnix = (entry.versionMadeBy >> 8) === 3;
+    if (madeByUnix && ((entry.externalAttrs >>> 16) & 0o170000) === 0o120000) {
+      error('symlink', name, `Symlink entries not allowed: ${name}`);
+    }
+
+    // Encryption (traditional PKWARE flag or AES method 99)
+    if (entry.encrypted || entry.method === 99) error('encrypted_entry', name, `Encrypted entry not allowed: ${name}`);
+    else if (entry.method !== 0 && entry.method !== 8) error('unsupported_compression', name, `Unsupported compression method in ${name}`);
+
+    if (entry.isDirectory) continue;
+
+    // Duplicates, including names that only differ in case
+    const key = normalized.toLowerCase();
+    if (seen.has(key)) {
+      if (seen.get(key) === name) error('duplicate_entry', name, `Duplicate entry: ${name}`);
+      else error('case_collision', name, `Entries differ only in case: ${seen.get(key)} / ${name}`);
+    } else {
+      seen.set(key, name);
+    }
+
+    // Zip bombs
+    totalSize += entry.uncompressedSize;
+    if (entry.uncompressedSize >= RATIO_CHECK_MIN_SIZE) {
+      const ratio = entry.uncompressedSize / Math.max(entry.compressedSize, 1);
+      if (ratio > MAX_COMPRESSION_RATIO) error('compression_ratio', name, `Suspicious compression ratio (${Math.round(ratio)}:1) in ${name}`);
+    }
+
+    // Nested archives by extension
+    if (NESTED_ARCHIVE_EXTS.some(ext => key.endsWith(ext))) error('nested_archive', name, `Nested archives not allowed: ${name}`);
+  }
+
+  if (totalSize > MAX_UNPACKED_SIZE) {
+    error('unpacked_too_large', null, `Unpacked size too large (${(totalSize / 1048576).toFixed(1)}MB, max ${MAX_UNPACKED_SIZE / 1048576}MB)`);
+  }
+
+  // Only sniff contents once sizes are known to be sane
+  if (result().valid) {
+    for (const entry of entries) {
+      if (entry.isDirectory) continue;
+      let head;
+      try { head = entry.read().subarray(0, 8); } catch (e) {
+        error('unreadable_entry', entry.path, `Unreadable entry ${entry.path}: ${e.message}`);
+        continue;
+      }
+      if (ARCHIVE_MAGIC.some(magic => head.subarray(0, magic.length).equals(magic))) {
+        error('nested_archive', entry.path, `Nested archives not allowed: ${entry.path}`);
+      }
+    }
+  }
 
-  return { valid: errors.length === 0, errors, warnings };
+  return result();
 }
 
-module.exports = { validateManifest, validateFiles, ALLOWED_PERMISSIONS, ALLOWED_CATEGORIES, ALLOWED_TYPES };
+module.exports = {
+  validateManifest, validateFiles, validateArchive, validatePricing, permissionForApi, screenshotType, extIdFor, compareVersions, isApiCompatible,
+  issueCollector,
+  ALLOWED_PERMISSIONS, PERMISSION_APIS, PERMISSION_DESCRIPTIONS, PERMISSION_RISK, ALLOWED_CATEGORIES, ALLOWED_TYPES, EXT_ID_PATTERN, PRICING_MODELS,
+  API_VERSIONS, VERSION_PATTERN, API_VERSION_PATTERN, MAX_NAME_LENGTH, MAX_DESCRIPTION_LENGTH, MAX_CHANGELOG_LENGTH, MAX_SCREENSHOTS, SCREENSHOT_TYPES,
+};
@@ -0,0 +1,185 @@
+/**
+ * Minimal zip reader (no external deps).
+ * Reads the central directory, supports stored + deflate entries, ZIP64
+ * archives and entries written with data descriptors.
+ */
+
+const zlib = require('zlib');
+
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_EOCD = 0x06054b50;
+const SIG_ZIP64_EOCD = 0x06064b50;
+const SIG_ZIP64_LOCATOR = 0x07064b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+// ── CRC-32 ───────────────────────────────────────────────────
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+function readUInt64LE(buffer, offset) {
+  const value = buffer.readBigUInt64LE(offset);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('Zip entry too large');
+  return Number(value);
+}
+
+function findEOCD(buffer) {
+  // EOCD is 22 bytes plus an optional comment of up to 65535 bytes
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === SIG_EOCD) return i;
+  }
+  return -1;
+}
+
+function readZip64Extra(extra, entry, needs) {
+  // ZIP64 extended info (header 0x0001) only holds the fields that overflowed, in fixed order
+  let pos = 0;
+  while (pos + 4 <= extra.length) {
+    const id = extra.readUInt16LE(pos);
+    const size = extra.readUInt16LE(pos + 2);
+    if (id === 0x0001) {
+      let p = pos + 4;
+      const end = p + size;
+      if (needs.uncompressed && p + 8 <= end) { entry.uncompressedSize = readUInt64LE(extra, p); p += 8; }
+      if (needs.compressed && p + 8 <= end) { entry.compressedSize = readUInt64LE(extra, p); p += 8; }
+      if (needs.offset && p + 8 <= end) { entry.localOffset = readUInt64LE(extra, p); p += 8; }
+      return;
+    }
+    pos += 4 + size;
+  }
+}
+
+// ── Reader ───────────────────────────────────────────────────
+/**
+ * Parses the central directory of a zip buffer.
+ * Returns { entries, comment } where each entry carries its path, sizes, CRC
+ * and a read() method that returns the decompressed contents.
+ */
+function readZip(buffer) {
+  const eocdOffset = findEOCD(buffer);
+  if (eocdOffset < 0) throw new Error('Invalid zip file');
+
+  let entryCount = buffer.readUInt16LE(eocdOffset + 10);
+  let cdSize = buffer.readUInt32LE(eocdOffset + 12);
+  let cdOffset = buffer.readUInt32LE(eocdOffset + 16);
+  const commentLen = buffer.readUInt16LE(eocdOffset + 20);
+  const comment = buffer.toString('utf-8', eocdOffset + 22, eocdOffset + 22 + commentLen);
+
+  // ZIP64: the locator sits directly before the classic EOCD
+  const locatorOffset = eocdOffset - 20;
+  if (locatorOffset >= 0 && buffer.readUInt32LE(locatorOffset) === SIG_ZIP64_LOCATOR) {
+    const zip64Offset = readUInt64LE(buffer, locatorOffset + 8);
+    if (zip64Offset + 56 > buffer.length || buffer.readUInt32LE(zip64Offset) !== SIG_ZIP64_EOCD) {
+      throw new Error('Invalid ZIP64 end of central directory');
+    }
+    entryCount = readUInt64LE(buffer, zip64Offset + 32);
+    cdSize = readUInt64LE(buffer, zip64Offset + 40);
+    cdOffset = readUInt64LE(buffer, zip64Offset + 48);
+  }
+
+  if (cdOffset + cdSize > buffer.length) throw new Error('Truncated zip central directory');
+
+  const entries = [];
+  let pos = cdOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (pos + 46 > buffer.length || buffer.readUInt32LE(pos) !== SIG_CENTRAL) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const versionMadeBy = buffer.readUInt16LE(pos + 4);
+    const flags = buffer.readUInt16LE(pos + 8);
+    const method = buffer.readUInt16LE(pos + 10);
+    const crc = buffer.readUInt32LE(pos + 16);
+    const fnLen = buffer.readUInt16LE(pos + 28);
+    const extraLen = buffer.readUInt16LE(pos + 30);
+    const fileCommentLen = buffer.readUInt16LE(pos + 32);
+    const externalAttrs = buffer.readUInt32LE(pos + 38);
+
+    const nameBuf = buffer.subarray(pos + 46, pos + 46 + fnLen);
+    const entry = {
+      path: nameBuf.toString((flags & FLAG_UTF8) ? 'utf-8' : 'latin1'),
+      compressedSize: buffer.readUInt32LE(pos + 20),
+      uncompressedSize: buffer.readUInt32LE(pos + 24),
+      crc32: crc,
+      method,
+      flags,
+      versionMadeBy,
+      externalAttrs,
+      localOffset: buffer.readUInt32LE(pos + 42),
+      encrypted: (flags & FLAG_ENCRYPTED) !== 0,
+      hasDataDescriptor: (flags & FLAG_DATA_DESCRIPTOR) !== 0,
+      isDirectory: false,
+    };
+    entry.isDirectory = entry.path.endsWith('/');
+
+    const extra = buffer.subarray(pos + 46 + fnLen, pos + 46 + fnLen + extraLen);
+    const needs = {
+      uncompressed: entry.uncompressedSize === 0xffffffff,
+      compressed: entry.compressedSize === 0xffffffff,
+      offset: entry.localOffset === 0xffffffff,
+    };
+    if (needs.uncompressed || needs.compressed || needs.offset) readZip64Extra(extra, entry, needs);
+
+    entry.read = () => readEntry(buffer, entry);
+    entries.push(entry);
+    pos += 46 + fnLen + extraLen + fileCommentLen;
+  }
+
+  return { entries, comment };
+}
+
+/**
+ * Returns the decompressed contents of an entry and verifies its CRC.
+ * Sizes come from the central directory, so data-descriptor entries
+ * (which leave them zero in the local header) read the same way.
+ */
+function readEntry(buffer, entry) {
+  if (entry.isDirectory) return Buffer.alloc(0);
+  if (entry.encrypted) throw new Error(`Encrypted entry not supported: ${entry.path}`);
+
+  const lfh = entry.localOffset;
+  if (lfh + 30 > buffer.length || buffer.readUInt32LE(lfh) !== SIG_LOCAL) {
+    throw new Error(`Bad local header for ${entry.path}`);
+  }
+  const lfnLen = buffer.readUInt16LE(lfh + 26);
+  const lextraLen = buffer.readUInt16LE(lfh + 28);
+  const dataStart = lfh + 30 + lfnLen + lextraLen;
+  const dataEnd = dataStart + entry.compressedSize;
+  if (dataEnd > buffer.length) throw new Error(`Truncated data for ${entry.path}`);
+
+  const raw = buffer.subarray(dataStart, dataEnd);
+  let data;
+  if (entry.method === METHOD_STORED) {
+    data = raw;
+  } else if (entry.method === METHOD_DEFLATE) {
+    // Cap output at the declared size so a lying header can't blow up memory
+    data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(entry.uncompressedSize, 1) });
+  } else {
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.path}`);
+  }
+
+  if (data.length !== entry.uncompressedSize) throw new Error(`Size mismatch for ${entry.path}`);
+  if (crc32(data) !== entry.crc32) throw new Error(`CRC mismatch for ${entry.path}`);
+  return data;
+}
+
+module.exports = { readZip, readEntry, crc32, METHOD_STORED, METHOD_DEFLATE };
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeSources, permissionReport } = require('../lib/analyze');
+const { PERMISSION_RISK } = require('../lib/validate');
+
+function sources(files) {
+  return Object.entries(files).map(([path, text]) => ({
+    path,
+    uncompressed_size: Buffer.byteLength(text),
+    read: () => Buffer.from(text),
+  }));
+}
+
+const EXTENSION = sources({
+  'index.js': [
+    'await Flip.storage.set("theme", "dark");',
+    'const res = await Flip.net.fetch("https://api.example.com/data");',
+    'Flip.ui.toast("Saved");',
+  ].join('\n'),
+});
+
+function undeclared(analysis) {
+  return analysis.findings.filter(f => f.rule === 'undeclared-permission').map(f => [f.file, f.line, f.message]);
+}
+
+test('flags SDK calls whose permission the manifest does not declare', () => {
+  const analysis = analyzeSources(EXTENSION, { main: 'index.js', permissions: ['storage'] });
+
+  assert.deepStrictEqual(undeclared(analysis), [
+    ['index.js', 2, 'Flip.net.fetch() requires the "network" permission, which the manifest does not declare'],
+  ]);
+  assert.deepStrictEqual(analysis.permission_report.undeclared, [{ call: 'Flip.net.fetch', permission: 'network' }]);
+});
+
+test('allows SDK calls covered by a declared permission', () => {
+  const analysis = analyzeSources(EXTENSION, { main: 'index.js', permissions: ['storage', 'network'] });
+
+  assert.deepStrictEqual(undeclared(analysis), []);
+  assert.deepStrictEqual(analysis.permission_report.undeclared, []);
+});
+
+test('treats a manifest without permissions as declaring none', () => {
+  const analysis = analyzeSources(EXTENSION, { main: 'index.js' });
+
+  assert.deepStrictEqual(undeclared(analysis).map(([, line]) => line), [1, 2]);
+});
+
+// The report only needs the set of calls the analysis found
+const calls = list => new Map(list.map(call => [call, { file: 'index.js', line: 1 }]));
+
+test('scores a request by the risk of each declared permission', () => {
+  const report = permissionReport(['storage', 'network'], calls(['Flip.storage.set', 'Flip.net.fetch']));
+
+  assert.strictEqual(report.score, 100 - PERMISSION_RISK.storage - PERMISSION_RISK.network);
+  assert.strictEqual(report.grade, 'B');
+  assert.deepStrictEqual(report.permissions.map(p => [p.permission, p.risk, p.declared]), [
+    ['storage', PERMISSION_RISK.storage, true],
+    ['network', PERMISSION_RISK.network, true],
+  ]);
+});
+
+test('costs extra for unused and undeclared permissions', () => {
+  const report = permissionReport(['storage', 'tabs'], calls(['Flip.storage.get', 'Flip.net.fetch']));
+
+  assert.deepStrictEqual(report.unused, ['tabs']);
+  assert.deepStrictEqual(report.undeclared, [{ call: 'Flip.net.fetch', permission: 'network' }]);
+  // Undeclared permissions cost a flat penalty, not their own risk
+  assert.strictEqual(report.score, 100 - PERMISSION_RISK.storage - PERMISSION_RISK.tabs - 10 - 15);
+  assert.strictEqual(report.grade, 'C');
+});
+
+test('a request with no permissions scores 100 and the score never goes below 0', () => {
+  assert.deepStrictEqual([permissionReport([], calls([])).score, permissionReport([], calls([])).grade], [100, 'A']);
+
+  const everything = Object.keys(PERMISSION_RISK);
+  const report = permissionReport(everything, calls([]));
+  assert.strictEqual(report.score, 0);
+  assert.strictEqual(report.grade, 'D');
+});
+
+test('the analysis reports the same score for the manifest it was given', () => {
+  const analysis = analyzeSources(EXTENSION, { main: 'index.js', permissions: ['storage', 'network'] });
+
+  assert.strictEqual(analysis.permission_report.score, 100 - PERMISSION_RISK.storage - PERMISSION_RISK.network);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setupDb } = require('./helpers/db');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T12:00:00Z');
+const daysFromNow = days => new Date(NOW.getTime() + days * DAY);
+
+let db, entitlements;
+test.before(async () => {
+  ({ db } = await setupDb());
+  entitlements = require('../lib/entitlements');
+});
+
+test('past_due keeps access for the grace period after the first failed payment', () => {
+  const { isEntitled, accessUntil, GRACE_DAYS } = entitlements;
+  const ent = { status: 'past_due', expires_at: daysFromNow(-1), past_due_at: daysFromNow(-2) };
+
+  assert.deepStrictEqual(accessUntil(ent), daysFromNow(GRACE_DAYS - 2));
+  assert.strictEqual(isEntitled(ent, NOW), true);
+  assert.strictEqual(isEntitled(ent, daysFromNow(GRACE_DAYS - 1)), false);
+  // A paid period that runs past the grace period still counts
+  assert.strictEqual(isEntitled({ ...ent, expires_at: daysFromNow(20) }, daysFromNow(15)), true);
+});
+
+test('cancelling keeps access until the period ends', () => {
+  const { isEntitled } = entitlements;
+  const ent = { status: 'cancelling', expires_at: daysFromNow(3) };
+
+  assert.strictEqual(isEntitled(ent, NOW), true);
+  assert.strictEqual(isEntitled(ent, daysFromNow(3)), false);
+});
+
+test('expired, revoked and unknown statuses never grant access', () => {
+  const { isEntitled } = entitlements;
+  for (const status of ['expired', 'revoked', 'incomplete']) {
+    assert.strictEqual(isEntitled({ status, expires_at: daysFromNow(30) }, NOW), false, status);
+  }
+  assert.strictEqual(isEntitled({ status: 'active', expires_at: null }, NOW), true);
+});
+
+test('a revoked entitlement is not reopened by later subscription events or extensions', async () => {
+  const ent = await db.createEntitlement({
+    firebase_uid: 'user-1', ext_id: 'weather', stripe_sub_id: 'sub_1', plan_type: 'monthly',
+    status: 'active', expires_at: daysFromNow(10), stripe_event_at: daysFromNow(-1),
+  });
+  const revoked = await entitlements.revoke(ent.id, 'admin:test', 'Chargeback');
+  assert.strictEqual(revoked.status, 'revoked');
+
+  // A renewal invoice or subscription update that arrives afterwards
+  assert.strictEqual(await db.updateEntitlementBySubscription('sub_1', 'active', new Date(), daysFromNow(40)), 0);
+  const extended = await entitlements.extend(ent.id, 30, 'admin:test', 'Goodwill');
+  assert.strictEqual(extended.status, 'revoked');
+  assert.strictEqual(entitlements.isEntitled(extended), false);
+
+  const audit = await db.getEntitlementAudit();
+  assert.deepStrictEqual(audit.map(a => [a.action, a.after.status]), [['extend', 'revoked'], ['revoke', 'revoked']]);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyFirebaseToken } = require('../lib/firebase-auth');
+
+const PROJECT = 'flip-test';
+const KID = 'test-key';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Google's certificate endpoint, answered locally
+global.fetch = async () => new Response(JSON.stringify({ [KID]: publicKey.export({ type: 'spki', format: 'pem' }) }), {
+  headers: { 'Cache-Control': 'public, max-age=3600' },
+});
+
+function idToken(claims = {}, { key = privateKey, kid = KID } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return jwt.sign({
+    iss: `https://securetoken.google.com/${PROJECT}`,
+    aud: PROJECT,
+    sub: 'user-1',
+    auth_time: now - 60,
+    iat: now - 60,
+    exp: now + 3600,
+    email: 'Buyer@Example.com',
+    email_verified: true,
+    ...claims,
+  }, key, { algorithm: 'RS256', keyid: kid });
+}
+
+test('accepts a valid ID token', async () => {
+  assert.deepStrictEqual(await verifyFirebaseToken(idToken(), PROJECT), {
+    uid: 'user-1', email: 'buyer@example.com', email_verified: true, name: null,
+  });
+});
+
+test('rejects an expired ID token', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await assert.rejects(verifyFirebaseToken(idToken({ iat: now - 7200, exp: now - 3600 }), PROJECT), /jwt expired/);
+});
+
+test('rejects an ID token for another project', async () => {
+  await assert.rejects(verifyFirebaseToken(idToken({ aud: 'other-project' }), PROJECT), /audience invalid/);
+  await assert.rejects(verifyFirebaseToken(idToken({ iss: 'https://securetoken.google.com/other-project' }), PROJECT), /issuer invalid/);
+});
+
+test('rejects a tampered ID token', async () => {
+  const [header, payload, signature] = idToken().split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'admin' })).toString('base64url');
+  await assert.rejects(verifyFirebaseToken(`${header}.${forged}.${signature}`, PROJECT), /invalid signature/);
+
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  await assert.rejects(verifyFirebaseToken(idToken({}, { key: other }), PROJECT), /invalid signature/);
+});
+
+test('rejects unknown keys and other algorithms', async () => {
+  await assert.rejects(verifyFirebaseToken(idToken({}, { kid: 'rotated-away' }), PROJECT), /Unknown ID token key/);
+  const hmac = jwt.sign({ sub: 'user-1', aud: PROJECT }, 'secret', { algorithm: 'HS256', keyid: KID });
+  await assert.rejects(verifyFirebaseToken(hmac, PROJECT), /Malformed ID token/);
+});
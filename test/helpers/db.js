@@ -0,0 +1,24 @@
+/**
+ * Runs lib/db against an in-memory Postgres (PGlite) in place of Vercel
+ * Postgres. Call setupDb() before anything requires lib/db.
+ */
+
+const { PGlite } = require('@electric-sql/pglite');
+
+async function setupDb() {
+  const pg = new PGlite();
+  // @vercel/postgres's sql tag: values become $1..$n parameters
+  async function sql(strings, ...values) {
+    const text = strings.reduce((query, part, i) => `${query}$${i}${part}`);
+    const result = await pg.query(text, values);
+    return { rows: result.rows, rowCount: result.affectedRows !== undefined ? result.affectedRows : result.rows.length };
+  }
+  const driver = require.resolve('@vercel/postgres');
+  require.cache[driver] = { id: driver, filename: driver, loaded: true, exports: { sql } };
+
+  const db = require('../../lib/db');
+  await db.ensureTables();
+  return { db, pg };
+}
+
+module.exports = { setupDb };
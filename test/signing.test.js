@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.SIGNING_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.SIGNING_KEY_ID = 'test-2026';
+const { signJwt, signRelease, verifyRelease, getPublicKeys } = require('../lib/signing');
+
+// Verifies a token the way the browser does: against the published key with the token's kid
+function verifyToken(token) {
+  const [header, payload, signature] = token.split('.');
+  const { kid, alg } = JSON.parse(Buffer.from(header, 'base64url'));
+  const key = getPublicKeys().find(k => k.kid === kid);
+  if (alg !== 'EdDSA' || !key) return null;
+  const valid = crypto.verify(null, Buffer.from(`${header}.${payload}`), key.public_key_pem, Buffer.from(signature, 'base64url'));
+  return valid ? JSON.parse(Buffer.from(payload, 'base64url')) : null;
+}
+
+const claims = { iss: 'https://portal.example', sub: 'user-1', ext_id: 'weather', plan_type: 'monthly', status: 'active', iat: 1000, exp: 2000 };
+
+test('entitlement tokens round-trip against the published key', () => {
+  const token = signJwt(claims);
+
+  assert.deepStrictEqual(JSON.parse(Buffer.from(token.split('.')[0], 'base64url')), { alg: 'EdDSA', typ: 'JWT', kid: 'test-2026' });
+  assert.deepStrictEqual(verifyToken(token), claims);
+});
+
+test('entitlement tokens with a tampered payload or signature do not verify', () => {
+  const [header, payload, signature] = signJwt(claims).split('.');
+  const upgraded = Buffer.from(JSON.stringify({ ...claims, exp: 9999999999 })).toString('base64url');
+  const flipped = Buffer.from(signature, 'base64url');
+  flipped[0] ^= 1;
+
+  assert.strictEqual(verifyToken(`${header}.${upgraded}.${signature}`), null);
+  assert.strictEqual(verifyToken(`${header}.${payload}.${flipped.toString('base64url')}`), null);
+});
+
+test('release documents round-trip and tampering is detected', () => {
+  const pkg = Buffer.from('zip bytes');
+  const { sha256, release, signature, key_id } = signRelease(
+    { ext_id: 'weather', version: '1.2.0', api_version: '1.0', permissions: ['network'] }, pkg, 'https://portal.example/download/weather/1.2.0',
+  );
+
+  assert.strictEqual(sha256, crypto.createHash('sha256').update(pkg).digest('hex'));
+  assert.strictEqual(key_id, 'test-2026');
+  assert.strictEqual(verifyRelease(release, signature, key_id), true);
+  assert.strictEqual(verifyRelease({ ...release, sha256: '0'.repeat(64) }, signature, key_id), false);
+  assert.strictEqual(verifyRelease(release, signature, 'unknown-key'), false);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runSmokeTest } = require('../lib/smoke');
+
+function pkg(files) {
+  return Object.entries(files).map(([path, text]) => ({
+    path,
+    uncompressed_size: Buffer.byteLength(text),
+    read: () => Buffer.from(text),
+  }));
+}
+
+// Runs `code` as the package's main.js and returns what it logged
+async function consoleOf(code) {
+  const report = await runSmokeTest(pkg({ 'main.js': code }), { main: 'main.js' });
+  return report.console.map(c => c.message);
+}
+
+// Logs what `getFunction()` hands out: the host's process if it is a host Function
+function escapeAttempt(getFunction) {
+  return `
+    try { console.log('escaped: ' + typeof (${getFunction})('return process')()); } catch (e) { console.log('blocked: ' + e.message); }
+  `;
+}
+
+const BLOCKED = 'blocked: Code generation from strings disallowed for this context';
+
+test('process and the host require are not defined in the context', async () => {
+  assert.deepStrictEqual(await consoleOf(`
+    console.log(typeof process, typeof globalThis.process);
+    try { require('fs'); } catch (e) { console.log(e.message); }
+  `), ['undefined undefined', 'Cannot find module "fs" from main.js']);
+});
+
+test('globalThis.constructor.constructor is not the host Function', async () => {
+  assert.deepStrictEqual(await consoleOf(escapeAttempt('globalThis.constructor.constructor')), [BLOCKED]);
+});
+
+test('this.constructor.constructor is not the host Function', async () => {
+  assert.deepStrictEqual(await consoleOf(escapeAttempt('(function () { return this; })().constructor.constructor')), [BLOCKED]);
+  assert.deepStrictEqual(await consoleOf(escapeAttempt('this.constructor.constructor')), [BLOCKED]);
+});
+
+test('no object the harness hands in leads back to the host realm', async () => {
+  // Walks everything reachable from the global and the module wrapper's
+  // arguments, through prototypes, getters and setters
+  const messages = await consoleOf(`
+    const seen = new Set();
+    const queue = [globalThis, this, require, module, exports, __default, require('react'), require('flip')];
+    const foreign = [];
+    while (queue.length) {
+      const o = queue.shift();
+      if (o === null || (typeof o !== 'object' && typeof o !== 'function') || seen.has(o)) continue;
+      seen.add(o);
+      if (typeof o === 'function' && o !== Function.prototype && !(o instanceof Function)) foreign.push(o.name);
+      try {
+        if (o.constructor && o.constructor.constructor !== Function) foreign.push(String(o.constructor.name));
+      } catch (e) { /* throwing getter */ }
+      queue.push(Object.getPrototypeOf(o));
+      for (const key of Reflect.ownKeys(o)) {
+        const d = Object.getOwnPropertyDescriptor(o, key);
+        if (d) queue.push(d.value, d.get, d.set);
+      }
+    }
+    console.log(seen.size > 500, foreign.join(', ') || 'none');
+  `);
+  assert.deepStrictEqual(messages, ['true none']);
+});
+
+test('a rejected import() does not hand extension code a host-realm error', async () => {
+  const report = await runSmokeTest(pkg({
+    'main.js': `
+      import('fs').catch(e => {
+        let escaped;
+        try { escaped = typeof e.constructor.constructor('return process')(); } catch (x) { escaped = 'blocked: ' + x.message; }
+        console.log(e.message);
+        console.log(escaped);
+      });
+    `,
+  }), { main: 'main.js' });
+
+  const messages = report.console.map(c => c.message);
+  assert.deepStrictEqual(messages, [
+    'import() is not available in the smoke test',
+    'blocked: Code generation from strings disallowed for this context',
+  ]);
+});
+
+test('an unhandled import() is reported as a promise error', async () => {
+  const report = await runSmokeTest(pkg({ 'main.js': `import('fs');` }), { main: 'main.js' });
+
+  assert.strictEqual(report.status, 'failed');
+  assert.ok(report.errors.some(e => e.phase === 'promise' && e.message.includes('import() is not available')));
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flip-storage-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_DIR = dir;
+const storage = require('../lib/storage');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The query of a signed link, as the /storage/signed route receives it
+function linkQuery(url) {
+  return Object.fromEntries(new URL(url, 'http://portal').searchParams);
+}
+
+test('a signed link verifies until it expires', () => {
+  const query = linkQuery(storage.signedUrl('local://private/submissions/a.zip', { filename: 'a-1.0.0.zip' }));
+
+  assert.strictEqual(storage.verifySignedUrl(query), true);
+  assert.strictEqual(query.filename, 'a-1.0.0.zip');
+});
+
+test('an expired signed link is rejected', () => {
+  const query = linkQuery(storage.signedUrl('local://private/submissions/a.zip', { ttlSeconds: -1 }));
+
+  assert.strictEqual(storage.verifySignedUrl(query), false);
+});
+
+test('a signed link with any field changed is rejected', () => {
+  const query = linkQuery(storage.signedUrl('local://private/submissions/a.zip', { filename: 'a.zip' }));
+
+  assert.strictEqual(storage.verifySignedUrl({ ...query, location: 'local://private/submissions/b.zip' }), false);
+  assert.strictEqual(storage.verifySignedUrl({ ...query, filename: 'b.zip' }), false);
+  assert.strictEqual(storage.verifySignedUrl({ ...query, expires: String(Number(query.expires) + 3600) }), false);
+  assert.strictEqual(storage.verifySignedUrl({ ...query, signature: query.signature.slice(1) + 'A' }), false);
+  assert.strictEqual(storage.verifySignedUrl({ ...query, signature: undefined }), false);
+});
+
+test('local locations cannot leave their access level', async () => {
+  await storage.putObject('submissions/secret.zip', Buffer.from('private build'));
+  assert.strictEqual((await storage.getObject('local://private/submissions/secret.zip')).toString(), 'private build');
+
+  for (const location of [
+    'local://public/../private/submissions/secret.zip',
+    'local://public/releases/../../private/submissions/secret.zip',
+    'local://../../etc/passwd',
+    'local://other/x',
+  ]) {
+    await assert.rejects(storage.getObject(location), /Invalid storage location/, location);
+  }
+});
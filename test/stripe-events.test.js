@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Stripe = require('stripe');
+const { setupDb } = require('./helpers/db');
+
+const SECRET = 'whsec_test';
+process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+
+let db, pg, server, baseUrl;
+test.before(async () => {
+  ({ db, pg } = await setupDb());
+  const app = require('../api/index.js');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => server.close());
+
+const now = Math.floor(Date.now() / 1000);
+
+function subscriptionEvent(id, subId, created, fields = {}) {
+  return {
+    id, type: 'customer.subscription.updated', created,
+    data: { object: { id: subId, status: 'active', cancel_at_period_end: false, current_period_end: now + 30 * 86400, ...fields } },
+  };
+}
+
+async function deliver(event) {
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: SECRET });
+  const res = await fetch(`${baseUrl}/api/webhook/stripe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+  return [res.status, await res.json()];
+}
+
+function subscribe(uid, subId) {
+  return db.createEntitlement({
+    firebase_uid: uid, ext_id: 'weather', stripe_sub_id: subId, plan_type: 'monthly', status: 'active',
+    expires_at: new Date((now + 86400) * 1000), stripe_event_at: new Date((now - 3600) * 1000),
+  });
+}
+
+test('a duplicate delivery is acknowledged without running the event again', async () => {
+  await subscribe('user-dup', 'sub_dup');
+  const event = subscriptionEvent('evt_dup', 'sub_dup', now, { cancel_at_period_end: true });
+
+  assert.deepStrictEqual(await deliver(event), [200, { received: true }]);
+  // Had the event run again, it would undo this
+  await pg.query(`UPDATE entitlements SET status = 'active' WHERE stripe_sub_id = 'sub_dup'`);
+  assert.deepStrictEqual(await deliver(event), [200, { received: true, duplicate: true }]);
+
+  assert.strictEqual((await db.getEntitlementBySubscription('sub_dup')).status, 'active');
+  const recorded = await db.getStripeEvent('evt_dup');
+  assert.deepStrictEqual([recorded.status, recorded.attempts], ['processed', 1]);
+});
+
+test('an event stuck in processing is only reclaimed after 5 minutes', async () => {
+  await subscribe('user-stuck', 'sub_stuck');
+  const event = subscriptionEvent('evt_stuck', 'sub_stuck', now, { cancel_at_period_end: true });
+  // A delivery that claimed the event and then died before finishing
+  assert.strictEqual((await db.recordStripeEvent(event)).claimed, true);
+
+  await pg.query(`UPDATE stripe_events SET updated_at = NOW() - INTERVAL '4 minutes' WHERE id = 'evt_stuck'`);
+  assert.deepStrictEqual(await deliver(event), [409, { error: 'Event is already being processed' }]);
+  assert.strictEqual((await db.getEntitlementBySubscription('sub_stuck')).status, 'active');
+
+  await pg.query(`UPDATE stripe_events SET updated_at = NOW() - INTERVAL '6 minutes' WHERE id = 'evt_stuck'`);
+  assert.deepStrictEqual(await deliver(event), [200, { received: true }]);
+  assert.strictEqual((await db.getEntitlementBySubscription('sub_stuck')).status, 'cancelling');
+  const recorded = await db.getStripeEvent('evt_stuck');
+  assert.deepStrictEqual([recorded.status, recorded.attempts], ['processed', 2]);
+});
+
+test('a failed event is retried on the next delivery', async () => {
+  const event = subscriptionEvent('evt_failed', 'sub_failed', now);
+  await db.recordStripeEvent(event);
+  await db.markStripeEvent('evt_failed', 'failed', 'boom');
+
+  const record = await db.recordStripeEvent(event);
+  assert.deepStrictEqual([record.claimed, record.status, record.attempts], [true, 'processing', 2]);
+});
+
+test('subscription events older than the last one applied are ignored', async () => {
+  await subscribe('user-order', 'sub_order');
+  const older = subscriptionEvent('evt_older', 'sub_order', now - 60);
+  const newer = subscriptionEvent('evt_newer', 'sub_order', now, { cancel_at_period_end: true });
+
+  assert.deepStrictEqual(await deliver(newer), [200, { received: true }]);
+  assert.deepStrictEqual(await deliver(older), [200, { received: true }]);
+
+  const entitlement = await db.getEntitlementBySubscription('sub_order');
+  assert.strictEqual(entitlement.status, 'cancelling');
+  assert.strictEqual(new Date(entitlement.stripe_event_at).getTime(), now * 1000);
+  assert.strictEqual((await db.getStripeEvent('evt_older')).result, 'ignored (stale or unknown subscription)');
+});
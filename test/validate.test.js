@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readZip } = require('../lib/zip');
+const { validateArchive, permissionForApi } = require('../lib/validate');
+const { buildZip } = require('./helpers/zip');
+
+function archiveErrors(entries) {
+  return validateArchive(readZip(buildZip(entries)).entries).issues.errors.map(e => [e.code, e.path]);
+}
+
+test('accepts an ordinary extension archive', () => {
+  assert.deepStrictEqual(archiveErrors([
+    { path: 'manifest.json', data: '{}' },
+    { path: 'src/', data: '' },
+    { path: 'src/index.jsx', data: 'export default () => null;', deflate: true },
+  ]), []);
+});
+
+test('rejects archives with more than 500 entries', () => {
+  const entries = Array.from({ length: 501 }, (_, i) => ({ path: `f${i}.js`, data: '' }));
+
+  assert.deepStrictEqual(archiveErrors(entries), [['too_many_entries', null]]);
+  assert.deepStrictEqual(archiveErrors(entries.slice(0, 500)), []);
+});
+
+test('rejects archives that unpack to more than 50MB', () => {
+  // Sizes come from the central directory, so the headers only have to claim them
+  const entries = [1, 2, 3, 4, 5, 6].map(i => ({ path: `asset${i}.bin`, data: 'x', uncompressedSize: 9 * 1024 * 1024 }));
+
+  assert.ok(archiveErrors(entries).some(([code]) => code === 'unpacked_too_large'));
+  assert.ok(!archiveErrors(entries.slice(0, 5)).some(([code]) => code === 'unpacked_too_large'));
+});
+
+test('rejects path traversal and absolute paths', () => {
+  assert.deepStrictEqual(archiveErrors([
+    { path: '../evil.js', data: 'x' },
+    { path: 'src/../../evil.js', data: 'x' },
+    { path: '/etc/evil.js', data: 'x' },
+    { path: 'C:/evil.js', data: 'x' },
+    { path: 'src/..hidden.js', data: 'x' },
+  ]), [
+    ['path_traversal', '../evil.js'],
+    ['path_traversal', 'src/../../evil.js'],
+    ['absolute_path', '/etc/evil.js'],
+    ['absolute_path', 'C:/evil.js'],
+  ]);
+});
+
+test('rejects nested archives by name', () => {
+  assert.deepStrictEqual(archiveErrors([
+    { path: 'vendor/lib.zip', data: 'x' },
+    { path: 'vendor/lib.tar.gz', data: 'x' },
+  ]), [['nested_archive', 'vendor/lib.zip'], ['nested_archive', 'vendor/lib.tar.gz']]);
+});
+
+test('rejects nested archives by content', () => {
+  const inner = buildZip([{ path: 'payload.js', data: 'x' }]);
+
+  assert.deepStrictEqual(archiveErrors([
+    { path: 'manifest.json', data: '{}' },
+    { path: 'assets/data.bin', data: inner },
+  ]), [['nested_archive', 'assets/data.bin']]);
+});
+
+test('maps Flip SDK calls to the permission they need', () => {
+  assert.strictEqual(permissionForApi('Flip.storage.set'), 'storage');
+  assert.strictEqual(permissionForApi('Flip.net.fetch'), 'network');
+  assert.strictEqual(permissionForApi('Flip.crossStorage.get'), 'cross_storage');
+  assert.strictEqual(permissionForApi('Flip.crossStorage.set'), 'cross_storage_write');
+  // Prefixes match whole namespace segments only
+  assert.strictEqual(permissionForApi('Flip.network.fetch'), null);
+  assert.strictEqual(permissionForApi('Flip.ui.toast'), null);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readZip } = require('../lib/zip');
+const { validateArchive } = require('../lib/validate');
+const { buildZip } = require('./helpers/zip');
+
+test('reads stored and deflated entries', () => {
+  const { entries } = readZip(buildZip([
+    { path: 'manifest.json', data: '{"name":"Demo"}' },
+    { path: 'src/', data: '' },
+    { path: 'src/index.js', data: 'console.log(1);\n'.repeat(200), deflate: true },
+  ]));
+
+  assert.deepStrictEqual(entries.map(e => [e.path, e.isDirectory]), [
+    ['manifest.json', false], ['src/', true], ['src/index.js', false],
+  ]);
+  assert.strictEqual(entries[0].read().toString(), '{"name":"Demo"}');
+  assert.strictEqual(entries[2].read().toString(), 'console.log(1);\n'.repeat(200));
+  assert.ok(entries[2].compressedSize < entries[2].uncompressedSize);
+});
+
+test('reads a ZIP64 end of central directory', () => {
+  const { entries } = readZip(buildZip([{ path: 'a.txt', data: 'hello' }], { zip64: true }));
+
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].read().toString(), 'hello');
+});
+
+test('rejects a file that is not a zip', () => {
+  assert.throws(() => readZip(Buffer.from('not a zip at all, just some text')), /Invalid zip file/);
+});
+
+test('rejects a truncated central directory', () => {
+  const zip = buildZip([{ path: 'a.txt', data: 'hello' }]);
+  // Claim the central directory is larger than what is left of the file
+  zip.writeUInt32LE(0xffff, zip.length - 22 + 12);
+
+  assert.throws(() => readZip(zip), /Truncated zip central directory/);
+});
+
+test('rejects a corrupted central directory', () => {
+  const zip = buildZip([{ path: 'a.txt', data: 'hello' }, { path: 'b.txt', data: 'world' }]);
+  // Wipe the signature of the first central directory record
+  const cdOffset = zip.readUInt32LE(zip.length - 22 + 16);
+  zip.writeUInt32LE(0, cdOffset);
+
+  assert.throws(() => readZip(zip), /Corrupt zip central directory/);
+});
+
+test('rejects an entry whose CRC does not match', () => {
+  const [entry] = readZip(buildZip([{ path: 'a.txt', data: 'hello', crc32: 0x12345678 }])).entries;
+
+  assert.throws(() => entry.read(), /CRC mismatch for a\.txt/);
+});
+
+test('stops inflating at the declared size', () => {
+  // 1MB of zeros deflates to about 1KB; the header claims 100 bytes
+  const [entry] = readZip(buildZip([
+    { path: 'bomb.txt', data: Buffer.alloc(1024 * 1024), deflate: true, uncompressedSize: 100 },
+  ])).entries;
+
+  assert.throws(() => entry.read(), err => err.code === 'ERR_BUFFER_TOO_LARGE');
+});
+
+test('rejects a stored entry shorter than its declared size', () => {
+  const [entry] = readZip(buildZip([{ path: 'a.txt', data: 'hello', uncompressedSize: 6 }])).entries;
+
+  assert.throws(() => entry.read(), /Size mismatch for a\.txt/);
+});
+
+test('keeps ../ in entry names as they are, for validateArchive to reject', () => {
+  const { entries } = readZip(buildZip([
+    { path: '../evil.js', data: 'x' },
+    { path: 'src/../../evil.js', data: 'y' },
+  ]));
+
+  assert.deepStrictEqual(entries.map(e => e.path), ['../evil.js', 'src/../../evil.js']);
+  assert.deepStrictEqual(validateArchive(entries).issues.errors.map(e => e.code), ['path_traversal', 'path_traversal']);
+});